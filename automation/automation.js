@@ -1,6 +1,21 @@
 const flowProcessor = require("./functions");
+const { selectFlow } = require("./triggers");
 const { query } = require("../database/dbpromise");
 
+// one message per sender at a time picks the flow and updates its session,
+// so two flows never answer together. the flow itself runs outside the lock
+const senderLocks = new Map();
+
+function withSenderLock(key, task) {
+  const previous = senderLocks.get(key) || Promise.resolve();
+  const current = previous.then(task).catch((err) => console.log(err));
+  senderLocks.set(key, current);
+  current.then(() => {
+    if (senderLocks.get(key) === current) senderLocks.delete(key);
+  });
+  return current;
+}
+
 async function processFlow({
   nodes,
   edges,
@@ -13,18 +28,27 @@ async function processFlow({
   origin,
   chatId,
   element,
+  flowVersion,
+  simulation,
+  session,
 }) {
   let result = { moveToNextNode: false };
-  const flowSession = await flowProcessor.getFlowSession({
-    flowId,
-    message,
-    uid,
-    nodes,
-    incomingText,
-    edges,
-    sessionId,
-    origin,
-  });
+  // session is given when the caller already loaded it under the sender lock
+  const flowSession =
+    session ||
+    (await flowProcessor.getFlowSession({
+      flowId,
+      message,
+      uid,
+      nodes,
+      incomingText,
+      edges,
+      sessionId,
+      origin,
+      chatId,
+      flowVersion,
+      simulation,
+    }));
 
   // returning if chat is disabled
   const checkIfDisabled = await flowProcessor.checkIfChatDisabled({
@@ -53,6 +77,7 @@ async function processFlow({
       element,
       variablesObj,
       incomingText,
+      simulation,
     });
     return;
   }
@@ -61,7 +86,11 @@ async function processFlow({
     console.log(
       "Flow looks incomplete tryeing to delete session and try again "
     );
-    if (origin === "qr") {
+    if (simulation) {
+      // nothing to reset when the flow could not start at all
+      if (!simulation.session) return;
+      simulation.session = null;
+    } else if (origin === "qr") {
       await query(
         `DELETE FROM flow_session WHERE uid = ? AND origin = ? AND origin_id = ? AND flow_id = ? AND sender_mobile = ?`,
         [uid, origin, sessionId, flowId, message.senderMobile]
@@ -84,7 +113,10 @@ async function processFlow({
       origin,
       chatId,
       element,
+      flowVersion,
+      simulation,
     });
+    return;
   }
 
   const { node: oldNode } = flowSession?.data;
@@ -104,205 +136,161 @@ async function processFlow({
     },
   };
 
+  const trace = { outbound: [] };
+  const startedAt = Date.now();
+  const variablesBefore = JSON.parse(JSON.stringify(variablesObj));
+
+  const nodeParams = {
+    chatId,
+    message,
+    node,
+    origin,
+    sessionId,
+    user,
+    nodes,
+    edges,
+    flowSession,
+    element,
+    variablesObj,
+    incomingText,
+    simulation,
+    trace,
+  };
+
   switch (node.type) {
     case "SEND_MESSAGE":
-      result = await flowProcessor.processSendMessage({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processSendMessage(nodeParams);
       break;
 
     case "CONDITION":
-      result = await flowProcessor.processCondition({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processCondition(nodeParams);
+      break;
+
+    case "BUTTON":
+    case "LIST":
+      result = await flowProcessor.processInteractive(nodeParams);
+      break;
+
+    case "FOREACH":
+      result = await flowProcessor.processForEach(nodeParams);
+      break;
+
+    case "SUB_FLOW":
+      result = await flowProcessor.processSubFlow(nodeParams);
       break;
 
     case "RESPONSE_SAVER":
-      result = await flowProcessor.processResponseSaver({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processResponseSaver(nodeParams);
       break;
 
     case "DISABLE_AUTOREPLY":
-      result = await flowProcessor.processDisableAutoReply({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processDisableAutoReply(nodeParams);
       break;
 
     case "MAKE_REQUEST":
-      result = await flowProcessor.processMakeRequest({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processMakeRequest(nodeParams);
       break;
 
     case "DELAY":
-      result = await flowProcessor.processDelay({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processDelay(nodeParams);
       break;
 
     case "SPREADSHEET":
-      result = await flowProcessor.processSpreadSheet({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processSpreadSheet(nodeParams);
       break;
 
     case "EMAIL":
-      result = await flowProcessor.processSendEmail({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processSendEmail(nodeParams);
+      break;
+
+    case "ENROLL_SEQUENCE":
+      result = await flowProcessor.processEnrollSequence(nodeParams);
       break;
 
     case "AGENT_TRANSFER":
-      result = await flowProcessor.processAgentTransfer({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processAgentTransfer(nodeParams);
       break;
 
     case "AI_TRANSFER":
-      result = await flowProcessor.processAiTransfer({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processAiTransfer(nodeParams);
       break;
 
     case "MYSQL_QUERY":
-      result = await flowProcessor.processMysqlQuery({
-        chatId,
-        message,
-        node,
-        origin,
-        sessionId,
-        user,
-        nodes,
-        edges,
-        flowSession,
-        element,
-        variablesObj,
-        incomingText,
-      });
+      result = await flowProcessor.processMysqlQuery(nodeParams);
       break;
 
     default:
       break;
   }
 
+  // the end of a sub-flow called with returnToCaller resumes the caller
+  if (
+    flowSession?.data?.callStack?.length > 0 &&
+    node.type !== "SUB_FLOW" &&
+    !edges.some((e) => e.source === node.id)
+  ) {
+    const callerGraph = await flowProcessor.returnFromSubFlow(nodeParams);
+    if (callerGraph) {
+      result = { ...result, moveToNextNode: true, graph: callerGraph };
+    }
+  }
+
+  if (!result?.moveToNextNode && flowSession?.data?.subFlowHops > 0) {
+    await flowProcessor.resetSubFlowHops(nodeParams);
+  }
+
   console.log({ s: result?.moveToNextNode, type: node.type });
 
+  if (!simulation) {
+    await flowProcessor.saveFlowTrace({
+      uid,
+      flowSession,
+      flowVersion,
+      node,
+      incomingText,
+      variablesBefore,
+      result,
+      trace,
+      startedAt,
+    });
+  }
+
+  if (simulation) {
+    simulation.steps.push({
+      input: incomingText,
+      nodeId: node?.id,
+      type: node?.type,
+      moveToNextNode: result?.moveToNextNode || false,
+      variables: JSON.parse(simulation.session?.data || "{}")?.variables || {},
+    });
+
+    // a simulated run waits for the whole chain so the path can be returned
+    if (result?.moveToNextNode && !simulation.isExhausted()) {
+      await processFlow({
+        nodes: result?.graph?.nodes || nodes,
+        edges: result?.graph?.edges || edges,
+        uid,
+        flowId: element.flow_id,
+        message,
+        incomingText,
+        user,
+        sessionId,
+        origin,
+        chatId,
+        element,
+        flowVersion,
+        simulation,
+      });
+    }
+    return;
+  }
+
   if (result?.moveToNextNode) {
     setTimeout(async () => {
+      // SUB_FLOW and its return switch the graph the session runs on
       await processFlow({
-        nodes,
-        edges,
+        nodes: result?.graph?.nodes || nodes,
+        edges: result?.graph?.edges || edges,
         uid,
         flowId: element.flow_id,
         message,
@@ -312,6 +300,7 @@ async function processFlow({
         origin,
         chatId,
         element,
+        flowVersion,
       });
     }, 1000);
   }
@@ -345,37 +334,59 @@ async function processAutomation({
     return console.log("Invalid message found", message);
   }
 
-  userFlows.forEach(async (element) => {
-    try {
-      // processing one flow
-      const flowData = JSON.parse(element.data) || {};
-      const nodes = flowData?.nodes || [];
-      const edges = flowData?.edges || [];
+  const run = await withSenderLock(`${uid}_${senderMobile}`, async () => {
+    const element = await selectFlow({
+      uid,
+      flows: userFlows,
+      message,
+      incomingText,
+      chatId,
+      user,
+    });
 
-      if (nodes?.length < 1 || edges?.length < 1) {
-        return console.log(
-          "Either nodes or edges length is zero of this automation flow with id:",
-          element.flow_id
-        );
-      }
+    if (!element) {
+      return console.log("No automation flow matched this message");
+    }
 
-      await processFlow({
-        nodes,
-        edges,
-        uid,
-        flowId: element.flow_id,
-        message,
-        incomingText,
-        user,
-        sessionId,
-        origin,
-        chatId,
-        element,
-      });
-    } catch (err) {
-      console.log(err);
+    // processing one flow
+    const {
+      nodes,
+      edges,
+      version: flowVersion,
+    } = await flowProcessor.getFlowGraph({
+      uid,
+      element,
+      senderMobile,
+    });
+
+    if (nodes?.length < 1 || edges?.length < 1) {
+      return console.log(
+        "Either nodes or edges length is zero of this automation flow with id:",
+        element.flow_id
+      );
     }
+
+    const params = {
+      nodes,
+      edges,
+      uid,
+      flowId: element.flow_id,
+      message,
+      incomingText,
+      user,
+      sessionId,
+      origin,
+      chatId,
+      element,
+      flowVersion,
+    };
+    return { ...params, session: await flowProcessor.getFlowSession(params) };
   });
+
+  // not awaited, a DELAY node would hold up the inbox and the next message
+  if (run) {
+    processFlow(run).catch((err) => console.log(err));
+  }
 }
 
-module.exports = { processAutomation };
+module.exports = { processAutomation, processFlow };
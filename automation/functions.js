@@ -5,8 +5,27 @@ const {
   makeRequestBeta,
   sendEmailBeta,
   executeMySQLQuery,
+  formatPhoneNumber,
 } = require("../functions/function");
+const moment = require("moment-timezone");
+const { getContactVariables } = require("../helper/contact/fields");
+const {
+  isSuppressed,
+  logSuppressed,
+} = require("../helper/contact/suppression");
 const { setQrMsgObj, sendMetaMsg } = require("../helper/socket/function");
+const { enrollInSequence } = require("../helper/sequence");
+const {
+  ASSIGN_REASONS,
+  getRoutingSettings,
+  pickAgent,
+  assignChat,
+} = require("../helper/routing");
+const {
+  LINK_SOURCES,
+  trackMessageLinks,
+  setLinksMessage,
+} = require("../helper/tracking");
 const fetch = require("node-fetch");
 const { google } = require("googleapis");
 const { aiTransferHandler } = require("./useAITransferHandler");
@@ -46,12 +65,14 @@ const replaceJsonWithVarsNew = (data, variables) => {
   return processValue(data, variables);
 };
 
-async function pushNewKeyInData({ key, pushObj, flowSession }) {
+async function pushNewKeyInData({ key, pushObj, flowSession, simulation }) {
   try {
     // Fetch existing data from the database
-    const oldData = await query(`SELECT * FROM flow_session WHERE id = ?`, [
-      flowSession?.id,
-    ]);
+    const oldData = simulation
+      ? [simulation.session]
+      : await query(`SELECT * FROM flow_session WHERE id = ?`, [
+          flowSession?.id,
+        ]);
 
     if (!oldData || oldData.length < 1) {
       console.log("No data found for the provided flowSession ID.");
@@ -72,6 +93,11 @@ async function pushNewKeyInData({ key, pushObj, flowSession }) {
       ...pushObj, // Merge the new object into the existing key
     };
 
+    if (simulation) {
+      simulation.session.data = JSON.stringify(oldDataObj);
+      return;
+    }
+
     await query(`UPDATE flow_session SET data = ? WHERE id = ?`, [
       JSON.stringify(oldDataObj),
       flowSession?.id,
@@ -81,6 +107,42 @@ async function pushNewKeyInData({ key, pushObj, flowSession }) {
   }
 }
 
+// flow_session and chat writes go through these two so a simulated run keeps
+// everything in memory instead of touching the tables
+async function updateSessionData({ data, element, uid, message, simulation }) {
+  if (simulation) {
+    simulation.session.data = JSON.stringify(data);
+    return;
+  }
+
+  await query(
+    `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
+    [JSON.stringify(data), element?.flow_id, uid, message?.senderMobile]
+  );
+}
+
+async function saveOutgoingMessage({
+  uid,
+  chatId,
+  messageData,
+  simulation,
+  trace,
+}) {
+  trace?.outbound.push(messageData?.metaChatId);
+  if (simulation) return;
+
+  await saveMessageToConversation({
+    uid: uid,
+    chatId,
+    messageData,
+  });
+
+  await query(
+    `UPDATE beta_chats SET last_message = ? WHERE chat_id = ? AND uid = ?`,
+    [JSON.stringify(messageData), chatId, uid]
+  );
+}
+
 function replaceVarFromString(inputString, variables) {
   return inputString.replace(
     /{{{(\w+)}}}/g,
@@ -407,6 +469,26 @@ function timeoutPromise(promise, ms) {
   return Promise.race([promise, timeout]);
 }
 
+// reads a.b[0].c style paths, parsing json strings met on the way
+function resolvePath(obj, path) {
+  if (!path) return obj;
+
+  return path
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean)
+    .reduce((acc, part) => {
+      if (typeof acc === "string") {
+        try {
+          acc = JSON.parse(acc);
+        } catch (err) {
+          return undefined;
+        }
+      }
+      return acc === null || acc === undefined ? undefined : acc[part];
+    }, obj);
+}
+
 function replaceVariables(input, variables = {}) {
   // Handle null or undefined input
   if (input === null || input === undefined) {
@@ -416,7 +498,10 @@ function replaceVariables(input, variables = {}) {
   // Handle strings
   if (typeof input === "string") {
     return input.replace(/\{\{\{([^{}]+)\}\}\}/g, (match, key) => {
-      return variables.hasOwnProperty(key) ? variables[key] : match;
+      if (variables.hasOwnProperty(key)) return variables[key];
+      // dotted keys such as {{{item.name}}} set by the FOREACH node
+      const value = key.includes(".") ? resolvePath(variables, key) : undefined;
+      return value === undefined || typeof value === "object" ? match : value;
     });
   }
 
@@ -447,10 +532,28 @@ async function sendWaMessage({
   uid,
   variablesObj,
   content = null,
+  simulation,
 }) {
   try {
     let sendMsgId = null;
 
+    if (simulation) {
+      return simulation.stub("SEND_MESSAGE", {
+        to: message?.senderMobile,
+        content: content || node?.data?.content,
+      });
+    }
+
+    if (!isGroup && (await isSuppressed(uid, message?.senderMobile))) {
+      await logSuppressed({
+        uid,
+        source: "AUTOMATION",
+        mobile: message?.senderMobile,
+        name: message?.senderName,
+      });
+      return null;
+    }
+
     if (origin === "qr") {
       const {
         getSession,
@@ -534,6 +637,79 @@ async function getActiveFlows({ uid, origin, sessionId }) {
   }
 }
 
+// graph of any flow of the user, pinned to a version when one is given
+async function getFlowRefGraph({ uid, flowRef }) {
+  const [row] = flowRef?.version
+    ? await query(
+        `SELECT data FROM beta_flow_versions WHERE uid = ? AND flow_id = ? AND version = ?`,
+        [uid, flowRef.flowId, flowRef.version]
+      )
+    : await query(`SELECT data FROM beta_flows WHERE uid = ? AND flow_id = ?`, [
+        uid,
+        flowRef?.flowId,
+      ]);
+
+  if (!row) return null;
+
+  const data = JSON.parse(row.data) || {};
+  return { nodes: data?.nodes || [], edges: data?.edges || [] };
+}
+
+// returns the graph a sender should run on, a running session stays pinned to
+// the flow version it was started with even after a newer one is published
+async function getFlowGraph({
+  uid,
+  element,
+  senderMobile,
+  followSubFlow = true,
+}) {
+  try {
+    const flowData = JSON.parse(element.data) || {};
+    const graph = {
+      nodes: flowData?.nodes || [],
+      edges: flowData?.edges || [],
+      version: element?.published_version || null,
+    };
+
+    const [session] = await query(
+      `SELECT flow_version, data FROM flow_session WHERE uid = ? AND flow_id = ? AND sender_mobile = ?`,
+      [uid, element.flow_id, senderMobile]
+    );
+
+    // a session inside a sub-flow runs on that flow's graph
+    const flowRef =
+      followSubFlow && session?.data ? JSON.parse(session.data)?.flowRef : null;
+    if (flowRef) {
+      const subGraph = await getFlowRefGraph({ uid, flowRef });
+      if (subGraph) return { ...subGraph, version: session.flow_version };
+    }
+
+    if (
+      !session?.flow_version ||
+      session.flow_version === element?.published_version
+    ) {
+      return graph;
+    }
+
+    const [pinned] = await query(
+      `SELECT data FROM beta_flow_versions WHERE uid = ? AND flow_id = ? AND version = ?`,
+      [uid, element.flow_id, session.flow_version]
+    );
+
+    if (!pinned) return graph;
+
+    const pinnedData = JSON.parse(pinned.data) || {};
+    return {
+      nodes: pinnedData?.nodes || [],
+      edges: pinnedData?.edges || [],
+      version: session.flow_version,
+    };
+  } catch (err) {
+    console.error("Error in getFlowGraph:", err);
+    throw err;
+  }
+}
+
 async function getFlowSession({
   flowId,
   message,
@@ -543,15 +719,20 @@ async function getFlowSession({
   edges = [],
   sessionId,
   origin,
+  chatId = null,
+  flowVersion = null,
+  simulation,
 }) {
   try {
     if (!message?.senderMobile) return null;
 
     // Check for existing session
-    let [flowSession] = await query(
-      `SELECT * FROM flow_session WHERE uid = ? AND flow_id = ? AND sender_mobile = ?`,
-      [uid, flowId, message.senderMobile]
-    );
+    let [flowSession] = simulation
+      ? [simulation.session]
+      : await query(
+          `SELECT * FROM flow_session WHERE uid = ? AND flow_id = ? AND sender_mobile = ?`,
+          [uid, flowId, message.senderMobile]
+        );
 
     if (!flowSession) {
       const initialFlow = nodes.find((n) => n.id === "initialNode");
@@ -560,38 +741,63 @@ async function getFlowSession({
 
       if (!getNode) return null;
 
-      // Insert new session
-      await query(
-        `INSERT INTO flow_session (uid, origin, origin_id, flow_id, sender_mobile, data) VALUES (?,?,?,?,?,?)`,
-        [
-          uid,
-          origin,
-          sessionId,
-          flowId,
-          message.senderMobile,
-          JSON.stringify({
-            variables: {
-              senderMobile: message.senderMobile,
-              senderName: message.senderName,
-              senderMessage: incomingText,
-            },
-            node: getNode,
-          }),
-        ]
-      );
+      const newSession = {
+        uid,
+        origin,
+        origin_id: sessionId,
+        flow_id: flowId,
+        flow_version: flowVersion,
+        sender_mobile: message.senderMobile,
+        chat_id: chatId,
+        last_activity: Date.now(),
+        data: JSON.stringify({
+          variables: {
+            senderMobile: message.senderMobile,
+            senderName: message.senderName,
+            senderMessage: incomingText,
+          },
+          node: getNode,
+        }),
+      };
 
-      // Get newly created session
-      [flowSession] = await query(
-        `SELECT * FROM flow_session WHERE uid = ? AND flow_id = ? AND sender_mobile = ?`,
-        [uid, flowId, message.senderMobile]
+      if (simulation) {
+        simulation.session = { id: null, ...newSession };
+        flowSession = simulation.session;
+      } else {
+        // Insert new session
+        await query(`INSERT INTO flow_session SET ?`, newSession);
+
+        // Get newly created session
+        [flowSession] = await query(
+          `SELECT * FROM flow_session WHERE uid = ? AND flow_id = ? AND sender_mobile = ?`,
+          [uid, flowId, message.senderMobile]
+        );
+      }
+    } else if (!simulation) {
+      // every incoming message restarts the inactivity timeout
+      await query(
+        `UPDATE flow_session SET last_activity = ?, timeout_state = ?, chat_id = ? WHERE id = ?`,
+        [Date.now(), 0, chatId || flowSession.chat_id, flowSession.id]
       );
     }
 
     if (!flowSession) return null;
 
     const fData = JSON.parse(flowSession.data);
+
+    // contact fields are defaults, anything the flow saved wins
+    const [contact] = simulation
+      ? []
+      : await query(
+          `SELECT * FROM contact WHERE uid = ? AND mobile IN (?) LIMIT 1`,
+          [uid, [message.senderMobile, `+${message.senderMobile}`]]
+        );
+
     // updating varisbles name, mobile, message
-    let variablesObj = fData?.variables || {};
+    let variablesObj = {
+      ...getContactVariables(contact),
+      ...(fData?.variables || {}),
+    };
     variablesObj.senderMobile = message.senderMobile;
     variablesObj.senderName = message.senderName;
     variablesObj.senderMessage = incomingText;
@@ -621,10 +827,24 @@ async function processSendMessage({
   flowSession,
   element,
   variablesObj,
+  simulation,
+  trace,
 }) {
   try {
     const uid = user?.uid;
 
+    // links in the text are swapped for tracked ones when the node asks for it
+    const tracked =
+      node?.data?.trackLinks && !simulation
+        ? await trackMessageLinks(node?.data?.content, {
+            uid,
+            source: LINK_SOURCES.FLOW,
+            sourceId: flowSession?.flow_id || element?.flow_id,
+            mobile: message?.senderMobile,
+            nodeId: node?.id,
+          })
+        : { result: node?.data?.content, codes: [] };
+
     const sendMsg = await sendWaMessage({
       message,
       node,
@@ -632,6 +852,8 @@ async function processSendMessage({
       sessionId,
       isGroup: false,
       uid,
+      content: tracked.result,
+      simulation,
     });
 
     const userTimezone = getCurrentTimestampInTimeZone(
@@ -639,10 +861,12 @@ async function processSendMessage({
     );
 
     if (sendMsg) {
+      await setLinksMessage(tracked.codes, sendMsg);
+
       const messageData = {
         type: node?.data?.type?.type,
         metaChatId: sendMsg,
-        msgContext: node?.data?.content,
+        msgContext: tracked.result,
         reaction: "",
         timestamp: parseInt(userTimezone) + 1,
         senderName: message.senderName,
@@ -653,17 +877,14 @@ async function processSendMessage({
         origin: origin,
       };
 
-      await saveMessageToConversation({
-        uid: uid,
+      await saveOutgoingMessage({
+        uid,
         chatId,
         messageData,
+        simulation,
+        trace,
       });
 
-      await query(
-        `UPDATE beta_chats SET last_message = ? WHERE chat_id = ? AND uid = ?`,
-        [JSON.stringify(messageData), chatId, uid]
-      );
-
       // finding new id
       const e = edges.find((e) => e.source === node.id);
       if (!e) return {};
@@ -672,15 +893,13 @@ async function processSendMessage({
       if (n) {
         const oldData = flowSession?.data;
         const newData = { ...oldData, node: n };
-        await query(
-          `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-          [
-            JSON.stringify(newData),
-            element?.flow_id,
-            uid,
-            message?.senderMobile,
-          ]
-        );
+        await updateSessionData({
+          data: newData,
+          element,
+          uid,
+          message,
+          simulation,
+        });
         return { moveToNextNode: node?.data?.moveToNextNode || false };
       } else {
         return {};
@@ -690,140 +909,475 @@ async function processSendMessage({
     }
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
-async function processCondition({
-  chatId,
-  message,
+// flat list of what the customer can tap on a BUTTON or LIST node
+function getInteractiveOptions(type, data) {
+  if (type === "LIST") {
+    return (data?.sections || []).flatMap((section) => section?.rows || []);
+  }
+  return data?.buttons || [];
+}
+
+// native cloud api payload for a BUTTON or LIST node
+function buildInteractiveContent(type, data, options) {
+  const interactive = {
+    type: type === "LIST" ? "list" : "button",
+    body: { text: data?.body || "" },
+  };
+
+  if (data?.header) interactive.header = { type: "text", text: data.header };
+  if (data?.footer) interactive.footer = { text: data.footer };
+
+  interactive.action =
+    type === "LIST"
+      ? {
+          button: data?.buttonText || "Menu",
+          sections: (data?.sections || []).map((section) => ({
+            title: section?.title,
+            rows: (section?.rows || []).map((row) => ({
+              id: row.id,
+              title: row.title,
+              ...(row.description ? { description: row.description } : {}),
+            })),
+          })),
+        }
+      : {
+          buttons: options.map((o) => ({
+            type: "reply",
+            reply: { id: o.id, title: o.title },
+          })),
+        };
+
+  return { type: "interactive", interactive };
+}
+
+// numbered text version used for qr sessions and for the inbox history
+function interactiveToText(data, options) {
+  const lines = [
+    data?.header,
+    data?.body,
+    options.map((o, i) => `${i + 1}. ${o.title}`).join("\n"),
+    data?.footer,
+  ];
+  return lines.filter(Boolean).join("\n\n");
+}
+
+// a tap carries the option id, qr customers answer the numbered menu
+function matchInteractiveReply({ options, message, incomingText, origin }) {
+  if (message?.payload) {
+    return options.find((o) => o.id === message.payload) || null;
+  }
+
+  if (origin !== "qr") return null;
+
+  const text = (incomingText || "").trim().toLowerCase();
+  const index = parseInt(text);
+  if (`${index}` === text && options[index - 1]) {
+    return options[index - 1];
+  }
+
+  return options.find((o) => o.title?.trim().toLowerCase() === text) || null;
+}
+
+// BUTTON and LIST nodes send the menu and then wait on the same node, the
+// reply is routed on the handle named after the tapped option id or on the
+// fallback handle when the customer typed something else
+async function processInteractive({
   node,
-  origin,
   sessionId,
   user,
+  message,
+  chatId,
+  origin,
   nodes,
   edges,
   flowSession,
   element,
   variablesObj,
-  incomingText: incomingTextOld,
+  incomingText,
+  simulation,
+  trace,
 }) {
   try {
-    const { uid } = user;
-    let incomingText;
-    if (node?.data.variable?.active) {
-      incomingText = replaceVariables(incomingTextOld, variablesObj);
-    } else {
-      incomingText = incomingTextOld;
-    }
+    const uid = user?.uid;
+    const data = replaceVariables(node?.data || {}, variablesObj);
+    const options = getInteractiveOptions(node.type, data);
 
-    const getCondition = matchCondition(
-      node?.data?.conditions || [],
-      incomingText
-    );
+    if (flowSession?.data?.awaitingReply === node.id) {
+      const option = matchInteractiveReply({
+        options,
+        message,
+        incomingText,
+        origin,
+      });
+
+      const e = edges.find(
+        (e) =>
+          e.source === node.id &&
+          e.sourceHandle === (option ? option.id : "fallback")
+      );
+      const n = nodes.find((n) => n.id === e?.target);
 
-    if (getCondition) {
-      const e =
-        edges?.find((e) => e.sourceHandle === getCondition?.targetNodeId) || {};
-      const n = nodes?.find((n) => n.id === e?.target);
-      if (n) {
-        const oldData = flowSession?.data;
-        const newData = { ...oldData, node: n };
-        await query(
-          `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-          [
-            JSON.stringify(newData),
-            element?.flow_id,
-            uid,
-            message?.senderMobile,
-          ]
-        );
-      }
-    } else {
-      // process default condition if not matched
-      const e =
-        edges?.find(
-          (e) => e.source === node?.id && e.sourceHandle === "default"
-        ) || {};
-      const n = nodes?.find((n) => n.id === e?.target);
       if (n) {
-        const oldData = flowSession?.data;
-        const newData = { ...oldData, node: n };
-        await query(
-          `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-          [
-            JSON.stringify(newData),
-            element?.flow_id,
-            uid,
-            message?.senderMobile,
-          ]
-        );
+        const newData = {
+          ...flowSession?.data,
+          node: n,
+          awaitingReply: null,
+          variables:
+            option && data?.saveAs
+              ? { ...variablesObj, [data.saveAs]: option.title }
+              : variablesObj,
+        };
+        await updateSessionData({
+          data: newData,
+          element,
+          uid,
+          message,
+          simulation,
+        });
+        return { moveToNextNode: true };
       }
+      // nothing to route to, the menu is sent again below
     }
 
-    return { moveToNextNode: node?.data?.moveToNextNode };
+    const textContent = {
+      type: "text",
+      text: { preview_url: false, body: interactiveToText(data, options) },
+    };
+
+    const sendMsg = await sendWaMessage({
+      message,
+      node,
+      origin,
+      sessionId,
+      isGroup: false,
+      uid,
+      content:
+        origin === "qr"
+          ? textContent
+          : buildInteractiveContent(node.type, data, options),
+      simulation,
+    });
+
+    if (!sendMsg) return {};
+
+    const userTimezone = getCurrentTimestampInTimeZone(
+      user?.timezone || "Asia/Kolkata"
+    );
+
+    await saveOutgoingMessage({
+      uid,
+      chatId,
+      messageData: {
+        type: "text",
+        metaChatId: sendMsg,
+        msgContext: textContent,
+        reaction: "",
+        timestamp: parseInt(userTimezone) + 1,
+        senderName: message.senderName,
+        senderMobile: message.senderMobile,
+        star: 0,
+        route: "OUTGOING",
+        context: null,
+        origin: origin,
+      },
+      simulation,
+      trace,
+    });
+
+    await updateSessionData({
+      data: { ...flowSession?.data, awaitingReply: node.id },
+      element,
+      uid,
+      message,
+      simulation,
+    });
+
+    return {};
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
-async function processResponseSaver({
-  chatId,
-  message,
+const MAX_FOREACH_ITEMS = 50;
+
+// FOREACH walks an array variable. in EACH mode every pass exposes
+// {{{item}}} and {{{index}}} (1 based) and follows the "each" handle, the
+// loop body connects back to this node and "done" is taken once the list
+// ends. JOIN mode renders a template per item into one saveAs variable
+async function processForEach({
   node,
-  origin,
-  sessionId,
   user,
+  message,
   nodes,
   edges,
   flowSession,
   element,
   variablesObj,
-  incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
-    const { uid } = user;
-    const newVars = node?.data?.variables || [];
-    const convertVar = setVariables(newVars, { message });
-    const savingVars = { ...(variablesObj || {}), ...(convertVar || {}) };
-
-    const e = edges.find((e) => e.source === node.id);
-    if (!e) return {};
-
-    const n = nodes.find((n) => n.id === e.target);
-    if (!n) return {};
+    const uid = user?.uid;
+    const config = node?.data || {};
+
+    let list = resolvePath(variablesObj, config.source);
+    if (typeof list === "string") {
+      try {
+        list = JSON.parse(list);
+      } catch (err) {
+        list = [];
+      }
+    }
+    list = resolvePath(list, config.path);
+
+    const items = (Array.isArray(list) ? list : [])
+      .slice(0, parseInt(config.limit) || MAX_FOREACH_ITEMS)
+      .map((x) => (config.itemPath ? resolvePath(x, config.itemPath) : x));
+
+    const loops = { ...(flowSession?.data?.loops || {}) };
+    let variables = { ...variablesObj };
+    let handle;
+
+    if (config.mode === "JOIN") {
+      const rendered = items.map((item, i) =>
+        replaceVariables(config.template || "{{{item}}}", {
+          ...variablesObj,
+          item,
+          index: i + 1,
+        })
+      );
+      variables[config.saveAs || "list"] = rendered.join(
+        config.separator ?? "\n"
+      );
+      handle = "done";
+    } else {
+      const position = loops[node.id]?.index || 0;
+
+      if (position < items.length) {
+        loops[node.id] = { index: position + 1 };
+        variables = {
+          ...variables,
+          item: items[position],
+          index: position + 1,
+        };
+        handle = "each";
+      } else {
+        delete loops[node.id];
+        handle = "done";
+      }
+    }
 
-    const newData = {
-      ...(flowSession?.data || {}),
-      node: n,
-      variables: savingVars,
-    };
+    const e =
+      edges.find((e) => e.source === node.id && e.sourceHandle === handle) ||
+      (handle === "done"
+        ? edges.find((e) => e.source === node.id && !e.sourceHandle)
+        : null);
+    const n = nodes.find((n) => n.id === e?.target);
 
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: { ...flowSession?.data, node: n || node, loops, variables },
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
-    return { moveToNextNode: node?.data?.moveToNextNode || false };
+    return { moveToNextNode: !!n };
   } catch (err) {
-    console.error("Error in processResponseSaver:", err);
-    return {};
+    console.log(err);
+    return { error: err?.message };
   }
 }
 
-async function checkIfChatDisabled({ flowSession }) {
-  try {
-    const tS = flowSession?.data?.disableChat?.timestamp || 0;
-    let currentTime = new Date().getTime();
-    return tS < currentTime;
-  } catch (err) {
-    console.log(err);
-    return false;
-  }
+// session data as it is after a node ran
+async function getSessionData({ flowSession, simulation }) {
+  const [session] = simulation
+    ? [simulation.session]
+    : await query(`SELECT data FROM flow_session WHERE id = ?`, [
+        flowSession?.id,
+      ]);
+  return session?.data ? JSON.parse(session.data) : null;
 }
 
-async function processDisableAutoReply({
+const MAX_SUB_FLOW_DEPTH = 5;
+
+// SUB_FLOW jumps into another flow of the same user inside the current
+// session, so variables carry across. with returnToCaller the caller is kept
+// on callStack and resumed once the sub-flow reaches a node without edges.
+// subFlowHops counts the jumps since the flow last waited for the sender so
+// flows calling each other in a circle stop at MAX_SUB_FLOW_DEPTH
+async function processSubFlow({
+  node,
+  user,
+  message,
+  nodes,
+  edges,
+  flowSession,
+  element,
+  simulation,
+}) {
+  try {
+    const uid = user?.uid;
+    const config = node?.data || {};
+    const callStack = flowSession?.data?.callStack || [];
+    const hops = flowSession?.data?.subFlowHops || 0;
+
+    const skip = async (error) => {
+      const e = edges.find((e) => e.source === node.id);
+      const n = nodes.find((n) => n.id === e?.target);
+      if (n) {
+        await updateSessionData({
+          data: { ...flowSession?.data, node: n },
+          element,
+          uid,
+          message,
+          simulation,
+        });
+      }
+      return { moveToNextNode: !!n, error };
+    };
+
+    if (hops >= MAX_SUB_FLOW_DEPTH) {
+      return await skip(
+        `Sub-flow jump limit of ${MAX_SUB_FLOW_DEPTH} reached, call skipped`
+      );
+    }
+    if (config.returnToCaller && callStack.length >= MAX_SUB_FLOW_DEPTH) {
+      return await skip(
+        `Sub-flow call depth of ${MAX_SUB_FLOW_DEPTH} exceeded, call skipped`
+      );
+    }
+
+    const [target] = await query(
+      `SELECT * FROM beta_flows WHERE uid = ? AND flow_id = ?`,
+      [uid, config.flowId]
+    );
+    if (!target) {
+      return await skip(`Sub-flow ${config.flowId} was not found`);
+    }
+
+    const flowRef = {
+      flowId: target.flow_id,
+      version: target.published_version || null,
+    };
+    const graph = await getFlowRefGraph({ uid, flowRef });
+    const startEdge = graph?.edges.find((e) => e.source === "initialNode");
+    const startNode = graph?.nodes.find((n) => n.id === startEdge?.target);
+
+    if (!startNode) {
+      return await skip(`Sub-flow ${config.flowId} has no start node`);
+    }
+
+    const callerRef = flowSession?.data?.flowRef || {
+      flowId: element?.flow_id,
+      version: flowSession?.flow_version || null,
+    };
+
+    const newData = {
+      ...flowSession?.data,
+      node: startNode,
+      flowRef: target.flow_id === element?.flow_id ? null : flowRef,
+      callStack: config.returnToCaller
+        ? [
+            ...callStack,
+            {
+              flowRef: callerRef,
+              nodeId: node.id,
+              loops: flowSession?.data?.loops || {},
+            },
+          ]
+        : callStack,
+      subFlowHops: hops + 1,
+      awaitingReply: null,
+      loops: {},
+    };
+
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
+
+    return { moveToNextNode: true, graph };
+  } catch (err) {
+    console.log(err);
+    return { error: err?.message };
+  }
+}
+
+// called when a node without outgoing edges ran inside a returning sub-flow,
+// resumes the caller after its SUB_FLOW node and returns the caller graph
+async function returnFromSubFlow({
+  user,
+  message,
+  flowSession,
+  element,
+  simulation,
+}) {
+  try {
+    const uid = user?.uid;
+    const data = (await getSessionData({ flowSession, simulation })) || {};
+    const callStack = [...(data?.callStack || [])];
+    const frame = callStack.pop();
+    if (!frame) return null;
+
+    const graph = await getFlowRefGraph({ uid, flowRef: frame.flowRef });
+    const e = graph?.edges.find((e) => e.source === frame.nodeId);
+    const n = graph?.nodes.find((n) => n.id === e?.target);
+    if (!n) return null;
+
+    const newData = {
+      ...data,
+      node: n,
+      flowRef:
+        frame.flowRef?.flowId === element?.flow_id ? null : frame.flowRef,
+      callStack,
+      awaitingReply: null,
+      loops: frame.loops || {},
+    };
+
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
+
+    return graph;
+  } catch (err) {
+    console.log(err);
+    return null;
+  }
+}
+
+// the flow stopped to wait for the sender, the next message may jump again
+async function resetSubFlowHops({
+  user,
+  message,
+  flowSession,
+  element,
+  simulation,
+}) {
+  const data = await getSessionData({ flowSession, simulation });
+  if (!data?.subFlowHops) return;
+
+  await updateSessionData({
+    data: { ...data, subFlowHops: 0 },
+    element,
+    uid: user?.uid,
+    message,
+    simulation,
+  });
+}
+
+async function processCondition({
   chatId,
   message,
   node,
@@ -836,6 +1390,381 @@ async function processDisableAutoReply({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
+}) {
+  try {
+    const { uid } = user;
+    let incomingText;
+    if (node?.data.variable?.active) {
+      incomingText = replaceVariables(incomingTextOld, variablesObj);
+    } else {
+      incomingText = incomingTextOld;
+    }
+
+    const getCondition = matchCondition(
+      node?.data?.conditions || [],
+      incomingText
+    );
+
+    if (getCondition) {
+      const e =
+        edges?.find((e) => e.sourceHandle === getCondition?.targetNodeId) || {};
+      const n = nodes?.find((n) => n.id === e?.target);
+      if (n) {
+        const oldData = flowSession?.data;
+        const newData = { ...oldData, node: n };
+        await updateSessionData({
+          data: newData,
+          element,
+          uid,
+          message,
+          simulation,
+        });
+      }
+    } else {
+      // process default condition if not matched
+      const e =
+        edges?.find(
+          (e) => e.source === node?.id && e.sourceHandle === "default"
+        ) || {};
+      const n = nodes?.find((n) => n.id === e?.target);
+      if (n) {
+        const oldData = flowSession?.data;
+        const newData = { ...oldData, node: n };
+        await updateSessionData({
+          data: newData,
+          element,
+          uid,
+          message,
+          simulation,
+        });
+      }
+    }
+
+    return { moveToNextNode: node?.data?.moveToNextNode };
+  } catch (err) {
+    console.log(err);
+    return { error: err?.message };
+  }
+}
+
+const INPUT_TYPES = [
+  "EMAIL",
+  "PHONE",
+  "INTEGER",
+  "DECIMAL",
+  "DATE",
+  "REGEX",
+  "OPTIONS",
+];
+
+const DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "DD/MM/YYYY",
+  "DD-MM-YYYY",
+  "DD.MM.YYYY",
+  "D MMM YYYY",
+  "D MMMM YYYY",
+  "MMM D YYYY",
+  "MMMM D YYYY",
+];
+
+// checks what the customer typed against a RESPONSE_SAVER validation and
+// returns the normalised value to save
+function validateInput(validation, input, { timezone } = {}) {
+  const text = (input || "").trim();
+  const inRange = (num) =>
+    (validation.min === undefined ||
+      validation.min === "" ||
+      num >= Number(validation.min)) &&
+    (validation.max === undefined ||
+      validation.max === "" ||
+      num <= Number(validation.max));
+
+  switch (validation?.type) {
+    case "EMAIL":
+      return {
+        valid: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text),
+        value: text.toLowerCase(),
+      };
+
+    case "PHONE": {
+      const phone = text ? formatPhoneNumber(text) : "";
+      return { valid: /^\+\d{8,15}$/.test(phone), value: phone };
+    }
+
+    case "INTEGER": {
+      const num = Number(text);
+      return {
+        valid: /^-?\d+$/.test(text) && inRange(num),
+        value: `${num}`,
+      };
+    }
+
+    case "DECIMAL": {
+      const num = Number(text.replace(",", "."));
+      return {
+        valid: /^-?\d+([.,]\d+)?$/.test(text) && inRange(num),
+        value: `${num}`,
+      };
+    }
+
+    case "DATE": {
+      const date = moment.tz(
+        text,
+        validation.format ? [validation.format] : DATE_FORMATS,
+        true,
+        timezone || "Asia/Kolkata"
+      );
+      return { valid: date.isValid(), value: date.format("YYYY-MM-DD") };
+    }
+
+    case "REGEX":
+      try {
+        return {
+          valid: new RegExp(validation.pattern, validation.flags || "").test(
+            text
+          ),
+          value: text,
+        };
+      } catch (err) {
+        return { valid: false, value: text };
+      }
+
+    case "OPTIONS": {
+      const option = (validation.options || []).find((o) =>
+        validation.caseSensitive
+          ? `${o}`.trim() === text
+          : `${o}`.trim().toLowerCase() === text.toLowerCase()
+      );
+      return { valid: option !== undefined, value: `${option ?? text}` };
+    }
+
+    default:
+      return { valid: true, value: input };
+  }
+}
+
+async function sendTextReply({
+  text,
+  message,
+  origin,
+  sessionId,
+  user,
+  chatId,
+  simulation,
+  trace,
+}) {
+  const content = { type: "text", text: { preview_url: false, body: text } };
+  const sendMsg = await sendWaMessage({
+    message,
+    node: {},
+    origin,
+    sessionId,
+    isGroup: false,
+    uid: user?.uid,
+    content,
+    simulation,
+  });
+
+  if (!sendMsg) return null;
+
+  const userTimezone = getCurrentTimestampInTimeZone(
+    user?.timezone || "Asia/Kolkata"
+  );
+
+  await saveOutgoingMessage({
+    uid: user?.uid,
+    chatId,
+    messageData: {
+      type: "text",
+      metaChatId: sendMsg,
+      msgContext: content,
+      reaction: "",
+      timestamp: parseInt(userTimezone) + 1,
+      senderName: message.senderName,
+      senderMobile: message.senderMobile,
+      star: 0,
+      route: "OUTGOING",
+      context: null,
+      origin: origin,
+    },
+    simulation,
+    trace,
+  });
+
+  return sendMsg;
+}
+
+// a RESPONSE_SAVER with data.validation keeps asking with retryMessage until
+// the reply is valid, after maxAttempts it follows the "invalid" handle
+async function processInvalidResponse({
+  chatId,
+  message,
+  node,
+  origin,
+  sessionId,
+  user,
+  nodes,
+  edges,
+  flowSession,
+  element,
+  simulation,
+  trace,
+}) {
+  const validation = node?.data?.validation || {};
+  const attempts = { ...(flowSession?.data?.attempts || {}) };
+  attempts[node.id] = (attempts[node.id] || 0) + 1;
+
+  const maxAttempts = parseInt(validation.maxAttempts) || 0;
+  const e =
+    maxAttempts > 0 && attempts[node.id] >= maxAttempts
+      ? edges.find((e) => e.source === node.id && e.sourceHandle === "invalid")
+      : null;
+  const n = nodes.find((n) => n.id === e?.target);
+
+  if (n) {
+    delete attempts[node.id];
+  } else if (validation.retryMessage) {
+    await sendTextReply({
+      text: validation.retryMessage,
+      message,
+      origin,
+      sessionId,
+      user,
+      chatId,
+      simulation,
+      trace,
+    });
+  }
+
+  await updateSessionData({
+    data: { ...flowSession?.data, node: n || node, attempts },
+    element,
+    uid: user?.uid,
+    message,
+    simulation,
+  });
+
+  return { moveToNextNode: !!n };
+}
+
+async function processResponseSaver({
+  chatId,
+  message,
+  node,
+  origin,
+  sessionId,
+  user,
+  nodes,
+  edges,
+  flowSession,
+  element,
+  variablesObj,
+  incomingText: incomingTextOld,
+  simulation,
+  trace,
+}) {
+  try {
+    const { uid } = user;
+    let savedMessage = message;
+
+    if (node?.data?.validation?.type) {
+      const { valid, value } = validateInput(
+        node.data.validation,
+        incomingTextOld,
+        { timezone: user?.timezone }
+      );
+
+      if (!valid) {
+        return await processInvalidResponse({
+          chatId,
+          message,
+          node,
+          origin,
+          sessionId,
+          user,
+          nodes,
+          edges,
+          flowSession,
+          element,
+          simulation,
+          trace,
+        });
+      }
+
+      // the cleaned up value is what gets saved
+      savedMessage = {
+        ...message,
+        msgContext: {
+          ...message?.msgContext,
+          text: { ...message?.msgContext?.text, body: value },
+        },
+      };
+    }
+
+    const newVars = node?.data?.variables || [];
+    const convertVar = setVariables(newVars, { message: savedMessage });
+    const savingVars = { ...(variablesObj || {}), ...(convertVar || {}) };
+
+    const e = edges.find(
+      (e) => e.source === node.id && e.sourceHandle !== "invalid"
+    );
+    if (!e) return {};
+
+    const n = nodes.find((n) => n.id === e.target);
+    if (!n) return {};
+
+    const attempts = { ...(flowSession?.data?.attempts || {}) };
+    delete attempts[node.id];
+
+    const newData = {
+      ...(flowSession?.data || {}),
+      node: n,
+      variables: savingVars,
+      attempts,
+    };
+
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
+
+    return { moveToNextNode: node?.data?.moveToNextNode || false };
+  } catch (err) {
+    console.error("Error in processResponseSaver:", err);
+    return { error: err?.message };
+  }
+}
+
+async function checkIfChatDisabled({ flowSession }) {
+  try {
+    const tS = flowSession?.data?.disableChat?.timestamp || 0;
+    let currentTime = new Date().getTime();
+    return tS < currentTime;
+  } catch (err) {
+    console.log(err);
+    return false;
+  }
+}
+
+async function processDisableAutoReply({
+  chatId,
+  message,
+  node,
+  origin,
+  sessionId,
+  user,
+  nodes,
+  edges,
+  flowSession,
+  element,
+  variablesObj,
+  incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
@@ -850,17 +1779,20 @@ async function processDisableAutoReply({
       disableChat: { node, timestamp: timeStamp },
     };
 
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
     console.log("DISABLE CHAT", { hours, minutes });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
@@ -877,11 +1809,14 @@ async function processMakeRequest({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
     const config = node.data;
-    const resp = await makeRequestBeta(config, variablesObj);
+    const resp = simulation
+      ? simulation.stub("MAKE_REQUEST", replaceVariables(config, variablesObj))
+      : await makeRequestBeta(config, variablesObj);
     let allVars;
 
     if (resp.success) {
@@ -907,15 +1842,18 @@ async function processMakeRequest({
       variables: allVars,
     };
 
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
@@ -932,12 +1870,17 @@ async function processDelay({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
     const { seconds } = node.data;
     console.log(`Message waiting for ${seconds} sec`);
-    await delay(seconds || 0);
+    if (simulation) {
+      simulation.stub("DELAY", { seconds: seconds || 0 });
+    } else {
+      await delay(seconds || 0);
+    }
 
     const e = edges.find((e) => e.source === node.id);
     if (!e) return {};
@@ -946,15 +1889,18 @@ async function processDelay({
 
     const oldData = flowSession?.data;
     const newData = { ...oldData, node: n };
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
@@ -971,18 +1917,25 @@ async function processSpreadSheet({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
     const { authUrl, authLabel, jsonData, sheetName, sheetId } = node.data;
 
     if (authUrl && authLabel && jsonData && sheetName && sheetId) {
-      await pushSpreadSheet({
+      const sheetData = {
         authUrl,
         sheetName,
         sheetId,
         jsonData: replaceJsonWithVar(jsonData, variablesObj),
-      });
+      };
+
+      if (simulation) {
+        simulation.stub("SPREADSHEET", sheetData);
+      } else {
+        await pushSpreadSheet(sheetData);
+      }
     }
 
     const e = edges.find((e) => e.source === node.id);
@@ -992,15 +1945,18 @@ async function processSpreadSheet({
 
     const oldData = flowSession?.data;
     const newData = { ...oldData, node: n };
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
@@ -1017,6 +1973,7 @@ async function processSendEmail({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
@@ -1035,19 +1992,28 @@ async function processSendEmail({
     } = node.data;
 
     console.log("sending email");
-    await sendEmailBeta({
-      host,
-      port,
-      email,
-      pass,
-      username,
-      from,
-      to: replaceVarFromString(to, variablesObj),
-      subject: replaceVarFromString(subject, variablesObj),
-      html: replaceVarFromString(html, variablesObj),
-      security,
-      useAuth,
-    });
+    if (simulation) {
+      simulation.stub("EMAIL", {
+        from,
+        to: replaceVarFromString(to, variablesObj),
+        subject: replaceVarFromString(subject, variablesObj),
+        html: replaceVarFromString(html, variablesObj),
+      });
+    } else {
+      await sendEmailBeta({
+        host,
+        port,
+        email,
+        pass,
+        username,
+        from,
+        to: replaceVarFromString(to, variablesObj),
+        subject: replaceVarFromString(subject, variablesObj),
+        html: replaceVarFromString(html, variablesObj),
+        security,
+        useAuth,
+      });
+    }
     console.log("email sent");
 
     const e = edges.find((e) => e.source === node.id);
@@ -1057,15 +2023,74 @@ async function processSendEmail({
 
     const oldData = flowSession?.data;
     const newData = { ...oldData, node: n };
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
+  }
+}
+
+async function processEnrollSequence({
+  chatId,
+  message,
+  node,
+  origin,
+  sessionId,
+  user,
+  nodes,
+  edges,
+  flowSession,
+  element,
+  variablesObj,
+  incomingText: incomingTextOld,
+  simulation,
+}) {
+  try {
+    const { uid } = user;
+    const { sequenceId } = node.data;
+
+    if (simulation) {
+      simulation.stub("ENROLL_SEQUENCE", {
+        sequenceId,
+        mobile: message?.senderMobile,
+      });
+    } else {
+      await enrollInSequence({
+        uid,
+        sequenceId,
+        mobile: message?.senderMobile,
+        name: message?.senderName,
+        source: "AUTOMATION",
+      });
+    }
+
+    const e = edges.find((e) => e.source === node.id);
+    if (!e) return {};
+    const n = nodes.find((n) => n.id === e.target);
+    if (!n) return {};
+
+    const oldData = flowSession?.data;
+    const newData = { ...oldData, node: n };
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
+
+    return { moveToNextNode: node?.data?.moveToNextNode || false };
+  } catch (err) {
+    console.log(err);
+    return { error: err?.message };
   }
 }
 
@@ -1082,23 +2107,44 @@ async function processAgentTransfer({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
-    const { agentData, autoAgentSelect } = node.data;
+    const { agentData, autoAgentSelect, teamId } = node.data;
 
     let agentNewData = null;
 
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [uid, chatId]
+    );
+
+    // a transfer to a team puts the chat in the team queue, the agent comes
+    // from that team or a member claims it
+    if (teamId && chat) {
+      chat.assigned_team = teamId;
+      chat.assigned_agent = null;
+      if (!simulation) {
+        await query(
+          `UPDATE beta_chats SET assigned_team = ?, assigned_agent = NULL WHERE id = ?`,
+          [teamId, chat.id]
+        );
+      }
+    }
+
     if (autoAgentSelect) {
-      const agentData = await query(
-        `SELECT * FROM agents WHERE uid = ? AND is_active = ?`,
-        [uid, 1]
-      );
-      if (agentData?.length > 0) {
-        const randomAgent =
-          agentData[Math.floor(Math.random() * agentData.length)];
-        agentNewData = randomAgent;
-      } else {
+      // the routing settings pick the agent, with routing off any active
+      // agent can get the chat
+      const settings = getRoutingSettings(user);
+      agentNewData = await pickAgent({
+        uid,
+        chat,
+        settings: settings.enabled
+          ? settings
+          : { ...settings, online_only: false, max_chats: 0 },
+      });
+      if (!agentNewData) {
         console.log("No active agents found for transfer.");
         return { moveToNextNode: node?.data?.moveToNextNode || false };
       }
@@ -1112,11 +2158,19 @@ async function processAgentTransfer({
       }
     }
 
-    if (agentNewData) {
-      await query(
-        `UPDATE beta_chats SET assigned_agent = ? WHERE uid = ? AND chat_id = ?`,
-        [JSON.stringify(agentNewData), uid, chatId]
-      );
+    if (agentNewData && simulation) {
+      simulation.stub("AGENT_TRANSFER", {
+        uid: agentNewData.uid,
+        name: agentNewData.name,
+        email: agentNewData.email,
+      });
+    } else if (agentNewData && chat) {
+      await assignChat({
+        uid,
+        chat,
+        agent: agentNewData,
+        reason: ASSIGN_REASONS.FLOW,
+      });
     }
 
     const e = edges.find((e) => e.source === node.id);
@@ -1126,15 +2180,18 @@ async function processAgentTransfer({
 
     const oldData = flowSession?.data;
     const newData = { ...oldData, node: n };
-    await query(
-      `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-      [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-    );
+    await updateSessionData({
+      data: newData,
+      element,
+      uid,
+      message,
+      simulation,
+    });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
@@ -1151,6 +2208,8 @@ async function processAiTransfer({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
+  trace,
 }) {
   try {
     const { uid } = user;
@@ -1165,10 +2224,7 @@ async function processAiTransfer({
       // updating mysql with ai
       let a = flowSession?.data || {};
       a.aiTransfer = { active: true, node: node };
-      await query(
-        `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-        [JSON.stringify(a), element?.flow_id, uid, message?.senderMobile]
-      );
+      await updateSessionData({ data: a, element, uid, message, simulation });
     } else {
       const e = edges.find((e) => e.source === node.id);
       console.log({ e });
@@ -1179,10 +2235,13 @@ async function processAiTransfer({
 
       const oldData = flowSession?.data;
       const newData = { ...oldData, node: n };
-      await query(
-        `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-        [JSON.stringify(newData), element?.flow_id, uid, message?.senderMobile]
-      );
+      await updateSessionData({
+        data: newData,
+        element,
+        uid,
+        message,
+        simulation,
+      });
     }
 
     let conversationArr = await query(
@@ -1202,7 +2261,9 @@ async function processAiTransfer({
 
     // console.log({ aiQuestion: conversationArr[conversationArr.length - 1] });
 
-    const result = await aiTransferHandler(config, conversationArr);
+    const result = simulation
+      ? simulation.stub("AI_TRANSFER", { incomingText: incomingTextOld })
+      : await aiTransferHandler(config, conversationArr);
 
     console.dir({ result }, { depth: null });
 
@@ -1221,6 +2282,7 @@ async function processAiTransfer({
             body: result?.data?.message || result?.message,
           },
         },
+        simulation,
       });
 
       const userTimezone = getCurrentTimestampInTimeZone(
@@ -1248,17 +2310,14 @@ async function processAiTransfer({
           origin: origin,
         };
 
-        await saveMessageToConversation({
-          uid: uid,
+        await saveOutgoingMessage({
+          uid,
           chatId,
           messageData,
+          simulation,
+          trace,
         });
 
-        await query(
-          `UPDATE beta_chats SET last_message = ? WHERE chat_id = ? AND uid = ?`,
-          [JSON.stringify(messageData), chatId, uid]
-        );
-
         return {};
       } else {
         return {};
@@ -1283,15 +2342,13 @@ async function processAiTransfer({
           node: n,
           aiTransfer: { active: false, node: null },
         };
-        await query(
-          `UPDATE flow_session SET data = ? WHERE flow_id = ? AND uid = ? AND sender_mobile = ?`,
-          [
-            JSON.stringify(newData),
-            element?.flow_id,
-            uid,
-            message?.senderMobile,
-          ]
-        );
+        await updateSessionData({
+          data: newData,
+          element,
+          uid,
+          message,
+          simulation,
+        });
       }
       return { moveToNextNode: true };
     } else {
@@ -1299,7 +2356,7 @@ async function processAiTransfer({
     }
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
   }
 }
 
@@ -1316,6 +2373,7 @@ async function processMysqlQuery({
   element,
   variablesObj,
   incomingText: incomingTextOld,
+  simulation,
 }) {
   try {
     const { uid } = user;
@@ -1323,7 +2381,12 @@ async function processMysqlQuery({
 
     let mysqlVars = {};
     const replaceVars = replaceJsonWithVarsNew(node.data, variablesObj);
-    const resp = await executeMySQLQuery(replaceVars);
+    const resp = simulation
+      ? simulation.stub("MYSQL_QUERY", {
+          query: replaceVars?.query,
+          variables: replaceVars?.variables,
+        })
+      : await executeMySQLQuery(replaceVars);
 
     if (resp.success) {
       mysqlVars = setVariables(node?.data?.variables || [], {
@@ -1335,6 +2398,7 @@ async function processMysqlQuery({
       key: "variables",
       pushObj: mysqlVars,
       flowSession,
+      simulation,
     });
 
     const e = edges.find((e) => e.source === node.id);
@@ -1346,20 +2410,82 @@ async function processMysqlQuery({
       key: "node",
       pushObj: n,
       flowSession,
+      simulation,
     });
 
     return { moveToNextNode: node?.data?.moveToNextNode || false };
   } catch (err) {
     console.log(err);
-    return {};
+    return { error: err?.message };
+  }
+}
+
+function getChangedVariables(before = {}, after = {}) {
+  const changed = {};
+  Object.keys(after || {}).forEach((key) => {
+    if (JSON.stringify(before?.[key]) !== JSON.stringify(after[key])) {
+      changed[key] = after[key];
+    }
+  });
+  return changed;
+}
+
+// stores one row per node the session went through so support can replay
+// why the bot replied the way it did
+async function saveFlowTrace({
+  uid,
+  flowSession,
+  flowVersion,
+  node,
+  incomingText,
+  variablesBefore,
+  result,
+  trace,
+  startedAt,
+}) {
+  try {
+    const after = (await getSessionData({ flowSession })) || {};
+    const nextNodeId = after?.node?.id;
+
+    await query(`INSERT INTO flow_session_trace SET ?`, {
+      uid,
+      session_id: flowSession?.id,
+      flow_id: flowSession?.flow_id,
+      flow_version: flowVersion || null,
+      sender_mobile: flowSession?.sender_mobile,
+      node_id: node?.id,
+      node_type: node?.type,
+      input: incomingText,
+      branch: nextNodeId && nextNodeId !== node?.id ? nextNodeId : null,
+      variables: JSON.stringify(
+        getChangedVariables(variablesBefore, after?.variables)
+      ),
+      outbound: JSON.stringify(trace?.outbound || []),
+      error: result?.error || null,
+      duration_ms: Date.now() - startedAt,
+    });
+  } catch (err) {
+    console.log("Error while saving flow trace:", err);
   }
 }
 
 module.exports = {
+  saveFlowTrace,
+  sendWaMessage,
+  saveOutgoingMessage,
   extractBodyText,
   getActiveFlows,
+  getFlowGraph,
+  getFlowRefGraph,
   getFlowSession,
   processSendMessage,
+  processInteractive,
+  getInteractiveOptions,
+  processForEach,
+  INPUT_TYPES,
+  processSubFlow,
+  resetSubFlowHops,
+  returnFromSubFlow,
   replaceVariables,
   processCondition,
   processResponseSaver,
@@ -1369,6 +2495,7 @@ module.exports = {
   processDelay,
   processSpreadSheet,
   processSendEmail,
+  processEnrollSequence,
   processAgentTransfer,
   processAiTransfer,
   processMysqlQuery,
@@ -0,0 +1,130 @@
+const { processFlow } = require("./automation");
+const { extractBodyText, getFlowRefGraph } = require("./functions");
+
+const MAX_SIMULATION_STEPS = 100;
+
+// turns the mock a user gave for a node into the same shape the real
+// processor would get back from makeRequestBeta / executeMySQLQuery
+function mockResponse(type, mock) {
+  switch (type) {
+    case "MAKE_REQUEST":
+      return mock
+        ? {
+            success: true,
+            data: { status: mock.status || 200, body: mock.body },
+          }
+        : { success: false, msg: "No mock response provided for this node" };
+
+    case "MYSQL_QUERY":
+      return mock
+        ? { success: true, data: mock.rows || mock }
+        : { success: false, error: "No mock rows provided for this node" };
+
+    case "AI_TRANSFER":
+      return mock || { success: false, message: "" };
+
+    default:
+      return null;
+  }
+}
+
+function createSimulation({ mocks = {} }) {
+  const simulation = {
+    session: null,
+    steps: [],
+    outbound: [],
+    isExhausted: () => simulation.steps.length >= MAX_SIMULATION_STEPS,
+    // records what would have left the server and returns a fake result
+    stub: (type, payload) => {
+      const node = JSON.parse(simulation.session?.data || "{}")?.node;
+      const id = `simulated_${simulation.outbound.length + 1}`;
+      simulation.outbound.push({
+        id,
+        step: simulation.steps.length,
+        nodeId: node?.id || null,
+        type,
+        payload,
+      });
+
+      return type === "SEND_MESSAGE"
+        ? id
+        : mockResponse(type, mocks?.[node?.id]);
+    },
+  };
+
+  return simulation;
+}
+
+function toSimulatedMessage(item, { senderName, senderMobile }) {
+  const msgContext =
+    typeof item === "string"
+      ? { type: "text", text: { preview_url: false, body: item } }
+      : item;
+
+  return {
+    type: msgContext?.type,
+    metaChatId: null,
+    msgContext,
+    reaction: "",
+    timestamp: Math.round(Date.now() / 1000),
+    senderName,
+    senderMobile,
+    star: false,
+    route: "INCOMING",
+    context: null,
+    origin: "meta",
+    payload: item?.payload || null,
+  };
+}
+
+// dry runs a flow against scripted incoming messages, nothing is sent and
+// nothing is written to flow_session or beta_conversation
+async function simulateFlow({
+  nodes,
+  edges,
+  flowId,
+  user,
+  messages,
+  mocks,
+  senderName = "Simulator",
+  senderMobile = "910000000000",
+}) {
+  const simulation = createSimulation({ mocks });
+
+  for (const item of messages) {
+    if (simulation.isExhausted()) break;
+
+    const message = toSimulatedMessage(item, { senderName, senderMobile });
+
+    // same as getFlowGraph, a session inside a sub-flow runs on its graph
+    const flowRef = JSON.parse(simulation.session?.data || "{}")?.flowRef;
+    const graph = flowRef
+      ? await getFlowRefGraph({ uid: user?.uid, flowRef })
+      : null;
+
+    await processFlow({
+      nodes: graph?.nodes || nodes,
+      edges: graph?.edges || edges,
+      uid: user?.uid,
+      flowId,
+      message,
+      incomingText: extractBodyText(message),
+      user,
+      sessionId: null,
+      origin: "meta",
+      chatId: null,
+      element: { flow_id: flowId },
+      flowVersion: null,
+      simulation,
+    });
+  }
+
+  return {
+    path: simulation.steps,
+    outbound: simulation.outbound,
+    variables: JSON.parse(simulation.session?.data || "{}")?.variables || {},
+    truncated: simulation.isExhausted(),
+  };
+}
+
+module.exports = { simulateFlow };
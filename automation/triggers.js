@@ -0,0 +1,218 @@
+const moment = require("moment-timezone");
+const { query } = require("../database/dbpromise");
+
+const TRIGGER_TYPES = [
+  "KEYWORD",
+  "REGEX",
+  "FIRST_MESSAGE",
+  "TAG",
+  "PHONEBOOK",
+  "BUTTON_PAYLOAD",
+  "OUTSIDE_HOURS",
+];
+
+function parseTriggers(flow) {
+  try {
+    const triggers = JSON.parse(flow?.triggers || "[]");
+    return Array.isArray(triggers) ? triggers : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// returns an error message for the first broken rule, null when all are fine
+function validateTriggers(triggers) {
+  if (!Array.isArray(triggers)) return "Triggers should be a list";
+
+  for (const rule of triggers) {
+    if (!TRIGGER_TYPES.includes(rule?.type)) {
+      return `Unknown trigger type ${rule?.type}`;
+    }
+
+    if (
+      ["KEYWORD", "REGEX", "TAG", "PHONEBOOK", "BUTTON_PAYLOAD"].includes(
+        rule.type
+      ) &&
+      !rule.value
+    ) {
+      return `${rule.type} trigger needs a value`;
+    }
+
+    if (rule.type === "REGEX") {
+      try {
+        new RegExp(rule.value, rule.flags || "");
+      } catch (err) {
+        return `Invalid regex ${rule.value}`;
+      }
+    }
+
+    if (
+      rule.type === "OUTSIDE_HOURS" &&
+      (!/^\d{2}:\d{2}$/.test(rule.from) || !/^\d{2}:\d{2}$/.test(rule.to))
+    ) {
+      return "Business hours should be in HH:mm format";
+    }
+  }
+
+  return null;
+}
+
+function isOutsideHours(rule, timezone) {
+  const now = moment.tz(timezone || "Asia/Kolkata");
+  const days =
+    rule.days?.length > 0 ? rule.days.map(Number) : [0, 1, 2, 3, 4, 5, 6];
+  if (!days.includes(now.day())) return true;
+
+  const current = now.format("HH:mm");
+  return current < rule.from || current >= rule.to;
+}
+
+// only runs the lookups the configured rules need
+async function loadTriggerContext({ uid, flows, message, chatId }) {
+  const types = new Set(
+    flows.flatMap((f) => parseTriggers(f)).map((r) => r.type)
+  );
+  const context = { tags: [], phonebooks: [], firstMessage: false };
+
+  if (types.has("FIRST_MESSAGE")) {
+    const [count] = await query(
+      `SELECT COUNT(*) AS total FROM beta_conversation WHERE uid = ? AND chat_id = ? AND route = ?`,
+      [uid, chatId, "INCOMING"]
+    );
+    // the incoming message is already saved at this point
+    context.firstMessage = (count?.total || 0) <= 1;
+  }
+
+  if (types.has("TAG")) {
+    const [chat] = await query(
+      `SELECT chat_label FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [uid, chatId]
+    );
+    try {
+      const labels = JSON.parse(chat?.chat_label || "[]");
+      context.tags = Array.isArray(labels) ? labels : [labels];
+    } catch (err) {
+      context.tags = [];
+    }
+  }
+
+  if (types.has("PHONEBOOK")) {
+    context.phonebooks = await query(
+      `SELECT phonebook_id, phonebook_name FROM contact WHERE uid = ? AND mobile IN (?)`,
+      [uid, [message.senderMobile, `+${message.senderMobile}`]]
+    );
+  }
+
+  return context;
+}
+
+function matchTrigger(rule, { message, incomingText, user, context }) {
+  const text = (incomingText || "").trim();
+
+  switch (rule.type) {
+    case "KEYWORD":
+      return rule.caseSensitive
+        ? text === rule.value
+        : text.toLowerCase() === String(rule.value).toLowerCase();
+
+    case "REGEX":
+      try {
+        return new RegExp(rule.value, rule.flags || "").test(text);
+      } catch (err) {
+        return false;
+      }
+
+    case "FIRST_MESSAGE":
+      return context.firstMessage;
+
+    case "TAG":
+      return context.tags.some(
+        (t) => `${t?.id}` === `${rule.value}` || t?.title === rule.value
+      );
+
+    case "PHONEBOOK":
+      return context.phonebooks.some(
+        (p) =>
+          `${p.phonebook_id}` === `${rule.value}` ||
+          p.phonebook_name === rule.value
+      );
+
+    case "BUTTON_PAYLOAD":
+      return !!message?.payload && message.payload === rule.value;
+
+    case "OUTSIDE_HOURS":
+      return isOutsideHours(rule, user?.timezone);
+
+    default:
+      return false;
+  }
+}
+
+// flow_session.timeout_state of a session the sweeper already expired
+const SESSION_EXPIRED = 2;
+
+// a running session of a flow without its own timeout stops owning the
+// conversation after this long without a message
+const OWNER_IDLE_MINUTES = 30;
+
+// an expired or idle session no longer holds the conversation
+function isSessionLive(session, flow) {
+  if (!session || session.timeout_state >= SESSION_EXPIRED) return false;
+
+  const idleMinutes =
+    parseInt(flow.timeout_minutes) > 0
+      ? parseInt(flow.timeout_minutes)
+      : OWNER_IDLE_MINUTES;
+  return (session.last_activity || 0) >= Date.now() - idleMinutes * 60 * 1000;
+}
+
+// picks the one flow that should answer this sender. a flow with a live
+// session owns the conversation, a matched flow of the same or a higher
+// priority takes it over, any matched flow once the session ended or went
+// idle. ties go to the lowest id
+async function selectFlow({ uid, flows, message, incomingText, chatId, user }) {
+  if (flows?.length < 1) return null;
+
+  const sorted = [...flows].sort(
+    (a, b) => (b.priority || 0) - (a.priority || 0) || a.id - b.id
+  );
+
+  const context = await loadTriggerContext({ uid, flows, message, chatId });
+
+  const matched = sorted.filter((flow) => {
+    const triggers = parseTriggers(flow);
+    return triggers.some((rule) =>
+      matchTrigger(rule, { message, incomingText, user, context })
+    );
+  });
+
+  const [session] = await query(
+    `SELECT flow_id, last_activity, timeout_state FROM flow_session WHERE uid = ? AND sender_mobile = ? AND flow_id IN (?) ORDER BY last_activity DESC, id DESC LIMIT 1`,
+    [uid, message.senderMobile, flows.map((f) => f.flow_id)]
+  );
+  const owner = sorted.find((f) => f.flow_id === session?.flow_id);
+
+  if (owner) {
+    const live = isSessionLive(session, owner);
+    if (!live && matched[0]?.flow_id === owner.flow_id) return owner;
+
+    const challenger = matched.find(
+      (f) =>
+        f.flow_id !== owner.flow_id &&
+        (!live || (f.priority || 0) >= (owner.priority || 0))
+    );
+    if (!challenger) return owner;
+
+    // the triggered flow starts from its beginning
+    await query(
+      `DELETE FROM flow_session WHERE uid = ? AND flow_id IN (?) AND sender_mobile = ?`,
+      [uid, [owner.flow_id, challenger.flow_id], message.senderMobile]
+    );
+    return challenger;
+  }
+
+  // flows without any rule keep the old behaviour and catch every message
+  return matched[0] || sorted.find((f) => parseTriggers(f).length < 1) || null;
+}
+
+module.exports = { TRIGGER_TYPES, validateTriggers, selectFlow };
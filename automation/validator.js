@@ -0,0 +1,471 @@
+const { getInteractiveOptions, INPUT_TYPES } = require("./functions");
+
+// variables every session starts with, see getFlowSession
+const BUILT_IN_VARIABLES = ["senderMobile", "senderName", "senderMessage"];
+
+// nodes that stop the engine from running straight into the next node, or
+// like FOREACH only loop a bounded number of times
+const PAUSING_TYPES = ["DELAY", "BUTTON", "LIST", "FOREACH"];
+
+// cloud api limits for interactive messages
+const INTERACTIVE_LIMITS = {
+  BUTTON: { options: 3, title: 20 },
+  LIST: { options: 10, title: 24 },
+};
+
+function issue(code, message, extra = {}) {
+  return { code, message, ...extra };
+}
+
+function nodeLabel(node) {
+  return `${node?.type || "Unknown"} node (${node?.id})`;
+}
+
+// variables a node writes into the session once it has run
+function getSetVariables(node) {
+  if (node?.type === "FOREACH") {
+    return node?.data?.mode === "JOIN"
+      ? [node?.data?.saveAs || "list"]
+      : ["item", "index"];
+  }
+
+  if (INTERACTIVE_LIMITS[node?.type]) {
+    return node?.data?.saveAs ? [node.data.saveAs] : [];
+  }
+
+  const vars = node?.data?.variables;
+  if (!Array.isArray(vars)) return [];
+
+  switch (node.type) {
+    case "RESPONSE_SAVER":
+    case "MYSQL_QUERY":
+      return vars.map((v) => v?.varName).filter(Boolean);
+    case "MAKE_REQUEST":
+      return vars.map((v) => v?.key).filter(Boolean);
+    default:
+      return [];
+  }
+}
+
+// every {{{variable}}} placeholder found anywhere in the node data
+function getUsedVariables(value, found = new Set()) {
+  if (typeof value === "string") {
+    for (const match of value.matchAll(/\{\{\{([^{}]+)\}\}\}/g)) {
+      found.add(match[1].trim().split(".")[0]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => getUsedVariables(item, found));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => getUsedVariables(item, found));
+  }
+  return found;
+}
+
+// tarjan strongly connected components, returns the ones that loop
+function findLoops(nodeIds, adjacency) {
+  let index = 0;
+  const stack = [];
+  const onStack = new Set();
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const loops = [];
+
+  const visit = (id) => {
+    indexes.set(id, index);
+    lowLinks.set(id, index);
+    index++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of adjacency.get(id) || []) {
+      if (!indexes.has(next)) {
+        visit(next);
+        lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(id, Math.min(lowLinks.get(id), indexes.get(next)));
+      }
+    }
+
+    if (lowLinks.get(id) === indexes.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      const selfLoop = (adjacency.get(id) || []).includes(id);
+      if (component.length > 1 || selfLoop) {
+        loops.push(component.reverse());
+      }
+    }
+  };
+
+  nodeIds.forEach((id) => {
+    if (!indexes.has(id)) visit(id);
+  });
+
+  return loops;
+}
+
+// flow ids the SUB_FLOW nodes of a flow jump into
+function getSubFlowTargets(nodes = []) {
+  return [
+    ...new Set(
+      nodes
+        .filter((n) => n?.type === "SUB_FLOW" && n.data?.flowId)
+        .map((n) => n.data.flowId)
+    ),
+  ];
+}
+
+// true when following SUB_FLOW jumps from startId gets back to flowId
+function reachesFlow(startId, flowId, subFlowLinks) {
+  const seen = new Set();
+  const queue = [startId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === flowId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    (subFlowLinks[id] || []).forEach((next) => queue.push(next));
+  }
+  return false;
+}
+
+// walks the same nodes/edges getFlowSession and the processX handlers use
+// and reports what would break at runtime. errors block saving, warnings
+// are sent back to the editor. subFlowLinks maps the other flows of the user
+// to the flows they jump into, see getSubFlowTargets
+function validateFlow({
+  nodes = [],
+  edges = [],
+  knownVariables = [],
+  flowId = null,
+  subFlowLinks = {},
+}) {
+  const errors = [];
+  const warnings = [];
+
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const validEdges = [];
+
+  edges.forEach((e) => {
+    const missing = [e.source, e.target].filter((id) => !nodeMap.has(id));
+    if (missing.length > 0) {
+      errors.push(
+        issue(
+          "DANGLING_EDGE",
+          `Edge ${e.id || ""} points to missing node ${missing.join(", ")}`,
+          { edgeId: e.id }
+        )
+      );
+    } else {
+      validEdges.push(e);
+    }
+  });
+
+  const outgoing = new Map(nodes.map((n) => [n.id, []]));
+  validEdges.forEach((e) => outgoing.get(e.source).push(e));
+
+  const initialNode = nodeMap.get("initialNode");
+  if (!initialNode) {
+    errors.push(issue("MISSING_INITIAL_NODE", "Flow has no initialNode"));
+  } else if (outgoing.get(initialNode.id).length < 1) {
+    errors.push(
+      issue("MISSING_INITIAL_NODE", "initialNode is not connected", {
+        nodeId: initialNode.id,
+      })
+    );
+  }
+
+  // reachability from the start of the flow
+  const reachable = new Set();
+  if (initialNode) {
+    const queue = [initialNode.id];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (reachable.has(id)) continue;
+      reachable.add(id);
+      outgoing.get(id).forEach((e) => queue.push(e.target));
+    }
+
+    nodes
+      .filter((n) => !reachable.has(n.id))
+      .forEach((n) =>
+        warnings.push(
+          issue(
+            "UNREACHABLE_NODE",
+            `${nodeLabel(n)} can not be reached from initialNode`,
+            { nodeId: n.id }
+          )
+        )
+      );
+  }
+
+  nodes.forEach((n) => {
+    const handles = outgoing.get(n.id).map((e) => e.sourceHandle);
+
+    if (n.type === "CONDITION" && !handles.includes("default")) {
+      warnings.push(
+        issue(
+          "CONDITION_WITHOUT_DEFAULT",
+          `${nodeLabel(n)} has no default branch`,
+          { nodeId: n.id }
+        )
+      );
+    }
+
+    if (n.type === "AI_TRANSFER") {
+      (n?.data?.functions || [])
+        .filter((f) => f?.id && !handles.includes(f.id))
+        .forEach((f) =>
+          warnings.push(
+            issue(
+              "AI_FUNCTION_WITHOUT_EDGE",
+              `Function ${f.name || f.id} of ${nodeLabel(n)} is not connected`,
+              { nodeId: n.id, handle: f.id }
+            )
+          )
+        );
+    }
+  });
+
+  nodes
+    .filter((n) => n.type === "RESPONSE_SAVER" && n.data?.validation?.type)
+    .forEach((n) => {
+      const validation = n.data.validation;
+      const handles = outgoing.get(n.id).map((e) => e.sourceHandle);
+
+      if (!INPUT_TYPES.includes(validation.type)) {
+        errors.push(
+          issue(
+            "INVALID_VALIDATION",
+            `${nodeLabel(n)} uses unknown validation ${validation.type}`,
+            { nodeId: n.id }
+          )
+        );
+      } else if (validation.type === "REGEX") {
+        try {
+          new RegExp(validation.pattern, validation.flags || "");
+        } catch (err) {
+          errors.push(
+            issue(
+              "INVALID_VALIDATION",
+              `${nodeLabel(n)} has an invalid regex`,
+              { nodeId: n.id }
+            )
+          );
+        }
+      }
+
+      if (validation.maxAttempts > 0 && !handles.includes("invalid")) {
+        warnings.push(
+          issue(
+            "VALIDATION_WITHOUT_INVALID_EDGE",
+            `${nodeLabel(n)} has no invalid branch, it keeps asking after ${
+              validation.maxAttempts
+            } tries`,
+            { nodeId: n.id }
+          )
+        );
+      }
+    });
+
+  nodes
+    .filter((n) => n.type === "SUB_FLOW")
+    .forEach((n) => {
+      if (!n.data?.flowId) {
+        errors.push(
+          issue("MISSING_SUB_FLOW", `${nodeLabel(n)} has no flow selected`, {
+            nodeId: n.id,
+          })
+        );
+      } else if (n.data.returnToCaller && outgoing.get(n.id).length < 1) {
+        warnings.push(
+          issue(
+            "SUB_FLOW_WITHOUT_EDGE",
+            `${nodeLabel(n)} returns to the caller but has no next node`,
+            { nodeId: n.id }
+          )
+        );
+      }
+    });
+
+  // jumps that lead back into this flow, the engine stops them at the
+  // sub-flow depth limit
+  if (flowId) {
+    const links = { ...subFlowLinks, [flowId]: getSubFlowTargets(nodes) };
+
+    nodes
+      .filter((n) => n.type === "SUB_FLOW" && n.data?.flowId)
+      .filter((n) => reachesFlow(n.data.flowId, flowId, links))
+      .forEach((n) =>
+        warnings.push(
+          issue(
+            "SUB_FLOW_CYCLE",
+            `${nodeLabel(n)} leads back into this flow through flow ${
+              n.data.flowId
+            }`,
+            { nodeId: n.id, flowId: n.data.flowId }
+          )
+        )
+      );
+  }
+
+  nodes
+    .filter((n) => n.type === "ENROLL_SEQUENCE" && !n.data?.sequenceId)
+    .forEach((n) =>
+      errors.push(
+        issue("MISSING_SEQUENCE", `${nodeLabel(n)} has no sequence selected`, {
+          nodeId: n.id,
+        })
+      )
+    );
+
+  nodes
+    .filter((n) => INTERACTIVE_LIMITS[n.type])
+    .forEach((n) => {
+      const limits = INTERACTIVE_LIMITS[n.type];
+      const options = getInteractiveOptions(n.type, n.data);
+      const handles = outgoing.get(n.id).map((e) => e.sourceHandle);
+
+      if (options.length < 1 || options.length > limits.options) {
+        errors.push(
+          issue(
+            "INVALID_INTERACTIVE",
+            `${nodeLabel(n)} needs 1 to ${limits.options} options`,
+            { nodeId: n.id }
+          )
+        );
+      }
+
+      const ids = options.map((o) => o?.id);
+      options.forEach((o) => {
+        if (!o?.id || ids.indexOf(o.id) !== ids.lastIndexOf(o.id)) {
+          errors.push(
+            issue(
+              "INVALID_INTERACTIVE",
+              `Every option of ${nodeLabel(n)} needs a unique id`,
+              { nodeId: n.id }
+            )
+          );
+        } else if (!o.title || o.title.length > limits.title) {
+          errors.push(
+            issue(
+              "INVALID_INTERACTIVE",
+              `Option ${o.id} of ${nodeLabel(n)} needs a title of up to ${
+                limits.title
+              } characters`,
+              { nodeId: n.id, handle: o.id }
+            )
+          );
+        } else if (!handles.includes(o.id)) {
+          warnings.push(
+            issue(
+              "INTERACTIVE_OPTION_WITHOUT_EDGE",
+              `Option ${o.title} of ${nodeLabel(n)} is not connected`,
+              { nodeId: n.id, handle: o.id }
+            )
+          );
+        }
+      });
+
+      if (!handles.includes("fallback")) {
+        warnings.push(
+          issue(
+            "INTERACTIVE_WITHOUT_FALLBACK",
+            `${nodeLabel(
+              n
+            )} has no fallback branch, typed replies resend the menu`,
+            { nodeId: n.id }
+          )
+        );
+      }
+    });
+
+  // a loop where every node moves on by itself never waits for the user
+  const autoNodes = nodes.filter(
+    (n) => n?.data?.moveToNextNode && !PAUSING_TYPES.includes(n.type)
+  );
+  const autoIds = new Set(autoNodes.map((n) => n.id));
+  const autoAdjacency = new Map(
+    autoNodes.map((n) => [
+      n.id,
+      outgoing
+        .get(n.id)
+        .map((e) => e.target)
+        .filter((id) => autoIds.has(id)),
+    ])
+  );
+
+  findLoops([...autoIds], autoAdjacency).forEach((loop) =>
+    errors.push(
+      issue(
+        "INFINITE_LOOP",
+        `Nodes ${loop.join(", ")} loop without waiting for a reply`,
+        { nodeIds: loop }
+      )
+    )
+  );
+
+  // variables that may have been set by the time each node runs
+  const available = new Map();
+  if (initialNode) {
+    available.set(
+      initialNode.id,
+      new Set([...BUILT_IN_VARIABLES, ...knownVariables])
+    );
+    const queue = [initialNode.id];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const after = new Set([
+        ...available.get(id),
+        ...getSetVariables(nodeMap.get(id)),
+      ]);
+
+      outgoing.get(id).forEach((e) => {
+        const current = available.get(e.target) || new Set();
+        const size = available.has(e.target) ? current.size : -1;
+        after.forEach((v) => current.add(v));
+        if (current.size !== size) {
+          available.set(e.target, current);
+          queue.push(e.target);
+        }
+      });
+    }
+  }
+
+  nodes
+    .filter((n) => available.has(n.id))
+    .forEach((n) => {
+      const known = available.get(n.id);
+      const used = getUsedVariables(n.data);
+
+      if (n.type === "FOREACH") {
+        // the join template sees the current item before it is stored
+        used.delete("item");
+        used.delete("index");
+        if (n.data?.source) used.add(n.data.source.split(".")[0]);
+      }
+
+      used.forEach((v) => {
+        if (!known.has(v)) {
+          warnings.push(
+            issue(
+              "UNDEFINED_VARIABLE",
+              `${nodeLabel(n)} uses {{{${v}}}} before any node sets it`,
+              { nodeId: n.id, variable: v }
+            )
+          );
+        }
+      });
+    });
+
+  return { isValid: errors.length < 1, errors, warnings };
+}
+
+module.exports = { validateFlow, getSubFlowTargets };
@@ -0,0 +1,570 @@
+const { query } = require("./dbpromise");
+
+// tables and columns added on top of the base install. every entry follows
+// the same { check, run } shape the update_app route accepts as newQueries
+const newQueries = [
+  {
+    check: `SHOW TABLES LIKE 'beta_flow_versions'`,
+    run: `CREATE TABLE beta_flow_versions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      flow_id VARCHAR(999),
+      version INT NOT NULL,
+      name VARCHAR(999),
+      source VARCHAR(999),
+      data LONGTEXT,
+      note VARCHAR(999),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'published_version'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN published_version INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM flow_session LIKE 'flow_version'`,
+    run: `ALTER TABLE flow_session ADD COLUMN flow_version INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'flow_session_trace'`,
+    run: `CREATE TABLE flow_session_trace (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      session_id INT,
+      flow_id VARCHAR(999),
+      flow_version INT DEFAULT NULL,
+      sender_mobile VARCHAR(999),
+      node_id VARCHAR(999),
+      node_type VARCHAR(999),
+      input LONGTEXT,
+      branch VARCHAR(999),
+      variables LONGTEXT,
+      outbound LONGTEXT,
+      error LONGTEXT,
+      duration_ms INT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'timeout_minutes'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN timeout_minutes INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'timeout_action'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN timeout_action VARCHAR(999) DEFAULT 'RESTART'`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'timeout_node'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN timeout_node VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'reminder_minutes'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN reminder_minutes INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'reminder_message'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN reminder_message LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM flow_session LIKE 'chat_id'`,
+    run: `ALTER TABLE flow_session ADD COLUMN chat_id VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM flow_session LIKE 'last_activity'`,
+    run: `ALTER TABLE flow_session ADD COLUMN last_activity BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM flow_session LIKE 'timeout_state'`,
+    run: `ALTER TABLE flow_session ADD COLUMN timeout_state INT DEFAULT 0`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'triggers'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN triggers LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_flows LIKE 'priority'`,
+    run: `ALTER TABLE beta_flows ADD COLUMN priority INT DEFAULT 0`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'contact_fields'`,
+    run: `CREATE TABLE contact_fields (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      name VARCHAR(999),
+      label VARCHAR(999),
+      type VARCHAR(999) DEFAULT 'text',
+      options LONGTEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM contact LIKE 'custom_fields'`,
+    run: `ALTER TABLE contact ADD COLUMN custom_fields LONGTEXT`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'contact_imports'`,
+    run: `CREATE TABLE contact_imports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      import_id VARCHAR(999),
+      phonebook_id VARCHAR(999),
+      phonebook_name VARCHAR(999),
+      file_name VARCHAR(999),
+      status VARCHAR(999) DEFAULT 'PREVIEW',
+      headers LONGTEXT,
+      data LONGTEXT,
+      mapping LONGTEXT,
+      options LONGTEXT,
+      total INT DEFAULT 0,
+      processed INT DEFAULT 0,
+      inserted INT DEFAULT 0,
+      updated INT DEFAULT 0,
+      skipped INT DEFAULT 0,
+      rejected INT DEFAULT 0,
+      report LONGTEXT,
+      error VARCHAR(999),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'contact_segments'`,
+    run: `CREATE TABLE contact_segments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      segment_id VARCHAR(999),
+      title VARCHAR(999),
+      match_type VARCHAR(999) DEFAULT 'all',
+      rules LONGTEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'segment_id'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN segment_id VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'last_inbound_at'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN last_inbound_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'suppression_list'`,
+    run: `CREATE TABLE suppression_list (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      mobile VARCHAR(999),
+      source VARCHAR(999),
+      note LONGTEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM user LIKE 'opt_out_keywords'`,
+    run: `ALTER TABLE user ADD COLUMN opt_out_keywords LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM user LIKE 'opt_in_keywords'`,
+    run: `ALTER TABLE user ADD COLUMN opt_in_keywords LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'rate_per_minute'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN rate_per_minute INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'rate_per_hour'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN rate_per_hour INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'daily_cap'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN daily_cap INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'send_window'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN send_window LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'throttle_state'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN throttle_state VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign_logs LIKE 'sent_at'`,
+    run: `ALTER TABLE beta_campaign_logs ADD COLUMN sent_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM meta_api LIKE 'messaging_limit_tier'`,
+    run: `ALTER TABLE meta_api ADD COLUMN messaging_limit_tier VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'variants'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN variants LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'test_percent'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN test_percent INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'winner_wait_minutes'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN winner_wait_minutes INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'winner_metric'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN winner_metric VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'winner_variant'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN winner_variant VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'test_finished_at'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN test_finished_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign_logs LIKE 'variant_id'`,
+    run: `ALTER TABLE beta_campaign_logs ADD COLUMN variant_id VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign_logs LIKE 'replied_at'`,
+    run: `ALTER TABLE beta_campaign_logs ADD COLUMN replied_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'sequences'`,
+    run: `CREATE TABLE sequences (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      sequence_id VARCHAR(999),
+      title VARCHAR(999),
+      status VARCHAR(999) DEFAULT 'ACTIVE',
+      triggers LONGTEXT,
+      steps LONGTEXT,
+      exit_on_reply INT DEFAULT 1,
+      allow_reenroll INT DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'sequence_enrollments'`,
+    run: `CREATE TABLE sequence_enrollments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      sequence_id VARCHAR(999),
+      contact_mobile VARCHAR(999),
+      contact_name VARCHAR(999) DEFAULT NULL,
+      source VARCHAR(999) DEFAULT NULL,
+      status VARCHAR(999) DEFAULT 'ACTIVE',
+      exit_reason VARCHAR(999) DEFAULT NULL,
+      current_step INT DEFAULT 0,
+      attempts INT DEFAULT 0,
+      enrolled_at BIGINT DEFAULT NULL,
+      next_run_at BIGINT DEFAULT NULL,
+      last_sent_at BIGINT DEFAULT NULL,
+      last_reply_at BIGINT DEFAULT NULL,
+      history LONGTEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'recurrence'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN recurrence LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'next_run_at'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN next_run_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'last_run_at'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN last_run_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'last_contact_id'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN last_contact_id INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'parent_campaign_id'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN parent_campaign_id VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'run_number'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN run_number INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'contacts_after_id'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN contacts_after_id INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'tracked_links'`,
+    run: `CREATE TABLE tracked_links (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      code VARCHAR(999),
+      url LONGTEXT,
+      source VARCHAR(999),
+      source_id VARCHAR(999),
+      contact_mobile VARCHAR(999),
+      log_id INT DEFAULT NULL,
+      node_id VARCHAR(999),
+      meta_msg_id VARCHAR(999),
+      click_count INT DEFAULT 0,
+      first_clicked_at BIGINT DEFAULT NULL,
+      last_clicked_at BIGINT DEFAULT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'link_clicks'`,
+    run: `CREATE TABLE link_clicks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      code VARCHAR(999),
+      source VARCHAR(999),
+      source_id VARCHAR(999),
+      contact_mobile VARCHAR(999),
+      ip VARCHAR(999),
+      user_agent LONGTEXT,
+      clicked_at BIGINT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'link_conversions'`,
+    run: `CREATE TABLE link_conversions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      code VARCHAR(999),
+      source VARCHAR(999),
+      source_id VARCHAR(999),
+      contact_mobile VARCHAR(999),
+      order_id VARCHAR(999),
+      amount DECIMAL(12,2) DEFAULT 0,
+      currency VARCHAR(999),
+      data LONGTEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'track_links'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN track_links INT DEFAULT 0`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'click_count'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN click_count INT DEFAULT 0`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'conversion_count'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN conversion_count INT DEFAULT 0`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign LIKE 'conversion_value'`,
+    run: `ALTER TABLE beta_campaign ADD COLUMN conversion_value DECIMAL(12,2) DEFAULT 0`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign_logs LIKE 'clicked_at'`,
+    run: `ALTER TABLE beta_campaign_logs ADD COLUMN clicked_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM user LIKE 'chat_routing'`,
+    run: `ALTER TABLE user ADD COLUMN chat_routing LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM agents LIKE 'skills'`,
+    run: `ALTER TABLE agents ADD COLUMN skills LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM agents LIKE 'max_chats'`,
+    run: `ALTER TABLE agents ADD COLUMN max_chats INT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM agents LIKE 'last_assigned_at'`,
+    run: `ALTER TABLE agents ADD COLUMN last_assigned_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'assigned_at'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN assigned_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'waiting_since'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN waiting_since BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'chat_assignment_logs'`,
+    run: `CREATE TABLE chat_assignment_logs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      chat_id VARCHAR(999),
+      agent_uid VARCHAR(999),
+      previous_agent_uid VARCHAR(999),
+      reason VARCHAR(999),
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'agent_teams'`,
+    run: `CREATE TABLE agent_teams (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      team_id VARCHAR(999),
+      name VARCHAR(999),
+      description LONGTEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'agent_team_members'`,
+    run: `CREATE TABLE agent_team_members (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      team_id VARCHAR(999),
+      agent_uid VARCHAR(999),
+      role VARCHAR(999) DEFAULT 'MEMBER',
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'assigned_team'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN assigned_team VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'sla_policies'`,
+    run: `CREATE TABLE sla_policies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      policy_id VARCHAR(999),
+      name VARCHAR(999),
+      team_id VARCHAR(999) DEFAULT NULL,
+      label VARCHAR(999) DEFAULT NULL,
+      first_response_minutes INT DEFAULT 0,
+      resolution_minutes INT DEFAULT 0,
+      warn_percent INT DEFAULT 80,
+      business_hours LONGTEXT,
+      is_active INT DEFAULT 1,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'sla_events'`,
+    run: `CREATE TABLE sla_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      chat_id VARCHAR(999),
+      policy_id VARCHAR(999),
+      metric VARCHAR(999),
+      kind VARCHAR(999),
+      cycle_start BIGINT,
+      due_at BIGINT,
+      agent_uid VARCHAR(999) DEFAULT NULL,
+      team_id VARCHAR(999) DEFAULT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'sla_state'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN sla_state LONGTEXT`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'sla_resolved_at'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN sla_resolved_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'chat_tickets'`,
+    run: `CREATE TABLE chat_tickets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      ticket_id VARCHAR(999),
+      chat_id VARCHAR(999),
+      subject VARCHAR(999) DEFAULT NULL,
+      status VARCHAR(999) DEFAULT 'OPEN',
+      priority VARCHAR(999) DEFAULT 'NORMAL',
+      auto_reopen INT DEFAULT 1,
+      opened_at BIGINT,
+      resolved_at BIGINT DEFAULT NULL,
+      closed_at BIGINT DEFAULT NULL,
+      csat_score INT DEFAULT NULL,
+      csat_comment LONGTEXT,
+      csat_at BIGINT DEFAULT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'ticket_history'`,
+    run: `CREATE TABLE ticket_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      ticket_id VARCHAR(999),
+      action VARCHAR(999),
+      from_value VARCHAR(999) DEFAULT NULL,
+      to_value VARCHAR(999) DEFAULT NULL,
+      actor_type VARCHAR(999),
+      actor_uid VARCHAR(999) DEFAULT NULL,
+      actor_name VARCHAR(999) DEFAULT NULL,
+      note LONGTEXT,
+      changed_at BIGINT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'ticket_id'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN ticket_id VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_chats LIKE 'ticket_status'`,
+    run: `ALTER TABLE beta_chats ADD COLUMN ticket_status VARCHAR(999) DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'quick_replies'`,
+    run: `CREATE TABLE quick_replies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      reply_id VARCHAR(999),
+      shortcut VARCHAR(999),
+      title VARCHAR(999),
+      type VARCHAR(999) DEFAULT 'TEXT',
+      content LONGTEXT,
+      scope VARCHAR(999) DEFAULT 'PERSONAL',
+      team_id VARCHAR(999) DEFAULT NULL,
+      created_by VARCHAR(999),
+      usage_count INT DEFAULT 0,
+      last_used_at BIGINT DEFAULT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM meta_api LIKE 'messaging_limit_tier_at'`,
+    run: `ALTER TABLE meta_api ADD COLUMN messaging_limit_tier_at BIGINT DEFAULT NULL`,
+  },
+  {
+    check: `SHOW TABLES LIKE 'suppression_events'`,
+    run: `CREATE TABLE suppression_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      uid VARCHAR(999),
+      mobile VARCHAR(999),
+      source VARCHAR(999),
+      source_id VARCHAR(999) DEFAULT NULL,
+      contact_name VARCHAR(999) DEFAULT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+  },
+  {
+    check: `SHOW COLUMNS FROM beta_campaign_logs LIKE 'source'`,
+    run: `ALTER TABLE beta_campaign_logs ADD COLUMN source VARCHAR(999) DEFAULT 'CAMPAIGN'`,
+  },
+  {
+    // sequence messages logged before the source column, runs while any is left
+    check: `SELECT 1 FROM DUAL WHERE NOT EXISTS (
+      SELECT 1 FROM beta_campaign_logs l JOIN sequences s ON s.sequence_id = l.campaign_id WHERE l.source = 'CAMPAIGN'
+    )`,
+    run: `UPDATE beta_campaign_logs l JOIN sequences s ON s.sequence_id = l.campaign_id SET l.source = 'SEQUENCE' WHERE l.source = 'CAMPAIGN'`,
+  },
+];
+
+async function syncSchema() {
+  for (const { check, run } of newQueries) {
+    try {
+      const exist = await query(check, []);
+      if (exist?.length < 1) {
+        await query(run, []);
+      }
+    } catch (err) {
+      console.log("Error while syncing schema:", err);
+    }
+  }
+}
+
+module.exports = { newQueries, syncSchema };
@@ -1657,9 +1657,12 @@ function mergeArrays(arrA, arrB) {
 async function getBusinessPhoneNumber(
   apiVersion,
   businessPhoneNumberId,
-  bearerToken
+  bearerToken,
+  fields = null
 ) {
-  const url = `https://graph.facebook.com/${apiVersion}/${businessPhoneNumberId}`;
+  const url = `https://graph.facebook.com/${apiVersion}/${businessPhoneNumberId}${
+    fields ? `?fields=${fields}` : ""
+  }`;
   const options = {
     method: "GET",
     headers: {
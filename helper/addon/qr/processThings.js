@@ -93,6 +93,11 @@ async function updateChatInMysql({
       origin_instance_id: JSON.stringify(originInstanceId),
     };
 
+    // used by segments to find who wrote in recently
+    if (isIncoming) {
+      updateFields.last_inbound_at = Date.now();
+    }
+
     if (isIncoming && allowedMessageTypes.includes(actualMsg?.type)) {
       updateFields.unread_count = chat?.unread_count
         ? chat.unread_count + 1
@@ -221,9 +226,30 @@ async function processBaileysMsg({ body, uid, userFromMysql, chatId }) {
 
     let msgContext = null;
     let referencedMessageData = null;
+    let payload = null;
 
     // Determine message type
-    if (body.message.conversation) {
+    if (body.message.buttonsResponseMessage) {
+      const reply = body.message.buttonsResponseMessage;
+      payload = reply.selectedButtonId || null;
+      msgContext = {
+        type: "text",
+        text: {
+          body: reply.selectedDisplayText || "",
+          preview_url: false,
+        },
+      };
+    } else if (body.message.listResponseMessage) {
+      const reply = body.message.listResponseMessage;
+      payload = reply.singleSelectReply?.selectedRowId || null;
+      msgContext = {
+        type: "text",
+        text: {
+          body: reply.title || "",
+          preview_url: false,
+        },
+      };
+    } else if (body.message.conversation) {
       msgContext = {
         type: "text",
         text: {
@@ -379,6 +405,7 @@ async function processBaileysMsg({ body, uid, userFromMysql, chatId }) {
       route: body.key?.fromMe ? "OUTGOING" : "INCOMING",
       context: contextData,
       origin: "qr",
+      payload,
     };
 
     // Save message to MySQL
@@ -0,0 +1,232 @@
+const moment = require("moment-timezone");
+const { query } = require("../../database/dbpromise");
+
+const FIELD_TYPES = ["text", "number", "date", "boolean", "select"];
+
+// keys that already mean something on a contact
+const RESERVED_FIELDS = [
+  "name",
+  "mobile",
+  "var1",
+  "var2",
+  "var3",
+  "var4",
+  "var5",
+  "senderName",
+  "senderMobile",
+  "senderMessage",
+];
+
+const FILTER_OPERATORS = [
+  "equals",
+  "not_equals",
+  "contains",
+  "greater",
+  "less",
+  "is_set",
+  "not_set",
+  "in",
+];
+
+async function getContactFields(uid) {
+  const fields = await query(
+    `SELECT * FROM contact_fields WHERE uid = ? ORDER BY id ASC`,
+    [uid]
+  );
+
+  return fields.map((f) => ({
+    ...f,
+    options: f.options ? JSON.parse(f.options) : [],
+  }));
+}
+
+// turns a raw value (csv cell, api input) into the stored value of a field
+function castFieldValue(field, raw) {
+  if (raw === undefined || raw === null || `${raw}`.trim() === "") {
+    return { valid: true, value: null };
+  }
+
+  const text = `${raw}`.trim();
+
+  switch (field.type) {
+    case "number": {
+      const num = Number(text.replace(",", "."));
+      return { valid: !isNaN(num), value: num };
+    }
+
+    case "date": {
+      const date = moment(
+        text,
+        [
+          "YYYY-MM-DD",
+          "DD/MM/YYYY",
+          "DD-MM-YYYY",
+          "MM/DD/YYYY",
+          moment.ISO_8601,
+        ],
+        true
+      );
+      return { valid: date.isValid(), value: date.format("YYYY-MM-DD") };
+    }
+
+    case "boolean": {
+      const lower = text.toLowerCase();
+      if (["true", "yes", "1", "y"].includes(lower)) {
+        return { valid: true, value: true };
+      }
+      if (["false", "no", "0", "n"].includes(lower)) {
+        return { valid: true, value: false };
+      }
+      return { valid: false, value: null };
+    }
+
+    case "select": {
+      const option = (field.options || []).find(
+        (o) => `${o}`.toLowerCase() === text.toLowerCase()
+      );
+      return { valid: option !== undefined, value: option ?? null };
+    }
+
+    default:
+      return { valid: true, value: text };
+  }
+}
+
+// picks the custom fields out of a csv row or request body, matching on the
+// field name or its label. cleared has the fields that were sent empty
+function mapCustomFields(fields, row) {
+  const values = {};
+  const invalid = [];
+  const cleared = [];
+  const keys = Object.keys(row || {});
+
+  fields.forEach((field) => {
+    const key = keys.find(
+      (k) =>
+        k.trim().toLowerCase() === field.name.toLowerCase() ||
+        k.trim().toLowerCase() === `${field.label}`.trim().toLowerCase()
+    );
+    if (!key) return;
+
+    const { valid, value } = castFieldValue(field, row[key]);
+    if (!valid) {
+      invalid.push({ field: field.name, value: row[key] });
+    } else if (value !== null) {
+      values[field.name] = value;
+    } else {
+      cleared.push(field.name);
+    }
+  });
+
+  return { values, invalid, cleared };
+}
+
+function parseCustomFields(contact) {
+  try {
+    return contact?.custom_fields ? JSON.parse(contact.custom_fields) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// every {{{variable}}} a contact can fill
+function getContactVariables(contact) {
+  if (!contact) return {};
+
+  const variables = {
+    ...parseCustomFields(contact),
+    name: contact.name,
+    mobile: contact.mobile,
+    var1: contact.var1,
+    var2: contact.var2,
+    var3: contact.var3,
+    var4: contact.var4,
+    var5: contact.var5,
+  };
+
+  // empty values keep the placeholder instead of printing null
+  return Object.fromEntries(
+    Object.entries(variables).filter(([, v]) => v !== null && v !== undefined)
+  );
+}
+
+// sql condition for [{ field, operator, value }] filters on custom fields
+function buildFieldFilter(filters, fields, alias = "") {
+  const conditions = [];
+  const params = [];
+
+  (filters || []).forEach((filter) => {
+    const field = fields.find((f) => f.name === filter?.field);
+    if (!field || !FILTER_OPERATORS.includes(filter.operator)) return;
+
+    const column = `JSON_UNQUOTE(JSON_EXTRACT(${alias}custom_fields, ?))`;
+    const path = `$.${field.name}`;
+    const numeric = field.type === "number";
+    const cast = (v) =>
+      field.type === "boolean"
+        ? `${castFieldValue(field, v).value}`
+        : numeric
+        ? Number(v)
+        : v;
+
+    switch (filter.operator) {
+      case "equals":
+        conditions.push(`${column} = ?`);
+        params.push(path, cast(filter.value));
+        break;
+      case "not_equals":
+        conditions.push(`(${column} IS NULL OR ${column} != ?)`);
+        params.push(path, path, cast(filter.value));
+        break;
+      case "contains":
+        conditions.push(`${column} LIKE ?`);
+        params.push(path, `%${filter.value}%`);
+        break;
+      case "greater":
+        conditions.push(
+          numeric ? `CAST(${column} AS DECIMAL(20,4)) > ?` : `${column} > ?`
+        );
+        params.push(path, cast(filter.value));
+        break;
+      case "less":
+        conditions.push(
+          numeric ? `CAST(${column} AS DECIMAL(20,4)) < ?` : `${column} < ?`
+        );
+        params.push(path, cast(filter.value));
+        break;
+      case "is_set":
+        conditions.push(`${column} IS NOT NULL`);
+        params.push(path);
+        break;
+      case "not_set":
+        conditions.push(`${column} IS NULL`);
+        params.push(path);
+        break;
+      case "in":
+        conditions.push(`${column} IN (?)`);
+        params.push(
+          path,
+          (Array.isArray(filter.value) ? filter.value : [filter.value]).map(
+            cast
+          )
+        );
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { sql: conditions.join(" AND "), params };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  RESERVED_FIELDS,
+  FILTER_OPERATORS,
+  getContactFields,
+  castFieldValue,
+  mapCustomFields,
+  parseCustomFields,
+  getContactVariables,
+  buildFieldFilter,
+};
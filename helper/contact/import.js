@@ -0,0 +1,227 @@
+const stream = require("stream");
+const csv = require("csv-parser");
+const ExcelJS = require("exceljs");
+
+const IMPORT_STATUS = {
+  PREVIEW: "PREVIEW",
+  QUEUED: "QUEUED",
+  PROCESSING: "PROCESSING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+};
+
+const DUPLICATE_POLICIES = ["skip", "update", "merge"];
+
+const CONTACT_COLUMNS = ["name", "var1", "var2", "var3", "var4", "var5"];
+
+// header spellings we map on our own in the preview
+const HEADER_ALIASES = {
+  mobile: [
+    "mobile",
+    "phone",
+    "number",
+    "whatsapp",
+    "mobilenumber",
+    "phonenumber",
+    "contact",
+    "msisdn",
+  ],
+  name: ["name", "fullname", "contactname", "customername"],
+};
+
+function parseCSVBuffer(buffer) {
+  return new Promise((resolve) => {
+    const results = [];
+    const bufferStream = new stream.PassThrough();
+    bufferStream.end(buffer);
+
+    bufferStream
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on("data", (data) => results.push(data))
+      .on("end", () => resolve(results))
+      .on("error", () => resolve(null));
+  });
+}
+
+// text of an exceljs cell value. date styled cells come as dates, formulas
+// with their result, rich text and links with their runs
+function readCellValue(value) {
+  if (value === null || value === undefined) return "";
+
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+
+  // long numbers like phone numbers would print as 9.1987e+21
+  if (typeof value === "number") {
+    return Number.isInteger(value)
+      ? value.toLocaleString("fullwide", { useGrouping: false })
+      : `${value}`;
+  }
+
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if ("result" in value) return readCellValue(value.result);
+    if ("text" in value) return readCellValue(value.text);
+    return "";
+  }
+
+  return `${value}`;
+}
+
+// reads the first worksheet of an xlsx file, in the order of the workbook
+// tabs and not of the sheet files inside it
+async function parseXLSXBuffer(buffer) {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return null;
+
+    const table = [];
+    sheet.eachRow((row) => {
+      const cells = [];
+      row.eachCell((cell, column) => {
+        cells[column - 1] = readCellValue(cell.value);
+      });
+      table.push(Array.from(cells, (c) => c ?? ""));
+    });
+
+    const rows = table.filter((r) => r.some((c) => `${c}`.trim() !== ""));
+    if (rows.length < 1) return [];
+
+    const headers = rows[0].map((h) => `${h}`.trim());
+    return rows
+      .slice(1)
+      .map((r) =>
+        Object.fromEntries(
+          headers.map((h, i) => [h, r[i] ?? ""]).filter(([h]) => h !== "")
+        )
+      );
+  } catch (err) {
+    console.log(err);
+    return null;
+  }
+}
+
+// returns { headers, rows } for a csv or xlsx upload, null when unreadable
+async function parseContactFile(file) {
+  if (!file?.data) return null;
+
+  const isXlsx =
+    /\.xlsx$/i.test(file.name || "") ||
+    file.mimetype ===
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+  const rows = isXlsx
+    ? await parseXLSXBuffer(file.data)
+    : await parseCSVBuffer(file.data);
+  if (!rows) return null;
+
+  const headers = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  return { headers, rows };
+}
+
+function simplify(text) {
+  return `${text || ""}`.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// guesses which contact field every header belongs to, null means ignored
+function suggestMapping(headers, fields) {
+  const used = new Set();
+  const mapping = {};
+
+  headers.forEach((header) => {
+    const key = simplify(header);
+    let target =
+      Object.keys(HEADER_ALIASES).find((t) =>
+        HEADER_ALIASES[t].includes(key)
+      ) ||
+      CONTACT_COLUMNS.find((c) => c === key) ||
+      fields.find((f) => simplify(f.name) === key || simplify(f.label) === key)
+        ?.name ||
+      null;
+
+    if (target && used.has(target)) target = null;
+    if (target) used.add(target);
+    mapping[header] = target;
+  });
+
+  return mapping;
+}
+
+// returns the error of a user sent mapping, null when it can be imported
+function validateMapping(mapping, headers, fields) {
+  if (!mapping || typeof mapping !== "object") {
+    return "Please map the columns of your file";
+  }
+
+  const targets = Object.entries(mapping)
+    .filter(([header, target]) => headers.includes(header) && target)
+    .map(([, target]) => target);
+
+  if (!targets.includes("mobile")) {
+    return "Please select the column that holds the mobile number";
+  }
+
+  const allowed = ["mobile", ...CONTACT_COLUMNS, ...fields.map((f) => f.name)];
+  const unknown = targets.find((t) => !allowed.includes(t));
+  if (unknown) return `Unknown contact field ${unknown}`;
+
+  const duplicate = targets.find((t, i) => targets.indexOf(t) !== i);
+  if (duplicate) return `${duplicate} is mapped to more than one column`;
+
+  return null;
+}
+
+// E.164 digits without the leading +, the same shape whatsapp uses for
+// sender numbers so imported contacts match incoming chats
+function normalizeMobile(raw, defaultCountryCode) {
+  const text = `${raw ?? ""}`.trim();
+  if (!text) return null;
+
+  const international = text.startsWith("+") || text.startsWith("00");
+  let digits = text.replace(/\D/g, "");
+  if (text.startsWith("00")) digits = digits.slice(2);
+
+  const code = `${defaultCountryCode || ""}`.replace(/\D/g, "");
+  if (!international && code) {
+    // a national number, with or without its trunk 0
+    const hasCode = digits.startsWith(code) && digits.length > 10;
+    if (!hasCode) digits = `${code}${digits.replace(/^0+/, "")}`;
+  }
+
+  return /^[1-9]\d{7,14}$/.test(digits) ? digits : null;
+}
+
+function toCsv(fields, rows) {
+  const escape = (value) => `"${(value ?? "").toString().replace(/"/g, '""')}"`;
+
+  return [
+    fields.map(escape).join(","),
+    ...rows.map((row) => fields.map((f) => escape(row[f])).join(",")),
+  ].join("\n");
+}
+
+// the rejected rows with their original columns and the reason
+function buildImportReport(report, headers) {
+  const fields = ["row", ...headers, "reason"];
+  return toCsv(
+    fields,
+    report.map((x) => ({ ...x.data, row: x.row, reason: x.reason }))
+  );
+}
+
+module.exports = {
+  IMPORT_STATUS,
+  DUPLICATE_POLICIES,
+  CONTACT_COLUMNS,
+  parseCSVBuffer,
+  parseContactFile,
+  suggestMapping,
+  validateMapping,
+  normalizeMobile,
+  buildImportReport,
+};
@@ -0,0 +1,226 @@
+const { query } = require("../../database/dbpromise");
+const {
+  FILTER_OPERATORS,
+  getContactFields,
+  buildFieldFilter,
+} = require("./fields");
+
+const SEGMENT_RULE_TYPES = [
+  "PHONEBOOK",
+  "TAG",
+  "FIELD",
+  "LAST_INBOUND",
+  "CAMPAIGN",
+  "FLOW_VARIABLE",
+];
+
+const RULE_OPERATORS = {
+  TAG: ["has", "not_has"],
+  LAST_INBOUND: ["within", "older", "never"],
+  CAMPAIGN: ["read", "not_read"],
+  FLOW_VARIABLE: ["equals", "not_equals", "contains", "is_set"],
+};
+
+// chats and flow sessions store the number the way whatsapp sends it
+const CHAT_MOBILE = `TRIM(LEADING '+' FROM c.mobile)`;
+
+// last_inbound_at only exists for messages received after it was added, older
+// chats fall back to the last message when that one was incoming
+const LAST_INBOUND = `COALESCE(bc.last_inbound_at, IF(JSON_VALID(bc.last_message) AND JSON_UNQUOTE(JSON_EXTRACT(bc.last_message, '$.route')) = 'INCOMING', JSON_EXTRACT(bc.last_message, '$.timestamp') * 1000, NULL))`;
+
+function parseRules(segment) {
+  try {
+    const rules = JSON.parse(segment?.rules || "[]");
+    return Array.isArray(rules) ? rules : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// returns an error message for the first broken rule, null when all are fine
+function validateSegmentRules(rules, fields) {
+  if (!Array.isArray(rules) || rules.length < 1) {
+    return "Please add at least one rule";
+  }
+
+  for (const rule of rules) {
+    if (!SEGMENT_RULE_TYPES.includes(rule?.type)) {
+      return `Unknown rule type ${rule?.type}`;
+    }
+
+    const operators = RULE_OPERATORS[rule.type];
+    if (operators && !operators.includes(rule.operator)) {
+      return `${rule.type} rule operator should be one of ${operators.join(
+        ", "
+      )}`;
+    }
+
+    switch (rule.type) {
+      case "PHONEBOOK":
+        if ([].concat(rule.value ?? []).length < 1) {
+          return "PHONEBOOK rule needs at least one phonebook";
+        }
+        break;
+      case "TAG":
+        if (!rule.value) return "TAG rule needs a tag";
+        break;
+      case "FIELD":
+        if (!fields.find((f) => f.name === rule.field)) {
+          return `Unknown contact field ${rule.field}`;
+        }
+        if (!FILTER_OPERATORS.includes(rule.operator)) {
+          return `FIELD rule operator should be one of ${FILTER_OPERATORS.join(
+            ", "
+          )}`;
+        }
+        break;
+      case "LAST_INBOUND":
+        if (rule.operator !== "never" && !(parseInt(rule.days) > 0)) {
+          return "LAST_INBOUND rule needs a number of days";
+        }
+        break;
+      case "CAMPAIGN":
+        if (!rule.campaign_id) return "CAMPAIGN rule needs a campaign";
+        break;
+      case "FLOW_VARIABLE":
+        if (!/^[a-zA-Z0-9_]+$/.test(rule.name || "")) {
+          return "FLOW_VARIABLE rule needs a variable name";
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return null;
+}
+
+// sql condition on the contact row aliased c for a single rule
+function buildRuleCondition(rule, fields) {
+  switch (rule.type) {
+    case "PHONEBOOK":
+      return {
+        sql: `c.phonebook_id IN (?)`,
+        params: [[].concat(rule.value).map((id) => `${id}`)],
+      };
+
+    case "TAG": {
+      const numeric = /^\d+$/.test(`${rule.value}`);
+      const exists = `EXISTS (SELECT 1 FROM beta_chats bc WHERE bc.uid = c.uid AND bc.sender_mobile = ${CHAT_MOBILE} AND JSON_VALID(bc.chat_label) AND (JSON_SEARCH(bc.chat_label, 'one', ?, NULL, '$**.title') IS NOT NULL OR JSON_SEARCH(bc.chat_label, 'one', ?, NULL, '$**.id') IS NOT NULL${
+        numeric
+          ? ` OR JSON_CONTAINS(JSON_EXTRACT(bc.chat_label, '$**.id'), ?)`
+          : ""
+      }))`;
+      return {
+        sql: rule.operator === "not_has" ? `NOT ${exists}` : exists,
+        params: [
+          `${rule.value}`,
+          `${rule.value}`,
+          ...(numeric ? [`${rule.value}`] : []),
+        ],
+      };
+    }
+
+    case "FIELD":
+      return buildFieldFilter([rule], fields, "c.");
+
+    case "LAST_INBOUND": {
+      if (rule.operator === "never") {
+        return {
+          sql: `NOT EXISTS (SELECT 1 FROM beta_chats bc WHERE bc.uid = c.uid AND bc.sender_mobile = ${CHAT_MOBILE} AND ${LAST_INBOUND} IS NOT NULL)`,
+          params: [],
+        };
+      }
+
+      const since = Date.now() - parseInt(rule.days) * 24 * 60 * 60 * 1000;
+      const exists = `EXISTS (SELECT 1 FROM beta_chats bc WHERE bc.uid = c.uid AND bc.sender_mobile = ${CHAT_MOBILE} AND ${LAST_INBOUND} >= ?)`;
+      return {
+        sql: rule.operator === "older" ? `NOT ${exists}` : exists,
+        params: [since],
+      };
+    }
+
+    case "CAMPAIGN":
+      return {
+        sql:
+          rule.operator === "read"
+            ? `EXISTS (SELECT 1 FROM beta_campaign_logs l WHERE l.uid = c.uid AND l.campaign_id = ? AND l.contact_mobile = c.mobile AND l.delivery_status = 'read')`
+            : `EXISTS (SELECT 1 FROM beta_campaign_logs l WHERE l.uid = c.uid AND l.campaign_id = ? AND l.contact_mobile = c.mobile AND l.status = 'SENT' AND (l.delivery_status IS NULL OR l.delivery_status != 'read'))`,
+        params: [rule.campaign_id],
+      };
+
+    case "FLOW_VARIABLE": {
+      const column = `JSON_UNQUOTE(JSON_EXTRACT(fs.data, ?))`;
+      const path = `$.variables.${rule.name}`;
+      const compare = {
+        equals: { sql: `${column} = ?`, params: [path, `${rule.value}`] },
+        not_equals: { sql: `${column} != ?`, params: [path, `${rule.value}`] },
+        contains: {
+          sql: `${column} LIKE ?`,
+          params: [path, `%${rule.value}%`],
+        },
+        is_set: { sql: `${column} IS NOT NULL`, params: [path] },
+      }[rule.operator];
+
+      return {
+        sql: `EXISTS (SELECT 1 FROM flow_session fs WHERE fs.uid = c.uid AND fs.sender_mobile = ${CHAT_MOBILE}${
+          rule.flow_id ? " AND fs.flow_id = ?" : ""
+        } AND JSON_VALID(fs.data) AND ${compare.sql})`,
+        params: [...(rule.flow_id ? [rule.flow_id] : []), ...compare.params],
+      };
+    }
+
+    default:
+      return { sql: "", params: [] };
+  }
+}
+
+// where clause selecting the contacts c of a segment. it is built from the
+// live rules and data, so a campaign sees who matches at the time it sends
+function buildSegmentQuery(segment, fields) {
+  const conditions = parseRules(segment)
+    .map((rule) => buildRuleCondition(rule, fields))
+    .filter((x) => x.sql);
+
+  const joiner = segment?.match_type === "any" ? " OR " : " AND ";
+  const rules = conditions.map((x) => `(${x.sql})`).join(joiner);
+
+  return {
+    sql: `c.uid = ?${rules ? ` AND (${rules})` : ""}`,
+    params: [segment.uid, ...conditions.flatMap((x) => x.params)],
+  };
+}
+
+async function getSegment(uid, segmentId) {
+  const [segment] = await query(
+    `SELECT * FROM contact_segments WHERE uid = ? AND segment_id = ?`,
+    [uid, segmentId]
+  );
+  return segment || null;
+}
+
+// where clause of a saved segment, with the custom fields of its owner
+async function getSegmentFilter(segment) {
+  const fields = await getContactFields(segment.uid);
+  return buildSegmentQuery(segment, fields);
+}
+
+async function countSegmentContacts(segment) {
+  const { sql, params } = await getSegmentFilter(segment);
+
+  const [result] = await query(
+    `SELECT COUNT(DISTINCT c.mobile) AS count FROM contact c WHERE ${sql}`,
+    params
+  );
+  return result?.count || 0;
+}
+
+module.exports = {
+  SEGMENT_RULE_TYPES,
+  RULE_OPERATORS,
+  validateSegmentRules,
+  buildSegmentQuery,
+  getSegment,
+  getSegmentFilter,
+  countSegmentContacts,
+};
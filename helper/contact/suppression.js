@@ -0,0 +1,129 @@
+const { query } = require("../../database/dbpromise");
+
+const DEFAULT_OPT_OUT_KEYWORDS = ["STOP", "UNSUBSCRIBE", "STOP ALL"];
+const DEFAULT_OPT_IN_KEYWORDS = ["START", "SUBSCRIBE"];
+
+// beta_campaign_logs.status and error_message of a send that was skipped
+const SUPPRESSED = "SUPPRESSED";
+
+// numbers are kept as digits only so +91 98... and 9198... are the same
+function toSuppressionMobile(mobile) {
+  return `${mobile || ""}`.split("@")[0].replace(/\D/g, "");
+}
+
+function parseKeywords(value, defaults) {
+  try {
+    const keywords = value ? JSON.parse(value) : defaults;
+    return Array.isArray(keywords) ? keywords : defaults;
+  } catch (err) {
+    return defaults;
+  }
+}
+
+function getOptKeywords(user) {
+  return {
+    optOut: parseKeywords(user?.opt_out_keywords, DEFAULT_OPT_OUT_KEYWORDS),
+    optIn: parseKeywords(user?.opt_in_keywords, DEFAULT_OPT_IN_KEYWORDS),
+  };
+}
+
+async function getSuppressedNumbers(uid, mobiles) {
+  const numbers = mobiles.map(toSuppressionMobile).filter(Boolean);
+  if (numbers.length < 1) return new Set();
+
+  const rows = await query(
+    `SELECT mobile FROM suppression_list WHERE uid = ? AND mobile IN (?)`,
+    [uid, numbers]
+  );
+  return new Set(rows.map((x) => x.mobile));
+}
+
+async function isSuppressed(uid, mobile) {
+  const numbers = await getSuppressedNumbers(uid, [mobile]);
+  return numbers.size > 0;
+}
+
+async function suppressNumber({ uid, mobile, source, note = null }) {
+  const number = toSuppressionMobile(mobile);
+  if (!number) return false;
+
+  const [exist] = await query(
+    `SELECT id FROM suppression_list WHERE uid = ? AND mobile = ?`,
+    [uid, number]
+  );
+  if (exist) return false;
+
+  await query(
+    `INSERT INTO suppression_list (uid, mobile, source, note) VALUES (?,?,?,?)`,
+    [uid, number, source, note]
+  );
+  return true;
+}
+
+async function unsuppressNumber({ uid, mobile }) {
+  await query(`DELETE FROM suppression_list WHERE uid = ? AND mobile = ?`, [
+    uid,
+    toSuppressionMobile(mobile),
+  ]);
+}
+
+// a send that never left because the number opted out. campaign logs are
+// updated in place, every other path adds a suppression_events row under
+// its source, sourceId is the broadcast it came from
+async function logSuppressed({
+  uid,
+  source,
+  sourceId = null,
+  mobile,
+  name = null,
+}) {
+  try {
+    await query(
+      `INSERT INTO suppression_events (uid, mobile, source, source_id, contact_name) VALUES (?,?,?,?,?)`,
+      [uid, toSuppressionMobile(mobile), source, sourceId, name]
+    );
+  } catch (err) {
+    console.log("Error while logging suppressed send:", err);
+  }
+}
+
+// checks an inbound message for the opt-out / opt-in keywords of the user.
+// returns OPT_OUT, OPT_IN or null
+async function processOptKeywords({ user, senderMobile, text }) {
+  const body = `${text || ""}`.trim().toLowerCase();
+  if (!body || !user?.uid) return null;
+
+  const { optOut, optIn } = getOptKeywords(user);
+  const matches = (list) => list.some((k) => `${k}`.toLowerCase() === body);
+
+  if (matches(optOut)) {
+    await suppressNumber({
+      uid: user.uid,
+      mobile: senderMobile,
+      source: "KEYWORD",
+      note: text,
+    });
+    return "OPT_OUT";
+  }
+
+  if (matches(optIn)) {
+    await unsuppressNumber({ uid: user.uid, mobile: senderMobile });
+    return "OPT_IN";
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_IN_KEYWORDS,
+  SUPPRESSED,
+  toSuppressionMobile,
+  getOptKeywords,
+  getSuppressedNumbers,
+  isSuppressed,
+  suppressNumber,
+  unsuppressNumber,
+  logSuppressed,
+  processOptKeywords,
+};
@@ -11,6 +11,12 @@ const { metaChatbotInit } = require("../chatbot/meta");
 const { processMessageQr } = require("../addon/qr/processThings");
 const { processWebhook } = require("./chatbot");
 const { processAutomation } = require("../../automation/automation");
+const { extractBodyText } = require("../../automation/functions");
+const { processOptKeywords } = require("../contact/suppression");
+const { updateMessageReply } = require("../../loops/campaignBeta");
+const { processSequenceInbound } = require("../sequence");
+const { routeInboundChat } = require("../routing");
+const { reopenOnInbound } = require("../tickets");
 
 async function updateChatListSocket({ connectionInfo }) {
   try {
@@ -128,6 +134,25 @@ async function processMessage({
         return console.log("User not found");
       }
 
+      // opt-out / opt-in keywords update the suppression list before any
+      // automation gets to answer
+      const newMessage = latestConversation?.newMessage;
+      const optStatus = await processOptKeywords({
+        user,
+        senderMobile: newMessage?.senderMobile,
+        text: extractBodyText(newMessage) || newMessage?.payload,
+      });
+
+      // a reply or opt-out ends the drip sequences of the sender
+      await processSequenceInbound({
+        uid,
+        senderMobile: newMessage?.senderMobile,
+        optStatus,
+      });
+
+      // counts towards the reply rate of the campaign it answers
+      await updateMessageReply(uid, newMessage?.senderMobile);
+
       // Process the message through the flow builder
       await processWebhook(latestConversation?.newMessage, user);
 
@@ -140,6 +165,13 @@ async function processMessage({
         chatId: latestConversation?.chatId,
       });
 
+      // flows run in the background, an AGENT_TRANSFER node still moves the
+      // chat to its agent after this
+      await routeInboundChat({ user, chatId: latestConversation?.chatId });
+
+      // a customer writing back reopens a resolved or pending ticket
+      await reopenOnInbound({ uid, chatId: latestConversation?.chatId });
+
       // metaChatbotInit({
       //   latestConversation,
       //   uid,
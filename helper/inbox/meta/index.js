@@ -84,6 +84,11 @@ async function updateChatInMysql({
       origin: "meta",
     };
 
+    // used by segments to find who wrote in recently
+    if (isIncoming) {
+      updateFields.last_inbound_at = Date.now();
+    }
+
     if (isIncoming && allowedMessageTypes.includes(actualMsg?.type)) {
       updateFields.unread_count = chat?.unread_count
         ? chat.unread_count + 1
@@ -272,6 +277,12 @@ async function processMetaMsg({ body, uid }) {
           route: "INCOMING",
           context: message.context || null,
           origin: "meta",
+          // id of the tapped button or list row, used by flow triggers
+          payload:
+            interactive?.button_reply?.id ||
+            interactive?.list_reply?.id ||
+            message?.button?.payload ||
+            null,
         };
 
         const chatId = `meta_${
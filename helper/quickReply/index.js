@@ -0,0 +1,347 @@
+const randomstring = require("randomstring");
+const { query } = require("../../database/dbpromise");
+const { getContactVariables } = require("../contact/fields");
+const { parseJson } = require("../utils");
+
+// what a quick reply sends, content is the message object of send_chat_message
+const QUICK_REPLY_TYPES = {
+  TEXT: "TEXT",
+  MEDIA: "MEDIA",
+  TEMPLATE: "TEMPLATE",
+};
+
+// PERSONAL is only for whoever made it, TEAM for the members of team_id and
+// SHARED for the owner and every agent
+const QUICK_REPLY_SCOPES = {
+  PERSONAL: "PERSONAL",
+  TEAM: "TEAM",
+  SHARED: "SHARED",
+};
+
+const MEDIA_TYPES = ["image", "video", "audio", "document"];
+
+const VARIABLE_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+// "/Refund " and "refund" are the same shortcut
+function normalizeShortcut(shortcut) {
+  return `${shortcut || ""}`.trim().replace(/^\/+/, "").toLowerCase();
+}
+
+/**
+ * Who is reading or writing replies. an agent comes with its teams from
+ * getAgentTeams, the owner sees every team reply
+ */
+function getOwnerActor(uid, name) {
+  return { isAgent: false, uid, ownerUid: uid, name, teams: null };
+}
+
+function getAgentActor(agent, teams) {
+  return {
+    isAgent: true,
+    uid: agent.uid,
+    ownerUid: agent.owner_uid,
+    name: agent.name,
+    teams,
+  };
+}
+
+// quick_replies condition for the replies an actor can use
+function getReplyScope(actor) {
+  const conditions = [
+    `scope = '${QUICK_REPLY_SCOPES.SHARED}'`,
+    `(scope = '${QUICK_REPLY_SCOPES.PERSONAL}' AND created_by = ?)`,
+  ];
+  const params = [actor.uid];
+
+  if (!actor.isAgent) {
+    conditions.push(`scope = '${QUICK_REPLY_SCOPES.TEAM}'`);
+  } else if (actor.teams.member.length > 0) {
+    conditions.push(
+      `(scope = '${QUICK_REPLY_SCOPES.TEAM}' AND team_id IN (?))`
+    );
+    params.push(actor.teams.member);
+  }
+
+  return {
+    sql: `(uid = ? AND (${conditions.join(" OR ")}))`,
+    params: [actor.ownerUid, ...params],
+  };
+}
+
+// the same rules as getReplyScope for a reply that is already loaded
+function canUseReply(actor, reply) {
+  if (!reply || reply.uid !== actor.ownerUid) return false;
+  if (reply.scope === QUICK_REPLY_SCOPES.SHARED) return true;
+  if (reply.scope === QUICK_REPLY_SCOPES.PERSONAL) {
+    return reply.created_by === actor.uid;
+  }
+  return !actor.isAgent || actor.teams.member.includes(reply.team_id);
+}
+
+// the owner changes any reply, an agent its own and the ones of the teams
+// it supervises
+function canEditReply(actor, reply) {
+  if (!actor.isAgent) return reply.uid === actor.ownerUid;
+  if (reply.uid !== actor.ownerUid) return false;
+  if (reply.scope === QUICK_REPLY_SCOPES.PERSONAL) {
+    return reply.created_by === actor.uid;
+  }
+  return (
+    reply.scope === QUICK_REPLY_SCOPES.TEAM &&
+    actor.teams.supervised.includes(reply.team_id)
+  );
+}
+
+// returns an error message, null when the reply can be saved
+function validateQuickReply(reply, actor) {
+  if (!/^[a-z0-9_-]{1,50}$/.test(reply.shortcut)) {
+    return "Shortcut should be letters, numbers, - or _ like /refund";
+  }
+  if (!reply.title) {
+    return "Please give the reply a title";
+  }
+
+  if (!Object.values(QUICK_REPLY_SCOPES).includes(reply.scope)) {
+    return `Scope should be one of ${Object.values(QUICK_REPLY_SCOPES).join(
+      ", "
+    )}`;
+  }
+  if (reply.scope === QUICK_REPLY_SCOPES.TEAM && !reply.team_id) {
+    return "Please select the team of the reply";
+  }
+  if (actor.isAgent) {
+    if (reply.scope === QUICK_REPLY_SCOPES.SHARED) {
+      return "Only the owner can add replies for everyone";
+    }
+    if (
+      reply.scope === QUICK_REPLY_SCOPES.TEAM &&
+      !actor.teams.supervised.includes(reply.team_id)
+    ) {
+      return "Only a supervisor of the team can add team replies";
+    }
+  }
+
+  const content = reply.content;
+  if (!content || typeof content !== "object") {
+    return "Please add the message of the reply";
+  }
+  if (reply.type === QUICK_REPLY_TYPES.TEXT) {
+    if (content.type !== "text" || !content.text?.body) {
+      return "A text reply needs text.body";
+    }
+  } else if (reply.type === QUICK_REPLY_TYPES.MEDIA) {
+    if (!MEDIA_TYPES.includes(content.type) || !content[content.type]?.link) {
+      return `A media reply needs one of ${MEDIA_TYPES.join(", ")} with a link`;
+    }
+  } else if (reply.type === QUICK_REPLY_TYPES.TEMPLATE) {
+    if (content.type !== "template" || !content.template?.name) {
+      return "A template reply needs template.name";
+    }
+  } else {
+    return `Type should be one of ${Object.values(QUICK_REPLY_TYPES).join(
+      ", "
+    )}`;
+  }
+
+  return null;
+}
+
+/**
+ * A shortcut is taken when a shared or team reply of the owner has it, or
+ * a personal one of the same person. excludeId is the reply being updated
+ */
+async function isShortcutTaken({ ownerUid, shortcut, createdBy, excludeId }) {
+  const [taken] = await query(
+    `SELECT id FROM quick_replies
+     WHERE uid = ? AND shortcut = ? AND reply_id != ? AND (scope != ? OR created_by = ?)
+     LIMIT 1`,
+    [
+      ownerUid,
+      shortcut,
+      excludeId || "",
+      QUICK_REPLY_SCOPES.PERSONAL,
+      createdBy,
+    ]
+  );
+  return !!taken;
+}
+
+async function addQuickReply(actor, reply) {
+  const replyId = randomstring.generate();
+
+  await query(
+    `INSERT INTO quick_replies (uid, reply_id, shortcut, title, type, content, scope, team_id, created_by) VALUES (?,?,?,?,?,?,?,?,?)`,
+    [
+      actor.ownerUid,
+      replyId,
+      reply.shortcut,
+      reply.title,
+      reply.type,
+      JSON.stringify(reply.content),
+      reply.scope,
+      reply.scope === QUICK_REPLY_SCOPES.TEAM ? reply.team_id : null,
+      actor.uid,
+    ]
+  );
+
+  return replyId;
+}
+
+async function updateQuickReply(reply, fields) {
+  await query(
+    `UPDATE quick_replies SET shortcut = ?, title = ?, type = ?, content = ?, scope = ?, team_id = ? WHERE id = ?`,
+    [
+      fields.shortcut,
+      fields.title,
+      fields.type,
+      JSON.stringify(fields.content),
+      fields.scope,
+      fields.scope === QUICK_REPLY_SCOPES.TEAM ? fields.team_id : null,
+      reply.id,
+    ]
+  );
+}
+
+/**
+ * Adds a reply from request fields, or updates reply when one is given.
+ * returns { error } or { replyId }
+ */
+async function saveQuickReply({ actor, body, reply = null }) {
+  const fields = {
+    shortcut: normalizeShortcut(body.shortcut),
+    title: body.title,
+    type: body.type || QUICK_REPLY_TYPES.TEXT,
+    content: body.content,
+    scope: body.scope || QUICK_REPLY_SCOPES.PERSONAL,
+    team_id: body.team_id || null,
+  };
+
+  const error = validateQuickReply(fields, actor);
+  if (error) return { error };
+
+  if (fields.scope === QUICK_REPLY_SCOPES.TEAM) {
+    const [team] = await query(
+      `SELECT id FROM agent_teams WHERE uid = ? AND team_id = ?`,
+      [actor.ownerUid, fields.team_id]
+    );
+    if (!team) return { error: "Team not found" };
+  }
+
+  const taken = await isShortcutTaken({
+    ownerUid: actor.ownerUid,
+    shortcut: fields.shortcut,
+    createdBy: reply ? reply.created_by : actor.uid,
+    excludeId: reply?.reply_id,
+  });
+  if (taken) {
+    return { error: `The shortcut /${fields.shortcut} is already used` };
+  }
+
+  if (reply) {
+    await updateQuickReply(reply, fields);
+    return { replyId: reply.reply_id };
+  }
+
+  return { replyId: await addQuickReply(actor, fields) };
+}
+
+async function getQuickReply(ownerUid, replyId) {
+  const [reply] = await query(
+    `SELECT * FROM quick_replies WHERE uid = ? AND reply_id = ?`,
+    [ownerUid, replyId]
+  );
+  return reply || null;
+}
+
+/**
+ * Replies an actor can use, most used first. search matches the start of
+ * the shortcut, with or without its slash, and any part of the title
+ */
+async function searchQuickReplies(actor, { search = "", limit = 50 } = {}) {
+  const scope = getReplyScope(actor);
+  let sql = `SELECT * FROM quick_replies WHERE ${scope.sql}`;
+  const params = [...scope.params];
+
+  const term = normalizeShortcut(search);
+  if (term) {
+    sql += ` AND (shortcut LIKE ? OR title LIKE ?)`;
+    params.push(`${term}%`, `%${term}%`);
+  }
+
+  const replies = await query(
+    `${sql} ORDER BY usage_count DESC, shortcut ASC LIMIT ?`,
+    [...params, parseInt(limit) || 50]
+  );
+
+  return replies.map((reply) => ({
+    ...reply,
+    content: parseJson(reply.content),
+  }));
+}
+
+// every string of the message, template parameters and captions included
+function fillVariables(value, variables) {
+  if (typeof value === "string") {
+    return value.replace(VARIABLE_PATTERN, (match, key) =>
+      variables[key] !== undefined && variables[key] !== null
+        ? `${variables[key]}`
+        : match
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => fillVariables(item, variables));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, fillVariables(v, variables)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Message of a reply for a chat, ready for send_chat_message. {{senderName}},
+ * {{senderMobile}}, {{agentName}} and the contact fields are filled, unknown
+ * ones stay so the agent sees them in the composer. counts as one use
+ */
+async function renderQuickReply({ actor, reply, chat }) {
+  const [contact] = chat?.sender_mobile
+    ? await query(
+        `SELECT * FROM contact WHERE uid = ? AND mobile = ? LIMIT 1`,
+        [actor.ownerUid, chat.sender_mobile]
+      )
+    : [];
+
+  const variables = {
+    ...getContactVariables(contact),
+    senderName: chat?.sender_name,
+    senderMobile: chat?.sender_mobile,
+    agentName: actor.name,
+  };
+
+  await query(
+    `UPDATE quick_replies SET usage_count = usage_count + 1, last_used_at = ? WHERE id = ?`,
+    [Date.now(), reply.id]
+  );
+
+  const content = parseJson(reply.content);
+  return {
+    replyId: reply.reply_id,
+    type: content?.type,
+    msgCon: fillVariables(content, variables),
+  };
+}
+
+module.exports = {
+  QUICK_REPLY_TYPES,
+  QUICK_REPLY_SCOPES,
+  normalizeShortcut,
+  getOwnerActor,
+  getAgentActor,
+  canUseReply,
+  canEditReply,
+  saveQuickReply,
+  getQuickReply,
+  searchQuickReplies,
+  renderQuickReply,
+};
@@ -0,0 +1,326 @@
+const { query } = require("../../database/dbpromise");
+const { getTeamMemberUids } = require("../teams");
+const { parseJson, getSocket } = require("../utils");
+
+// ROUND_ROBIN gives a chat to whoever waited longest for one, LEAST_BUSY to
+// whoever has the fewest open chats
+const ROUTING_STRATEGIES = ["ROUND_ROBIN", "LEAST_BUSY"];
+
+// why a chat got its agent, kept in chat_assignment_logs
+const ASSIGN_REASONS = {
+  NEW: "NEW",
+  UNASSIGNED: "UNASSIGNED",
+  UNRESPONSIVE: "UNRESPONSIVE",
+  FLOW: "FLOW",
+  MANUAL: "MANUAL",
+  CLAIMED: "CLAIMED",
+};
+
+// a chat is open while the customer wrote in the last 24 hours
+const OPEN_WINDOW = 24 * 60 * 60 * 1000;
+
+const DEFAULT_ROUTING = {
+  enabled: false,
+  strategy: "ROUND_ROBIN",
+  match_skills: false,
+  skill_fallback: true,
+  online_only: true,
+  max_chats: 0,
+  reassign_minutes: 0,
+};
+
+function getRoutingSettings(user) {
+  try {
+    const settings = user?.chat_routing ? JSON.parse(user.chat_routing) : {};
+    return { ...DEFAULT_ROUTING, ...settings };
+  } catch (err) {
+    return { ...DEFAULT_ROUTING };
+  }
+}
+
+// returns an error message, null when the settings can be saved
+function validateRoutingSettings(settings) {
+  if (!ROUTING_STRATEGIES.includes(settings.strategy)) {
+    return `Strategy should be one of ${ROUTING_STRATEGIES.join(", ")}`;
+  }
+
+  if (!(Number(settings.max_chats) >= 0)) {
+    return "Max chats should be 0 or more, 0 is no limit";
+  }
+
+  if (!(Number(settings.reassign_minutes) >= 0)) {
+    return "Reassign minutes should be 0 or more, 0 never reassigns";
+  }
+
+  return null;
+}
+
+function parseSkills(agent) {
+  try {
+    const skills = JSON.parse(agent?.skills || "[]");
+    return Array.isArray(skills)
+      ? skills.map((s) => `${s}`.trim().toLowerCase()).filter(Boolean)
+      : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// label ids and titles of the chat and the number it came in on, an agent
+// with any of them in its skills can take the chat
+function getChatKeys(chat) {
+  const keys = [];
+
+  const labels = parseJson(chat?.chat_label);
+  [].concat(labels || []).forEach((label) => {
+    keys.push(label?.id, label?.title);
+  });
+
+  // qr instances look like 9190..:65@s.whatsapp.net, meta ones are a number
+  const instance = parseJson(chat?.origin_instance_id)?.id;
+  if (instance) {
+    keys.push(instance, `${instance}`.split(/[:@]/)[0].replace(/\D/g, ""));
+  }
+
+  return new Set(
+    keys
+      .filter((k) => k !== undefined && k !== null && k !== "")
+      .map((k) => `${k}`.trim().toLowerCase())
+  );
+}
+
+function getOnlineAgentUids(uid) {
+  const { getConnectionsByUid } = getSocket();
+
+  return new Set(
+    getConnectionsByUid(uid, true)
+      .filter((c) => c.userData?.isAgent)
+      .map((c) => c.userData.uid)
+  );
+}
+
+async function getOpenChatCounts(uid) {
+  const rows = await query(
+    `SELECT JSON_UNQUOTE(JSON_EXTRACT(assigned_agent, '$.uid')) as agent_uid, COUNT(*) as count
+     FROM beta_chats
+     WHERE uid = ? AND assigned_agent IS NOT NULL AND last_inbound_at > ?
+     GROUP BY agent_uid`,
+    [uid, Date.now() - OPEN_WINDOW]
+  );
+  return new Map(rows.map((row) => [row.agent_uid, Number(row.count) || 0]));
+}
+
+/**
+ * Agent the settings give a chat to, null when nobody can take it. exclude
+ * is the uid of an agent that should not get it back
+ */
+async function pickAgent({ uid, settings, chat, exclude = null }) {
+  const agents = await query(
+    `SELECT * FROM agents WHERE owner_uid = ? AND is_active = 1`,
+    [uid]
+  );
+  const online = settings.online_only ? getOnlineAgentUids(uid) : null;
+  const counts = await getOpenChatCounts(uid);
+
+  // the cap of the agent wins over the one of the settings
+  let candidates = agents.filter((agent) => {
+    const cap = parseInt(agent.max_chats) || parseInt(settings.max_chats) || 0;
+    return (
+      agent.uid !== exclude &&
+      (!online || online.has(agent.uid)) &&
+      (cap < 1 || (counts.get(agent.uid) || 0) < cap)
+    );
+  });
+
+  // a chat in a team queue only goes to members of that team
+  if (chat?.assigned_team) {
+    const members = await getTeamMemberUids(uid, chat.assigned_team);
+    candidates = candidates.filter((agent) => members.has(agent.uid));
+  }
+
+  if (settings.match_skills) {
+    const keys = getChatKeys(chat);
+    const skilled = candidates.filter((agent) =>
+      parseSkills(agent).some((skill) => keys.has(skill))
+    );
+    if (skilled.length > 0 || !settings.skill_fallback) candidates = skilled;
+  }
+  if (candidates.length < 1) return null;
+
+  const byLastAssigned = (a, b) =>
+    Number(a.last_assigned_at || 0) - Number(b.last_assigned_at || 0);
+
+  candidates.sort(
+    settings.strategy === "LEAST_BUSY"
+      ? (a, b) =>
+          (counts.get(a.uid) || 0) - (counts.get(b.uid) || 0) ||
+          byLastAssigned(a, b)
+      : byLastAssigned
+  );
+
+  return candidates[0];
+}
+
+function notifyAssignment(uid, chatId) {
+  const { getConnectionsByUid, sendToSocket } = getSocket();
+
+  getConnectionsByUid(uid, true).forEach((connection) =>
+    sendToSocket(connection.socketId, { chatId }, "request_update_chat_list")
+  );
+}
+
+/**
+ * Puts a chat on an agent, the same way a manual assignment does, and
+ * starts its reply clock. with onlyUnassigned a chat someone else got first
+ * is left alone and null is returned
+ */
+async function assignChat({ uid, chat, agent, reason, onlyUnassigned }) {
+  const now = Date.now();
+  const { password, ...agentData } = agent;
+  const previous = parseJson(chat.assigned_agent);
+
+  const result = await query(
+    `UPDATE beta_chats SET assigned_agent = ?, assigned_at = ? WHERE uid = ? AND chat_id = ?${
+      onlyUnassigned ? " AND assigned_agent IS NULL" : ""
+    }`,
+    [JSON.stringify(agentData), now, uid, chat.chat_id]
+  );
+  if (onlyUnassigned && !(result?.affectedRows > 0)) return null;
+  await query(`UPDATE agents SET last_assigned_at = ? WHERE uid = ?`, [
+    now,
+    agent.uid,
+  ]);
+  await query(
+    `INSERT INTO chat_assignment_logs (uid, chat_id, agent_uid, previous_agent_uid, reason) VALUES (?,?,?,?,?)`,
+    [uid, chat.chat_id, agent.uid, previous?.uid || null, reason]
+  );
+
+  notifyAssignment(uid, chat.chat_id);
+  return agentData;
+}
+
+async function routeChat({ uid, settings, chat, reason, exclude }) {
+  const agent = await pickAgent({ uid, settings, chat, exclude });
+  if (!agent) return null;
+
+  return assignChat({ uid, chat, agent, reason });
+}
+
+/**
+ * Called for every inbound message. it starts the reply clock of the chat
+ * and gives it an agent when it has none. never throws
+ */
+async function routeInboundChat({ user, chatId }) {
+  try {
+    const settings = getRoutingSettings(user);
+    if (!settings.enabled || !chatId) return;
+
+    await query(
+      `UPDATE beta_chats SET waiting_since = IFNULL(waiting_since, ?) WHERE uid = ? AND chat_id = ?`,
+      [Date.now(), user.uid, chatId]
+    );
+
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [user.uid, chatId]
+    );
+    if (!chat || chat.assigned_agent) return;
+
+    await routeChat({
+      uid: user.uid,
+      settings,
+      chat,
+      reason: chat.assigned_at ? ASSIGN_REASONS.UNASSIGNED : ASSIGN_REASONS.NEW,
+    });
+  } catch (err) {
+    console.log("Error while routing a chat:", err);
+  }
+}
+
+/**
+ * When the customer of a chat started waiting, from its messages since
+ * waiting_since. any outgoing message counts as an answer so a flow reply
+ * stops the clock like an agent one. null when the chat is answered
+ */
+async function getWaitingSince(chat) {
+  // createdAt is in whole seconds
+  const messages = await query(
+    `SELECT route, createdAt FROM beta_conversation
+     WHERE uid = ? AND chat_id = ? AND route IN ('INCOMING', 'OUTGOING') AND createdAt >= ?
+     ORDER BY id DESC LIMIT 100`,
+    [
+      chat.uid,
+      chat.chat_id,
+      new Date(Math.floor(chat.waiting_since / 1000) * 1000),
+    ]
+  );
+
+  if (messages[0]?.route === "OUTGOING") return null;
+
+  const answered = messages.findIndex((msg) => msg.route === "OUTGOING");
+  if (answered < 0) return Number(chat.waiting_since);
+
+  // the first message the customer sent after the last answer
+  return new Date(messages[answered - 1].createdAt).getTime();
+}
+
+/**
+ * Moves chats whose agent did not answer within reassign_minutes to
+ * another agent, and gives waiting chats without one to whoever is free
+ */
+async function sweepChats({ uid, settings }) {
+  const now = Date.now();
+  const minutes = parseInt(settings.reassign_minutes) || 0;
+
+  if (minutes > 0) {
+    const cutoff = now - minutes * 60 * 1000;
+    const unanswered = await query(
+      `SELECT * FROM beta_chats
+       WHERE uid = ? AND assigned_agent IS NOT NULL AND waiting_since < ? AND IFNULL(assigned_at, 0) < ?
+       ORDER BY waiting_since ASC LIMIT 100`,
+      [uid, cutoff, cutoff]
+    );
+
+    for (const chat of unanswered) {
+      const waitingSince = await getWaitingSince(chat);
+      if (waitingSince !== Number(chat.waiting_since)) {
+        await query(`UPDATE beta_chats SET waiting_since = ? WHERE id = ?`, [
+          waitingSince,
+          chat.id,
+        ]);
+      }
+      if (waitingSince === null || waitingSince >= cutoff) continue;
+
+      await routeChat({
+        uid,
+        settings,
+        chat,
+        reason: ASSIGN_REASONS.UNRESPONSIVE,
+        exclude: parseJson(chat.assigned_agent)?.uid,
+      });
+    }
+  }
+
+  // chats nobody could take when they came in, once an agent is free
+  const waiting = await query(
+    `SELECT * FROM beta_chats
+     WHERE uid = ? AND assigned_agent IS NULL AND waiting_since > ?
+     ORDER BY waiting_since ASC LIMIT 100`,
+    [uid, now - OPEN_WINDOW]
+  );
+
+  for (const chat of waiting) {
+    await routeChat({ uid, settings, chat, reason: ASSIGN_REASONS.UNASSIGNED });
+  }
+}
+
+module.exports = {
+  ROUTING_STRATEGIES,
+  ASSIGN_REASONS,
+  getRoutingSettings,
+  validateRoutingSettings,
+  pickAgent,
+  assignChat,
+  routeInboundChat,
+  sweepChats,
+};
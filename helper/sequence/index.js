@@ -0,0 +1,285 @@
+const { query } = require("../../database/dbpromise");
+const randomstring = require("randomstring");
+const {
+  getSuppressedNumbers,
+  toSuppressionMobile,
+} = require("../contact/suppression");
+
+// automation nodes enroll on their own, these enroll from contact events
+const SEQUENCE_TRIGGERS = ["PHONEBOOK", "TAG"];
+
+// TEXT is a session message, it can only go out inside the 24 hour window
+const STEP_TYPES = ["TEMPLATE", "TEXT"];
+
+// a step is skipped when any of its skip_if conditions is true
+const SKIP_CONDITIONS = ["REPLIED", "NOT_REPLIED"];
+
+const ENROLLMENT_STATUS = {
+  ACTIVE: "ACTIVE",
+  COMPLETED: "COMPLETED",
+  EXITED: "EXITED",
+};
+
+const EXIT_REASONS = {
+  REPLIED: "REPLIED",
+  OPT_OUT: "OPT_OUT",
+  MANUAL: "MANUAL",
+};
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function parseSequence(sequence) {
+  return {
+    ...sequence,
+    triggers: parseList(sequence?.triggers),
+    steps: parseList(sequence?.steps),
+  };
+}
+
+// time from enrollment until a step is due, day 0 goes out right away
+function getStepOffset(step) {
+  const days = Number(step?.offset_days) || 0;
+  const hours = Number(step?.offset_hours) || 0;
+  return (days * 24 + hours) * 60 * 60 * 1000;
+}
+
+// steps keep their id across edits so history entries stay readable
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps)) return [];
+
+  return steps.map((step) => ({
+    ...step,
+    id: step?.id || randomstring.generate(6),
+    skip_if: Array.isArray(step?.skip_if) ? step.skip_if : [],
+  }));
+}
+
+// returns an error message, null when the sequence can be saved
+function validateSequence({ title, triggers, steps }) {
+  if (!title) return "Please give the sequence a title";
+
+  if (!Array.isArray(triggers)) return "Triggers should be a list";
+  for (const trigger of triggers) {
+    if (!SEQUENCE_TRIGGERS.includes(trigger?.type)) {
+      return `Unknown trigger type ${trigger?.type}`;
+    }
+    if (!trigger.value) return `${trigger.type} trigger needs a value`;
+  }
+
+  if (!Array.isArray(steps) || steps.length < 1) {
+    return "Please add at least one step";
+  }
+
+  let lastOffset = 0;
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+
+    if (!STEP_TYPES.includes(step?.type)) {
+      return `${label} should be one of ${STEP_TYPES.join(", ")}`;
+    }
+    if (
+      step.type === "TEMPLATE" &&
+      (!step.template_name || !step.template_language)
+    ) {
+      return `${label} needs a template`;
+    }
+    if (step.type === "TEXT" && !step.text) {
+      return `${label} needs a message`;
+    }
+
+    if (
+      [step.offset_days, step.offset_hours].some(
+        (v) => v !== undefined && v !== null && v !== "" && !(Number(v) >= 0)
+      )
+    ) {
+      return `${label} offset should be a positive number`;
+    }
+
+    const offset = getStepOffset(step);
+    if (offset < lastOffset) {
+      return `${label} can not be due before the step above it`;
+    }
+    lastOffset = offset;
+
+    const unknown = (step.skip_if || []).find(
+      (c) => !SKIP_CONDITIONS.includes(c)
+    );
+    if (unknown) return `${label} has an unknown condition ${unknown}`;
+  }
+
+  return null;
+}
+
+async function getSequence(uid, sequenceId) {
+  const [sequence] = await query(
+    `SELECT * FROM sequences WHERE uid = ? AND sequence_id = ?`,
+    [uid, sequenceId]
+  );
+  return sequence ? parseSequence(sequence) : null;
+}
+
+/**
+ * Enrolls contacts [{ mobile, name }] into a sequence. numbers already in
+ * it, or that ever were unless the sequence allows it, and opted out
+ * numbers are left out. returns how many were enrolled
+ */
+async function enrollContacts({ sequence, contacts, source }) {
+  if (sequence.status !== "ACTIVE" || sequence.steps.length < 1) return 0;
+
+  const byMobile = new Map();
+  contacts.forEach((c) => {
+    const mobile = toSuppressionMobile(c?.mobile);
+    if (mobile && !byMobile.has(mobile)) byMobile.set(mobile, c?.name || null);
+  });
+  if (byMobile.size < 1) return 0;
+
+  const mobiles = [...byMobile.keys()];
+  const existing = await query(
+    `SELECT contact_mobile FROM sequence_enrollments WHERE uid = ? AND sequence_id = ? AND contact_mobile IN (?)${
+      sequence.allow_reenroll ? " AND status = 'ACTIVE'" : ""
+    }`,
+    [sequence.uid, sequence.sequence_id, mobiles]
+  );
+  const enrolled = new Set(existing.map((e) => e.contact_mobile));
+  const suppressed = await getSuppressedNumbers(sequence.uid, mobiles);
+
+  const now = Date.now();
+  const values = mobiles
+    .filter((m) => !enrolled.has(m) && !suppressed.has(m))
+    .map((mobile) => [
+      sequence.uid,
+      sequence.sequence_id,
+      mobile,
+      byMobile.get(mobile),
+      source,
+      ENROLLMENT_STATUS.ACTIVE,
+      now,
+      now + getStepOffset(sequence.steps[0]),
+      "[]",
+    ]);
+  if (values.length < 1) return 0;
+
+  await query(
+    `INSERT INTO sequence_enrollments (uid, sequence_id, contact_mobile, contact_name, source, status, enrolled_at, next_run_at, history) VALUES ?`,
+    [values]
+  );
+  return values.length;
+}
+
+async function enrollInSequence({ uid, sequenceId, mobile, name, source }) {
+  const sequence = await getSequence(uid, sequenceId);
+  if (!sequence) return 0;
+
+  return enrollContacts({ sequence, contacts: [{ mobile, name }], source });
+}
+
+/**
+ * Enrolls contacts into every active sequence with a matching trigger.
+ * value is the phonebook { id, name } or the chat tag { id, title }. it
+ * never throws so callers can fire it after their own work is saved
+ */
+async function enrollByTrigger({ uid, type, value, contacts }) {
+  try {
+    if (!uid || !value || contacts?.length < 1) return;
+
+    const sequences = await query(
+      `SELECT * FROM sequences WHERE uid = ? AND status = 'ACTIVE'`,
+      [uid]
+    );
+    const keys = [value.id, value.name, value.title]
+      .filter((k) => k !== undefined && k !== null && k !== "")
+      .map((k) => `${k}`);
+
+    for (const row of sequences) {
+      const sequence = parseSequence(row);
+      const matched = sequence.triggers.some(
+        (t) => t.type === type && keys.includes(`${t.value}`)
+      );
+      if (!matched) continue;
+
+      const count = await enrollContacts({ sequence, contacts, source: type });
+      if (count > 0) {
+        console.log(`Enrolled ${count} contacts in ${sequence.sequence_id}`);
+      }
+    }
+  } catch (err) {
+    console.log("Error while enrolling contacts in sequences:", err);
+  }
+}
+
+async function exitEnrollments({ uid, mobile, reason, sequenceId = null }) {
+  await query(
+    `UPDATE sequence_enrollments SET status = ?, exit_reason = ?, next_run_at = NULL WHERE uid = ? AND contact_mobile = ? AND status = ?${
+      sequenceId ? " AND sequence_id = ?" : ""
+    }`,
+    [
+      ENROLLMENT_STATUS.EXITED,
+      reason,
+      uid,
+      toSuppressionMobile(mobile),
+      ENROLLMENT_STATUS.ACTIVE,
+      ...(sequenceId ? [sequenceId] : []),
+    ]
+  );
+}
+
+/**
+ * An inbound message ends every sequence of the sender that exits on reply,
+ * an opt-out ends all of them. the others remember the reply for skip_if
+ */
+async function processSequenceInbound({ uid, senderMobile, optStatus }) {
+  try {
+    const mobile = toSuppressionMobile(senderMobile);
+    if (!uid || !mobile) return;
+
+    if (optStatus === "OPT_OUT") {
+      await exitEnrollments({ uid, mobile, reason: EXIT_REASONS.OPT_OUT });
+      return;
+    }
+
+    await query(
+      `UPDATE sequence_enrollments SET last_reply_at = ? WHERE uid = ? AND contact_mobile = ? AND status = ?`,
+      [Date.now(), uid, mobile, ENROLLMENT_STATUS.ACTIVE]
+    );
+
+    await query(
+      `UPDATE sequence_enrollments e JOIN sequences s ON s.sequence_id = e.sequence_id
+       SET e.status = ?, e.exit_reason = ?, e.next_run_at = NULL
+       WHERE e.uid = ? AND e.contact_mobile = ? AND e.status = ? AND s.exit_on_reply = 1`,
+      [
+        ENROLLMENT_STATUS.EXITED,
+        EXIT_REASONS.REPLIED,
+        uid,
+        mobile,
+        ENROLLMENT_STATUS.ACTIVE,
+      ]
+    );
+  } catch (err) {
+    console.log("Error while updating sequences for a reply:", err);
+  }
+}
+
+module.exports = {
+  SEQUENCE_TRIGGERS,
+  STEP_TYPES,
+  SKIP_CONDITIONS,
+  ENROLLMENT_STATUS,
+  EXIT_REASONS,
+  parseSequence,
+  getStepOffset,
+  normalizeSteps,
+  validateSequence,
+  getSequence,
+  enrollContacts,
+  enrollInSequence,
+  enrollByTrigger,
+  exitEnrollments,
+  processSequenceInbound,
+};
@@ -0,0 +1,466 @@
+const moment = require("moment-timezone");
+const { query } = require("../../database/dbpromise");
+const { TEAM_ROLES, getAssignedAgent } = require("../teams");
+const { parseJson, getSocket } = require("../utils");
+
+// the two timers of a policy, kept in sla_events.metric
+const SLA_METRICS = {
+  FIRST_RESPONSE: "FIRST_RESPONSE",
+  RESOLUTION: "RESOLUTION",
+};
+
+// sla_events.kind, a warning goes out at warn_percent of the allowed time
+const SLA_EVENTS = {
+  WARNING: "WARNING",
+  BREACH: "BREACH",
+};
+
+// what a timer shows in the chat list
+const SLA_STATUSES = {
+  RUNNING: "RUNNING",
+  WARNING: "WARNING",
+  BREACHED: "BREACHED",
+  MET: "MET",
+};
+
+// chats quiet for longer than this are not timed anymore
+const ACTIVE_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
+const MINUTE = 60 * 1000;
+
+// returns an error message, null when the policy can be saved
+function validateSlaPolicy(policy) {
+  const first = Number(policy.first_response_minutes) || 0;
+  const resolution = Number(policy.resolution_minutes) || 0;
+
+  if (first < 0 || resolution < 0) {
+    return "Minutes should be 0 or more, 0 turns that timer off";
+  }
+  if (first < 1 && resolution < 1) {
+    return "Please set a first response or resolution time";
+  }
+
+  const warn = Number(policy.warn_percent);
+  if (!(warn > 0 && warn < 100)) {
+    return "Warning should be a percent between 1 and 99";
+  }
+
+  const hours = policy.business_hours;
+  if (hours) {
+    if (!/^\d{2}:\d{2}$/.test(hours.from) || !/^\d{2}:\d{2}$/.test(hours.to)) {
+      return "Business hours should be in HH:mm format";
+    }
+    if (hours.from >= hours.to) {
+      return "Business hours should end after they start";
+    }
+    if (
+      hours.days &&
+      (!Array.isArray(hours.days) ||
+        hours.days.some((d) => ![0, 1, 2, 3, 4, 5, 6].includes(Number(d))))
+    ) {
+      return "Business days should be numbers from 0 (Sunday) to 6";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Time that is minutes of business hours after start. without hours every
+ * minute counts. null when the hours have no day to count on
+ */
+function addBusinessTime(start, minutes, hours, timezone) {
+  if (!hours) return start + minutes * MINUTE;
+
+  const days =
+    hours.days?.length > 0 ? hours.days.map(Number) : [0, 1, 2, 3, 4, 5, 6];
+  const [fromH, fromM] = hours.from.split(":").map(Number);
+  const [toH, toM] = hours.to.split(":").map(Number);
+
+  let left = minutes * MINUTE;
+  let cursor = moment.tz(start, timezone || "Asia/Kolkata");
+
+  // a year covers any policy, the limit only guards against a loop
+  for (let i = 0; i < 366; i++) {
+    if (days.includes(cursor.day())) {
+      const open = cursor
+        .clone()
+        .set({ hour: fromH, minute: fromM, second: 0, millisecond: 0 });
+      const close = cursor
+        .clone()
+        .set({ hour: toH, minute: toM, second: 0, millisecond: 0 });
+      const from = Math.max(cursor.valueOf(), open.valueOf());
+
+      if (from < close.valueOf()) {
+        if (from + left <= close.valueOf()) return from + left;
+        left -= close.valueOf() - from;
+      }
+    }
+    cursor = cursor.clone().add(1, "day").startOf("day");
+  }
+
+  return null;
+}
+
+// every key of the policy has to match, the policy matching most keys wins
+// and one without team and label covers the rest
+function getChatPolicy(policies, chat) {
+  const labels = [].concat(parseJson(chat?.chat_label) || []);
+  const labelKeys = new Set(
+    labels
+      .flatMap((label) => [label?.id, label?.title])
+      .filter((k) => k !== undefined && k !== null && k !== "")
+      .map((k) => `${k}`.trim().toLowerCase())
+  );
+
+  let best = null;
+  let bestScore = -1;
+
+  for (const policy of policies) {
+    if (policy.team_id && policy.team_id !== chat?.assigned_team) continue;
+    if (
+      policy.label &&
+      !labelKeys.has(`${policy.label}`.trim().toLowerCase())
+    ) {
+      continue;
+    }
+
+    const score = (policy.team_id ? 2 : 0) + (policy.label ? 1 : 0);
+    if (score > bestScore) {
+      best = policy;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// beta_conversation.timestamp is in seconds, older rows may hold milliseconds
+function toMillis(timestamp, createdAt) {
+  const value = Number(timestamp);
+  if (value > 0) return value < 1e12 ? value * 1000 : value;
+  return new Date(createdAt).getTime();
+}
+
+/**
+ * Timers of the current cycle of a chat, from its first incoming message
+ * after since. any outgoing message, a flow reply too, is a first response.
+ * null when the customer did not write since
+ */
+function computeSlaState({ policy, messages, since, timezone }) {
+  const timed = messages.map((msg) => ({
+    route: msg.route,
+    at: toMillis(msg.timestamp, msg.createdAt),
+  }));
+
+  const first = timed.find(
+    (msg) => msg.route === "INCOMING" && msg.at >= since
+  );
+  if (!first) return null;
+
+  const reply = timed.find(
+    (msg) => msg.route === "OUTGOING" && msg.at >= first.at
+  );
+
+  const hours = parseJson(policy.business_hours);
+  const warn = (Number(policy.warn_percent) || 80) / 100;
+  const due = (minutes) =>
+    minutes > 0 ? addBusinessTime(first.at, minutes, hours, timezone) : null;
+
+  const firstMinutes = Number(policy.first_response_minutes) || 0;
+  const resolveMinutes = Number(policy.resolution_minutes) || 0;
+
+  return {
+    policy_id: policy.policy_id,
+    policy_name: policy.name,
+    started_at: first.at,
+    // left out while unanswered so a reply can be set with JSON_SET
+    first_reply_at: reply?.at,
+    first_due_at: due(firstMinutes),
+    first_warn_at: due(firstMinutes * warn),
+    resolve_due_at: due(resolveMinutes),
+    resolve_warn_at: due(resolveMinutes * warn),
+  };
+}
+
+function getTimerStatus(doneAt, dueAt, warnAt, now) {
+  if (!dueAt) return null;
+  if (doneAt) return doneAt <= dueAt ? SLA_STATUSES.MET : SLA_STATUSES.BREACHED;
+  if (now > dueAt) return SLA_STATUSES.BREACHED;
+  return warnAt && now >= warnAt ? SLA_STATUSES.WARNING : SLA_STATUSES.RUNNING;
+}
+
+/**
+ * Badge of a beta_chats row for the chat list, null when no policy times
+ * the chat. a resolved chat stops both timers
+ */
+function getSlaBadge(chat, now = Date.now()) {
+  const state = parseJson(chat?.sla_state);
+  if (!state) return null;
+
+  const resolvedAt =
+    chat.sla_resolved_at && Number(chat.sla_resolved_at) >= state.started_at
+      ? Number(chat.sla_resolved_at)
+      : null;
+
+  // a chat resolved without a reply stops the first response timer too
+  const firstReplyAt =
+    state.first_reply_at ||
+    (resolvedAt && state.first_due_at ? resolvedAt : null);
+
+  return {
+    policy_id: state.policy_id,
+    policy_name: state.policy_name,
+    started_at: state.started_at,
+    resolved_at: resolvedAt,
+    first_response: getTimerStatus(
+      firstReplyAt,
+      state.first_due_at,
+      state.first_warn_at,
+      now
+    ),
+    first_due_at: state.first_due_at,
+    resolution: getTimerStatus(
+      resolvedAt,
+      state.resolve_due_at,
+      state.resolve_warn_at,
+      now
+    ),
+    resolve_due_at: state.resolve_due_at,
+  };
+}
+
+async function getActivePolicies(uid) {
+  return query(
+    `SELECT * FROM sla_policies WHERE uid = ? AND is_active = 1 ORDER BY id ASC`,
+    [uid]
+  );
+}
+
+// the assigned agent and the supervisors of the chat team, every member of
+// the team while the chat waits in its queue
+async function getAlertAgentUids(chat) {
+  const uids = new Set();
+  const assigned = getAssignedAgent(chat);
+  if (assigned?.uid) uids.add(assigned.uid);
+
+  if (chat.assigned_team) {
+    const members = await query(
+      `SELECT agent_uid, role FROM agent_team_members WHERE uid = ? AND team_id = ?`,
+      [chat.uid, chat.assigned_team]
+    );
+    members
+      .filter((m) => !assigned || m.role === TEAM_ROLES.SUPERVISOR)
+      .forEach((m) => uids.add(m.agent_uid));
+  }
+
+  return uids;
+}
+
+async function sendSlaAlert(chat, alert) {
+  const { getConnectionsByUid, sendToSocket } = getSocket();
+
+  const agentUids = await getAlertAgentUids(chat);
+  getConnectionsByUid(chat.uid, true)
+    .filter((c) => !c.userData?.isAgent || agentUids.has(c.userData?.uid))
+    .forEach((c) => sendToSocket(c.socketId, alert, "sla_alert"));
+}
+
+// warnings and breaches of the cycle that were not sent yet
+async function raiseSlaEvents(chat, state, now) {
+  const badge = getSlaBadge({ ...chat, sla_state: JSON.stringify(state) }, now);
+  const due = [
+    [SLA_METRICS.FIRST_RESPONSE, badge.first_response, state.first_due_at],
+    [SLA_METRICS.RESOLUTION, badge.resolution, state.resolve_due_at],
+  ]
+    .map(([metric, status, dueAt]) => ({
+      metric,
+      dueAt,
+      kind:
+        status === SLA_STATUSES.WARNING
+          ? SLA_EVENTS.WARNING
+          : status === SLA_STATUSES.BREACHED
+          ? SLA_EVENTS.BREACH
+          : null,
+    }))
+    .filter((event) => event.kind);
+  if (due.length < 1) return;
+
+  const sent = await query(
+    `SELECT metric, kind FROM sla_events WHERE uid = ? AND chat_id = ? AND cycle_start = ?`,
+    [chat.uid, chat.chat_id, state.started_at]
+  );
+  const assigned = getAssignedAgent(chat);
+
+  for (const event of due) {
+    if (sent.some((s) => s.metric === event.metric && s.kind === event.kind)) {
+      continue;
+    }
+
+    await query(
+      `INSERT INTO sla_events (uid, chat_id, policy_id, metric, kind, cycle_start, due_at, agent_uid, team_id) VALUES (?,?,?,?,?,?,?,?,?)`,
+      [
+        chat.uid,
+        chat.chat_id,
+        state.policy_id,
+        event.metric,
+        event.kind,
+        state.started_at,
+        event.dueAt,
+        assigned?.uid || null,
+        chat.assigned_team || null,
+      ]
+    );
+
+    await sendSlaAlert(chat, {
+      chatId: chat.chat_id,
+      senderName: chat.sender_name,
+      senderMobile: chat.sender_mobile,
+      metric: event.metric,
+      kind: event.kind,
+      due_at: event.dueAt,
+      policy_name: state.policy_name,
+    });
+  }
+}
+
+/**
+ * Recomputes the timers of the open chats of a user from beta_conversation,
+ * saves them in beta_chats.sla_state and sends warnings and breaches once
+ * per cycle. a policy only times messages that came after it was created
+ */
+async function sweepSla({ user }) {
+  const policies = await getActivePolicies(user.uid);
+  if (policies.length < 1) return;
+
+  const now = Date.now();
+  const chats = await query(
+    `SELECT * FROM beta_chats
+     WHERE uid = ? AND last_inbound_at > ? AND (sla_resolved_at IS NULL OR last_inbound_at > sla_resolved_at)
+     ORDER BY last_inbound_at DESC LIMIT 500`,
+    [user.uid, now - ACTIVE_WINDOW]
+  );
+
+  for (const chat of chats) {
+    const policy = getChatPolicy(policies, chat);
+    if (!policy) {
+      if (chat.sla_state) {
+        await query(`UPDATE beta_chats SET sla_state = NULL WHERE id = ?`, [
+          chat.id,
+        ]);
+      }
+      continue;
+    }
+
+    const since = Math.max(
+      Number(chat.sla_resolved_at) || 0,
+      new Date(policy.createdAt).getTime() || 0
+    );
+
+    // createdAt narrows the rows, the timestamps decide
+    const messages = await query(
+      `SELECT route, timestamp, createdAt FROM beta_conversation
+       WHERE uid = ? AND chat_id = ? AND route IN ('INCOMING', 'OUTGOING') AND createdAt >= ?
+       ORDER BY id ASC LIMIT 1000`,
+      [user.uid, chat.chat_id, new Date(since - 24 * 60 * MINUTE)]
+    );
+
+    const state = computeSlaState({
+      policy,
+      messages,
+      since,
+      timezone: user.timezone,
+    });
+
+    await query(`UPDATE beta_chats SET sla_state = ? WHERE id = ?`, [
+      state ? JSON.stringify(state) : null,
+      chat.id,
+    ]);
+    if (state) await raiseSlaEvents(chat, state, now);
+  }
+}
+
+// the first reply of a cycle shows in the badge before the next sweep
+async function markSlaReply(uid, chatId) {
+  await query(
+    `UPDATE beta_chats SET sla_state = JSON_SET(sla_state, '$.first_reply_at', ?)
+     WHERE uid = ? AND chat_id = ? AND sla_state IS NOT NULL AND JSON_EXTRACT(sla_state, '$.first_reply_at') IS NULL
+       AND (sla_resolved_at IS NULL OR sla_resolved_at < JSON_EXTRACT(sla_state, '$.started_at'))`,
+    [Date.now(), uid, chatId]
+  );
+}
+
+// stops both timers, the next incoming message starts a new cycle
+async function resolveChatSla(uid, chatId) {
+  const result = await query(
+    `UPDATE beta_chats SET sla_resolved_at = ? WHERE uid = ? AND chat_id = ?`,
+    [Date.now(), uid, chatId]
+  );
+  return result?.affectedRows > 0;
+}
+
+/**
+ * Warnings and breaches of an agent, and how its timed chats ended. from
+ * and to limit the events, they are dates
+ */
+async function getAgentSlaStats({ uid, agentUid, chats, from, to }) {
+  let sql = `SELECT metric, kind, COUNT(*) as count FROM sla_events WHERE uid = ? AND agent_uid = ?`;
+  const params = [uid, agentUid];
+  if (from && to) {
+    sql += ` AND createdAt BETWEEN ? AND ?`;
+    params.push(from, to);
+  }
+  const events = await query(`${sql} GROUP BY metric, kind`, params);
+
+  const countOf = (metric, kind) =>
+    Number(events.find((e) => e.metric === metric && e.kind === kind)?.count) ||
+    0;
+
+  const timers = { met: 0, breached: 0, running: 0 };
+  const stats = {
+    first_response: { ...timers },
+    resolution: { ...timers },
+  };
+
+  chats.forEach((chat) => {
+    const badge = getSlaBadge(chat);
+    if (!badge) return;
+    [
+      [stats.first_response, badge.first_response],
+      [stats.resolution, badge.resolution],
+    ].forEach(([counts, status]) => {
+      if (status === SLA_STATUSES.MET) counts.met++;
+      else if (status === SLA_STATUSES.BREACHED) counts.breached++;
+      else if (status) counts.running++;
+    });
+  });
+
+  return {
+    ...stats,
+    first_response_warnings: countOf(
+      SLA_METRICS.FIRST_RESPONSE,
+      SLA_EVENTS.WARNING
+    ),
+    first_response_breaches: countOf(
+      SLA_METRICS.FIRST_RESPONSE,
+      SLA_EVENTS.BREACH
+    ),
+    resolution_warnings: countOf(SLA_METRICS.RESOLUTION, SLA_EVENTS.WARNING),
+    resolution_breaches: countOf(SLA_METRICS.RESOLUTION, SLA_EVENTS.BREACH),
+  };
+}
+
+module.exports = {
+  SLA_METRICS,
+  SLA_EVENTS,
+  SLA_STATUSES,
+  validateSlaPolicy,
+  addBusinessTime,
+  getChatPolicy,
+  computeSlaState,
+  getSlaBadge,
+  sweepSla,
+  markSlaReply,
+  resolveChatSla,
+  getAgentSlaStats,
+};
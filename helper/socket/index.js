@@ -24,6 +24,24 @@ const moment = require("moment-timezone");
 const { getSession } = require("../addon/qr/index.js");
 const { check } = require("express-validator");
 const randomstring = require("randomstring");
+const { enrollByTrigger } = require("../sequence");
+const { ASSIGN_REASONS, assignChat } = require("../routing");
+const { getSlaBadge, markSlaReply } = require("../sla");
+const {
+  getOwnerActor,
+  getAgentActor,
+  canUseReply,
+  getQuickReply,
+  searchQuickReplies,
+  renderQuickReply,
+} = require("../quickReply");
+const {
+  getAgentTeams,
+  getAgentChatScope,
+  getAssignedAgent,
+  canAgentSeeChat,
+  filterAgentNotes,
+} = require("../teams");
 
 function processSocketEvent({
   socket,
@@ -54,6 +72,7 @@ function processSocketEvent({
             hasNote = false,
             statusFilter = "all",
             agentFilter = "",
+            ticketStatus = "",
           } = payload;
 
           // Base query
@@ -63,9 +82,14 @@ function processSocketEvent({
 
           // Agent vs user filtering
           if (isAgent) {
-            // For searching within JSON string
-            conditions.push(`assigned_agent LIKE ?`);
-            queryParams.push(`%"id":${socket.userData.id}%`);
+            // own chats, the queue of its teams and every chat of the
+            // teams it supervises
+            const agentScope = getAgentChatScope(
+              socket.userData,
+              await getAgentTeams(uid)
+            );
+            conditions.push(agentScope.sql);
+            queryParams.push(...agentScope.params);
           } else {
             conditions.push(`uid = ?`);
             queryParams.push(uid);
@@ -130,6 +154,14 @@ function processSocketEvent({
             conditions.push(`unread_count > 0`);
           }
 
+          // status of the active ticket, none for chats without one
+          if (ticketStatus === "none") {
+            conditions.push(`ticket_status IS NULL`);
+          } else if (ticketStatus) {
+            conditions.push(`ticket_status = ?`);
+            queryParams.push(ticketStatus);
+          }
+
           // Has Note filter
           if (hasNote) {
             conditions.push(`(chat_note IS NOT NULL AND chat_note != '')`);
@@ -152,7 +184,10 @@ function processSocketEvent({
           const contacts = await query(`SELECT * FROM contact WHERE uid = ?`, [
             isAgent ? socket?.userData?.owner_uid : uid,
           ]);
-          const chatData = mergeArraysWithPhonebook(chats, contacts);
+          const now = Date.now();
+          const chatData = mergeArraysWithPhonebook(chats, contacts).map(
+            (chat) => ({ ...chat, sla: getSlaBadge(chat, now) })
+          );
 
           const agentData = await query(
             `SELECT * FROM agents WHERE owner_uid = ?`,
@@ -177,6 +212,20 @@ function processSocketEvent({
             offset: msgOffset = 0,
           } = filters;
 
+          // agents only open chats they can see in their chat list
+          const convoTeams = isAgent ? await getAgentTeams(uid) : null;
+          if (isAgent) {
+            const [openedChat] = await query(
+              `SELECT * FROM beta_chats WHERE id = ?`,
+              [chat?.id]
+            );
+            if (!canAgentSeeChat(socket.userData, convoTeams, openedChat)) {
+              return socket.emit("error", {
+                msg: "This chat is not assigned to you or your team",
+              });
+            }
+          }
+
           // unreading the message count
           await query(`UPDATE beta_chats SET unread_count = ? WHERE id = ?`, [
             0,
@@ -258,9 +307,12 @@ function processSocketEvent({
             ? JSON.parse(updatedChat?.chat_note)
             : [];
 
-          if (socket?.userData?.role === "agent") {
-            updatedChat.chat_note = updatedChat.chat_note?.filter(
-              (x) => x.email === socket?.userData?.email
+          if (isAgent) {
+            updatedChat.chat_note = filterAgentNotes(
+              socket.userData,
+              convoTeams,
+              updatedChat,
+              updatedChat.chat_note || []
             );
           }
 
@@ -335,7 +387,7 @@ function processSocketEvent({
 
           // Get existing labels first
           const [existingLabelsRow] = await query(
-            `SELECT chat_label FROM beta_chats WHERE id = ?`,
+            `SELECT uid, chat_label, sender_mobile, sender_name FROM beta_chats WHERE id = ?`,
             [chatIdRow]
           );
 
@@ -366,6 +418,21 @@ function processSocketEvent({
             chatIdRow,
           ]);
 
+          // sequences triggered by this tag start for the chat
+          if (!labelExists && existingLabelsRow) {
+            await enrollByTrigger({
+              uid: existingLabelsRow.uid,
+              type: "TAG",
+              value: labelData,
+              contacts: [
+                {
+                  mobile: existingLabelsRow.sender_mobile,
+                  name: existingLabelsRow.sender_name,
+                },
+              ],
+            });
+          }
+
           socket.emit("request_update_opened_chat", {});
           socket.emit("request_update_chat_list", {});
           break;
@@ -478,6 +545,142 @@ function processSocketEvent({
           socket.emit("request_update_opened_chat", {});
           break;
 
+        // internal note from a supervisor or the owner to the agent of a
+        // chat, the customer never sees notes
+        case "whisper_chat_note":
+          const {
+            chatId: whisperChatId,
+            note: whisperNote,
+            toAgentUid,
+          } = payload;
+
+          if (!whisperChatId || !whisperNote) {
+            return socket.emit("error", { msg: "Please add a note" });
+          }
+
+          const [whisperChat] = await query(
+            `SELECT * FROM beta_chats WHERE id = ?`,
+            [whisperChatId]
+          );
+          const whisperOwner = isAgent ? socket?.userData?.owner_uid : uid;
+          if (!whisperChat || whisperChat.uid !== whisperOwner) {
+            return socket.emit("error", { msg: "Chat not found" });
+          }
+
+          if (
+            isAgent &&
+            !(await getAgentTeams(uid)).supervised.includes(
+              whisperChat.assigned_team
+            )
+          ) {
+            return socket.emit("error", {
+              msg: "Only a supervisor of the chat team can whisper",
+            });
+          }
+
+          const whisperTo = toAgentUid || getAssignedAgent(whisperChat)?.uid;
+          const [whisperAgent] = await query(
+            `SELECT * FROM agents WHERE uid = ? AND owner_uid = ?`,
+            [whisperTo, whisperOwner]
+          );
+          if (!whisperAgent) {
+            return socket.emit("error", {
+              msg: "The chat has no agent to whisper to",
+            });
+          }
+
+          const [whisperUser] = await query(
+            `SELECT * FROM user WHERE uid = ?`,
+            [whisperOwner]
+          );
+
+          const whisper = {
+            email: socket?.userData?.email,
+            name: socket?.userData?.name,
+            note: whisperNote,
+            whisper: true,
+            to: whisperAgent.uid,
+            to_name: whisperAgent.name,
+            craetedAt: getCurrentTimestampInTimeZone(
+              whisperUser?.timezone || "Asia/Kolkata"
+            ),
+            id: randomstring.generate(5),
+          };
+
+          await query(`UPDATE beta_chats SET chat_note = ? WHERE id = ?`, [
+            JSON.stringify([
+              ...JSON.parse(whisperChat.chat_note || "[]"),
+              whisper,
+            ]),
+            whisperChatId,
+          ]);
+
+          getConnectionsByUid(whisperOwner, true)
+            .filter((c) => c.userData?.uid === whisperAgent.uid)
+            .forEach((c) =>
+              sendToSocket(
+                c.socketId,
+                { chatId: whisperChat.chat_id, note: whisper },
+                "whisper_note"
+              )
+            );
+
+          socket.emit("request_update_opened_chat", {});
+          break;
+
+        // autocomplete of the composer, search is what follows the slash
+        case "search_quick_replies":
+          const searchActor = isAgent
+            ? getAgentActor(socket.userData, await getAgentTeams(uid))
+            : getOwnerActor(uid, socket.userData?.name);
+
+          const quickReplies = await searchQuickReplies(searchActor, {
+            search: payload?.search,
+            limit: 10,
+          });
+          socket.emit("quick_replies", {
+            search: payload?.search,
+            replies: quickReplies,
+          });
+          break;
+
+        // the picked reply with the variables of the open chat filled in
+        case "render_quick_reply":
+          const renderActor = isAgent
+            ? getAgentActor(socket.userData, await getAgentTeams(uid))
+            : getOwnerActor(uid, socket.userData?.name);
+
+          const quickReply = await getQuickReply(
+            renderActor.ownerUid,
+            payload?.replyId
+          );
+          if (!canUseReply(renderActor, quickReply)) {
+            return socket.emit("error", { msg: "Quick reply not found" });
+          }
+
+          const [replyChat] = await query(
+            `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+            [renderActor.ownerUid, payload?.chatId]
+          );
+          if (
+            isAgent &&
+            !canAgentSeeChat(socket.userData, renderActor.teams, replyChat)
+          ) {
+            return socket.emit("error", {
+              msg: "This chat is not assigned to you or your team",
+            });
+          }
+
+          socket.emit(
+            "quick_reply_rendered",
+            await renderQuickReply({
+              actor: renderActor,
+              reply: quickReply,
+              chat: replyChat,
+            })
+          );
+          break;
+
         case "send_chat_message":
           const { type, msgCon, chatInfo } = payload;
 
@@ -557,14 +760,19 @@ function processSocketEvent({
               messageData,
             });
 
+            // a reply stops the clock that reassigns unanswered chats
             await query(
-              `UPDATE beta_chats SET last_message = ? WHERE chat_id = ? AND uid = ?`,
+              `UPDATE beta_chats SET last_message = ?, waiting_since = NULL WHERE chat_id = ? AND uid = ?`,
               [
                 JSON.stringify(messageData),
                 chatInfo.chat_id,
                 isAgent ? socket?.userData?.owner_uid : uid,
               ]
             );
+            await markSlaReply(
+              isAgent ? socket?.userData?.owner_uid : uid,
+              chatInfo.chat_id
+            );
 
             socket.emit("request_update_chat_list", {
               chatId: chatInfo?.chat_id,
@@ -577,9 +785,10 @@ function processSocketEvent({
           const { chatId, agentUid, unAssign } = payload;
 
           if (unAssign) {
+            // the router leaves it alone until the customer writes again
             await query(
               `UPDATE beta_chats
-                SET assigned_agent = NULL
+                SET assigned_agent = NULL, waiting_since = NULL
                 WHERE chat_id = ?
                   AND JSON_EXTRACT(assigned_agent, '$.uid') = ?
                   AND uid = ?`,
@@ -591,11 +800,17 @@ function processSocketEvent({
                 `SELECT * FROM agents WHERE uid = ? AND owner_uid = ?`,
                 [agentUid, uid]
               );
-              if (agentData) {
-                await query(
-                  `UPDATE beta_chats SET assigned_agent = ? WHERE chat_id = ? AND uid = ?`,
-                  [JSON.stringify(agentData), chatId, uid]
-                );
+              const [chatRow] = await query(
+                `SELECT * FROM beta_chats WHERE chat_id = ? AND uid = ?`,
+                [chatId, uid]
+              );
+              if (agentData && chatRow) {
+                await assignChat({
+                  uid,
+                  chat: chatRow,
+                  agent: agentData,
+                  reason: ASSIGN_REASONS.MANUAL,
+                });
               }
             }
           }
@@ -0,0 +1,91 @@
+const { query } = require("../../database/dbpromise");
+const { parseJson } = require("../utils");
+
+// a supervisor sees every chat of the team, a member its own and the queue
+const TEAM_ROLES = {
+  MEMBER: "MEMBER",
+  SUPERVISOR: "SUPERVISOR",
+};
+
+/**
+ * Teams of an agent as { member, supervised } lists of team ids. member has
+ * every team the agent is in, supervised the ones it supervises
+ */
+async function getAgentTeams(agentUid) {
+  const rows = await query(
+    `SELECT team_id, role FROM agent_team_members WHERE agent_uid = ?`,
+    [agentUid]
+  );
+
+  return {
+    member: rows.map((row) => row.team_id),
+    supervised: rows
+      .filter((row) => row.role === TEAM_ROLES.SUPERVISOR)
+      .map((row) => row.team_id),
+  };
+}
+
+async function getTeamMemberUids(uid, teamId) {
+  const rows = await query(
+    `SELECT agent_uid FROM agent_team_members WHERE uid = ? AND team_id = ?`,
+    [uid, teamId]
+  );
+  return new Set(rows.map((row) => row.agent_uid));
+}
+
+/**
+ * beta_chats condition for the chats an agent may see: its own, the queue of
+ * its teams and everything in the teams it supervises
+ */
+function getAgentChatScope(agent, teams) {
+  const conditions = [`assigned_agent LIKE ?`];
+  const params = [`%"id":${agent.id}%`];
+
+  if (teams.member.length > 0) {
+    conditions.push(`(assigned_agent IS NULL AND assigned_team IN (?))`);
+    params.push(teams.member);
+  }
+  if (teams.supervised.length > 0) {
+    conditions.push(`assigned_team IN (?)`);
+    params.push(teams.supervised);
+  }
+
+  return {
+    sql: `(uid = ? AND (${conditions.join(" OR ")}))`,
+    params: [agent.owner_uid, ...params],
+  };
+}
+
+function getAssignedAgent(chat) {
+  return parseJson(chat?.assigned_agent);
+}
+
+// the same rules as getAgentChatScope for a chat that is already loaded
+function canAgentSeeChat(agent, teams, chat) {
+  if (!chat || chat.uid !== agent.owner_uid) return false;
+
+  const assigned = getAssignedAgent(chat);
+  if (assigned && `${assigned.id}` === `${agent.id}`) return true;
+  if (teams.supervised.includes(chat.assigned_team)) return true;
+
+  return !assigned && teams.member.includes(chat.assigned_team);
+}
+
+// notes an agent may read, a supervisor of the chat team reads them all
+function filterAgentNotes(agent, teams, chat, notes) {
+  if (teams.supervised.includes(chat?.assigned_team)) return notes;
+
+  return notes.filter(
+    (note) => note.email === agent.email || note.to === agent.uid
+  );
+}
+
+module.exports = {
+  TEAM_ROLES,
+  getAgentTeams,
+  getTeamMemberUids,
+  getAgentChatScope,
+  getAssignedAgent,
+  canAgentSeeChat,
+  filterAgentNotes,
+};
@@ -0,0 +1,166 @@
+const {
+  getRequestActor,
+  validateTicket,
+  createTicket,
+  changeTicketStatus,
+  updateTicket,
+  rateTicket,
+  getChatTickets,
+  getTicketHistory,
+} = require("./index");
+
+/**
+ * Ticket routes shared by the owner and the agent api. scope says whose
+ * tickets a request works on:
+ * getUid(req) the owner uid, getChat(req, chatId) and getTicket(req, ticketId)
+ * return the row when the request may use it, null otherwise
+ */
+function getTicketHandlers(scope) {
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      res.json({ success: false, msg: "something went wrong", err });
+      console.log(err);
+    }
+  };
+
+  // every ticket a chat had, the active one first
+  const getChatTicketsHandler = handle(async (req, res) => {
+    const { chatId } = req.body;
+
+    if (!(await scope.getChat(req, chatId))) {
+      return res.json({ success: false, msg: "Chat not found" });
+    }
+
+    const data = await getChatTickets(scope.getUid(req), chatId);
+    res.json({ data, success: true });
+  });
+
+  const createTicketHandler = handle(async (req, res) => {
+    const { chatId, subject, priority, auto_reopen } = req.body;
+
+    const error = validateTicket({ priority });
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    if (!(await scope.getChat(req, chatId))) {
+      return res.json({ success: false, msg: "Chat not found" });
+    }
+
+    const result = await createTicket({
+      uid: scope.getUid(req),
+      chatId,
+      subject,
+      priority: priority || undefined,
+      autoReopen: auto_reopen !== false,
+      actor: getRequestActor(req),
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({ success: true, msg: "Ticket was created", data: result.ticket });
+  });
+
+  const changeTicketStatusHandler = handle(async (req, res) => {
+    const { ticketId, status, note } = req.body;
+
+    const error = !status
+      ? "Please select a status"
+      : validateTicket({ status });
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    const ticket = await scope.getTicket(req, ticketId);
+    if (!ticket) {
+      return res.json({ success: false, msg: "Ticket not found" });
+    }
+
+    const result = await changeTicketStatus({
+      ticket,
+      status,
+      note,
+      actor: getRequestActor(req),
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({ success: true, msg: "Ticket status was updated" });
+  });
+
+  const updateTicketHandler = handle(async (req, res) => {
+    const { ticketId, subject, priority, auto_reopen } = req.body;
+
+    const error = validateTicket({ priority });
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    const ticket = await scope.getTicket(req, ticketId);
+    if (!ticket) {
+      return res.json({ success: false, msg: "Ticket not found" });
+    }
+
+    const result = await updateTicket({
+      ticket,
+      subject,
+      priority,
+      autoReopen: auto_reopen,
+      actor: getRequestActor(req),
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({ success: true, msg: "Ticket was updated" });
+  });
+
+  // who changed what and when, oldest first
+  const getTicketHistoryHandler = handle(async (req, res) => {
+    const { ticketId } = req.body;
+
+    if (!(await scope.getTicket(req, ticketId))) {
+      return res.json({ success: false, msg: "Ticket not found" });
+    }
+
+    const data = await getTicketHistory(scope.getUid(req), ticketId);
+    res.json({ data, success: true });
+  });
+
+  // a rating the customer gave outside the api, 1 to 5
+  const rateTicketHandler = handle(async (req, res) => {
+    const { ticketId, score, comment } = req.body;
+
+    const ticket = await scope.getTicket(req, ticketId);
+    if (!ticket) {
+      return res.json({ success: false, msg: "Ticket not found" });
+    }
+
+    const result = await rateTicket({
+      ticket,
+      score,
+      comment,
+      actor: getRequestActor(req),
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({ success: true, msg: "Rating was saved" });
+  });
+
+  return {
+    getChatTickets: getChatTicketsHandler,
+    createTicket: createTicketHandler,
+    changeTicketStatus: changeTicketStatusHandler,
+    updateTicket: updateTicketHandler,
+    getTicketHistory: getTicketHistoryHandler,
+    rateTicket: rateTicketHandler,
+  };
+}
+
+module.exports = { getTicketHandlers };
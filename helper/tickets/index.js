@@ -0,0 +1,330 @@
+const randomstring = require("randomstring");
+const { query } = require("../../database/dbpromise");
+const { resolveChatSla } = require("../sla");
+const { getSocket } = require("../utils");
+
+// CLOSED is final, a chat that needs help again gets a new ticket
+const TICKET_STATUSES = {
+  OPEN: "OPEN",
+  PENDING_CUSTOMER: "PENDING_CUSTOMER",
+  PENDING_INTERNAL: "PENDING_INTERNAL",
+  RESOLVED: "RESOLVED",
+  CLOSED: "CLOSED",
+};
+
+const TICKET_PRIORITIES = ["LOW", "NORMAL", "HIGH", "URGENT"];
+
+// statuses a customer message takes back to OPEN when the ticket allows it
+const REOPEN_STATUSES = [
+  TICKET_STATUSES.PENDING_CUSTOMER,
+  TICKET_STATUSES.RESOLVED,
+];
+
+// who changed a ticket, kept in ticket_history.actor_type
+const ACTOR_TYPES = {
+  OWNER: "OWNER",
+  AGENT: "AGENT",
+  SYSTEM: "SYSTEM",
+  API: "API",
+};
+
+// ticket_history.action
+const TICKET_ACTIONS = {
+  CREATED: "CREATED",
+  STATUS: "STATUS",
+  PRIORITY: "PRIORITY",
+  SUBJECT: "SUBJECT",
+  CSAT: "CSAT",
+};
+
+// actor of a request, an agent or the owner it works for
+function getRequestActor(req) {
+  return req.agent
+    ? { type: ACTOR_TYPES.AGENT, uid: req.agent.uid, name: req.agent.name }
+    : { type: ACTOR_TYPES.OWNER, uid: req.decode.uid, name: req.decode.email };
+}
+
+function notifyTicket(uid, chatId) {
+  const { getConnectionsByUid, sendToSocket } = getSocket();
+
+  getConnectionsByUid(uid, true).forEach((connection) =>
+    sendToSocket(connection.socketId, { chatId }, "request_update_chat_list")
+  );
+}
+
+async function addHistory({ ticket, action, from, to, actor, note }) {
+  await query(
+    `INSERT INTO ticket_history (uid, ticket_id, action, from_value, to_value, actor_type, actor_uid, actor_name, note, changed_at) VALUES (?,?,?,?,?,?,?,?,?,?)`,
+    [
+      ticket.uid,
+      ticket.ticket_id,
+      action,
+      from ?? null,
+      to ?? null,
+      actor.type,
+      actor.uid || null,
+      actor.name || null,
+      note || null,
+      Date.now(),
+    ]
+  );
+}
+
+async function getTicket(uid, ticketId) {
+  const [ticket] = await query(
+    `SELECT * FROM chat_tickets WHERE uid = ? AND ticket_id = ?`,
+    [uid, ticketId]
+  );
+  return ticket || null;
+}
+
+// the ticket that is not closed yet, a chat has at most one
+async function getActiveTicket(uid, chatId) {
+  const [ticket] = await query(
+    `SELECT * FROM chat_tickets WHERE uid = ? AND chat_id = ? AND status != ? ORDER BY id DESC LIMIT 1`,
+    [uid, chatId, TICKET_STATUSES.CLOSED]
+  );
+  return ticket || null;
+}
+
+// beta_chats keeps the active ticket so the inbox can filter on it
+async function syncChatTicket(uid, chatId) {
+  const ticket = await getActiveTicket(uid, chatId);
+  await query(
+    `UPDATE beta_chats SET ticket_id = ?, ticket_status = ? WHERE uid = ? AND chat_id = ?`,
+    [ticket?.ticket_id || null, ticket?.status || null, uid, chatId]
+  );
+  notifyTicket(uid, chatId);
+}
+
+// returns an error message, null when the fields can be saved
+function validateTicket({ status, priority }) {
+  if (status && !Object.values(TICKET_STATUSES).includes(status)) {
+    return `Status should be one of ${Object.values(TICKET_STATUSES).join(
+      ", "
+    )}`;
+  }
+  if (priority && !TICKET_PRIORITIES.includes(priority)) {
+    return `Priority should be one of ${TICKET_PRIORITIES.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Opens a ticket on a beta_chats row. returns { error } while the chat has
+ * a ticket that is not closed
+ */
+async function createTicket({
+  uid,
+  chatId,
+  subject,
+  priority = "NORMAL",
+  autoReopen = true,
+  actor,
+}) {
+  const active = await getActiveTicket(uid, chatId);
+  if (active) {
+    return { error: "This chat already has an open ticket", ticket: active };
+  }
+
+  const ticket = {
+    uid,
+    ticket_id: randomstring.generate(),
+    chat_id: chatId,
+    subject: subject || null,
+    status: TICKET_STATUSES.OPEN,
+    priority,
+    auto_reopen: autoReopen ? 1 : 0,
+    opened_at: Date.now(),
+  };
+
+  await query(
+    `INSERT INTO chat_tickets (uid, ticket_id, chat_id, subject, status, priority, auto_reopen, opened_at) VALUES (?,?,?,?,?,?,?,?)`,
+    Object.values(ticket)
+  );
+  await addHistory({
+    ticket,
+    action: TICKET_ACTIONS.CREATED,
+    to: ticket.status,
+    actor,
+  });
+  await syncChatTicket(uid, chatId);
+
+  return { ticket };
+}
+
+/**
+ * Moves a ticket to a status and records who did it. resolving also stops
+ * the sla timers of the chat. returns { error } for a closed ticket
+ */
+async function changeTicketStatus({ ticket, status, actor, note }) {
+  if (ticket.status === TICKET_STATUSES.CLOSED) {
+    return { error: "A closed ticket can not be changed, open a new one" };
+  }
+  if (ticket.status === status) return { ticket };
+
+  // a ticket closed without being resolved counts as resolved when closed
+  const resolvedAt =
+    status === TICKET_STATUSES.RESOLVED
+      ? Date.now()
+      : status === TICKET_STATUSES.CLOSED
+      ? ticket.resolved_at || Date.now()
+      : null;
+
+  await query(
+    `UPDATE chat_tickets SET status = ?, resolved_at = ?, closed_at = ? WHERE id = ?`,
+    [
+      status,
+      resolvedAt,
+      status === TICKET_STATUSES.CLOSED ? Date.now() : null,
+      ticket.id,
+    ]
+  );
+  await addHistory({
+    ticket,
+    action: TICKET_ACTIONS.STATUS,
+    from: ticket.status,
+    to: status,
+    actor,
+    note,
+  });
+
+  if (resolvedAt && !ticket.resolved_at) {
+    await resolveChatSla(ticket.uid, ticket.chat_id);
+  }
+  await syncChatTicket(ticket.uid, ticket.chat_id);
+
+  return { ticket: { ...ticket, status } };
+}
+
+// subject and priority, each change goes into the history
+async function updateTicket({ ticket, subject, priority, autoReopen, actor }) {
+  if (ticket.status === TICKET_STATUSES.CLOSED) {
+    return { error: "A closed ticket can not be changed, open a new one" };
+  }
+
+  const next = {
+    subject: subject !== undefined ? subject : ticket.subject,
+    priority: priority || ticket.priority,
+    auto_reopen:
+      autoReopen !== undefined ? (autoReopen ? 1 : 0) : ticket.auto_reopen,
+  };
+
+  await query(
+    `UPDATE chat_tickets SET subject = ?, priority = ?, auto_reopen = ? WHERE id = ?`,
+    [next.subject, next.priority, next.auto_reopen, ticket.id]
+  );
+
+  if (next.priority !== ticket.priority) {
+    await addHistory({
+      ticket,
+      action: TICKET_ACTIONS.PRIORITY,
+      from: ticket.priority,
+      to: next.priority,
+      actor,
+    });
+  }
+  if (next.subject !== ticket.subject) {
+    await addHistory({
+      ticket,
+      action: TICKET_ACTIONS.SUBJECT,
+      from: ticket.subject,
+      to: next.subject,
+      actor,
+    });
+  }
+
+  return { ticket: { ...ticket, ...next } };
+}
+
+/**
+ * Customer rating of a resolved or closed ticket, 1 to 5. a ticket is only
+ * rated once
+ */
+async function rateTicket({ ticket, score, comment, actor }) {
+  const value = parseInt(score);
+  if (!(value >= 1 && value <= 5)) {
+    return { error: "Score should be a number from 1 to 5" };
+  }
+  if (
+    ![TICKET_STATUSES.RESOLVED, TICKET_STATUSES.CLOSED].includes(ticket.status)
+  ) {
+    return { error: "Only a resolved or closed ticket can be rated" };
+  }
+
+  const result = await query(
+    `UPDATE chat_tickets SET csat_score = ?, csat_comment = ?, csat_at = ? WHERE id = ? AND csat_score IS NULL`,
+    [value, comment || null, Date.now(), ticket.id]
+  );
+  if (!(result?.affectedRows > 0)) {
+    return { error: "This ticket was already rated" };
+  }
+
+  await addHistory({
+    ticket,
+    action: TICKET_ACTIONS.CSAT,
+    to: `${value}`,
+    actor,
+    note: comment,
+  });
+
+  return { ticket: { ...ticket, csat_score: value } };
+}
+
+/**
+ * Called for every inbound message. a ticket waiting on the customer or
+ * resolved goes back to OPEN unless its auto_reopen is off. never throws
+ */
+async function reopenOnInbound({ uid, chatId }) {
+  try {
+    if (!chatId) return;
+
+    const ticket = await getActiveTicket(uid, chatId);
+    if (
+      !ticket ||
+      !ticket.auto_reopen ||
+      !REOPEN_STATUSES.includes(ticket.status)
+    ) {
+      return;
+    }
+
+    await changeTicketStatus({
+      ticket,
+      status: TICKET_STATUSES.OPEN,
+      actor: { type: ACTOR_TYPES.SYSTEM, name: "Customer message" },
+    });
+  } catch (err) {
+    console.log("Error while reopening a ticket:", err);
+  }
+}
+
+async function getChatTickets(uid, chatId) {
+  return query(
+    `SELECT * FROM chat_tickets WHERE uid = ? AND chat_id = ? ORDER BY id DESC`,
+    [uid, chatId]
+  );
+}
+
+async function getTicketHistory(uid, ticketId) {
+  return query(
+    `SELECT * FROM ticket_history WHERE uid = ? AND ticket_id = ? ORDER BY id ASC`,
+    [uid, ticketId]
+  );
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  TICKET_PRIORITIES,
+  ACTOR_TYPES,
+  getRequestActor,
+  validateTicket,
+  getTicket,
+  getActiveTicket,
+  createTicket,
+  changeTicketStatus,
+  updateTicket,
+  rateTicket,
+  reopenOnInbound,
+  getChatTickets,
+  getTicketHistory,
+};
@@ -0,0 +1,277 @@
+const { query } = require("../../database/dbpromise");
+const randomstring = require("randomstring");
+const { toSuppressionMobile } = require("../contact/suppression");
+
+// what sent a tracked link, tracked_links.source_id is its campaign_id or flow_id
+const LINK_SOURCES = {
+  CAMPAIGN: "CAMPAIGN",
+  FLOW: "FLOW",
+};
+
+// link previews and crawlers open links without anyone clicking them
+const BOT_AGENTS = /whatsapp|facebookexternalhit|bot|crawler|spider|preview/i;
+
+// a conversion without a link code goes to the last click of its number
+const ATTRIBUTION_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// query parameter the destination gets so the site can report conversions
+const REF_PARAM = "wa_ref";
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/g;
+
+function getLinkBase() {
+  return `${process.env.BACKURI}/api/link`;
+}
+
+// punctuation that ends a sentence is not part of the link before it
+function trimUrl(match) {
+  return match.replace(/[.,!?;:)\]]+$/, "");
+}
+
+/**
+ * Swaps every link in a text for a tracked one. context is { uid, source,
+ * sourceId, mobile, logId, nodeId }. returns the text and the new link codes
+ */
+async function trackTextLinks(text, context) {
+  if (typeof text !== "string") return { text, codes: [] };
+
+  const base = getLinkBase();
+  const urls = [
+    ...new Set((text.match(URL_PATTERN) || []).map(trimUrl)),
+  ].filter((url) => !url.startsWith(base));
+  if (urls.length < 1) return { text, codes: [] };
+
+  const links = new Map(urls.map((url) => [url, randomstring.generate(8)]));
+  await query(
+    `INSERT INTO tracked_links (uid, code, url, source, source_id, contact_mobile, log_id, node_id) VALUES ?`,
+    [
+      [...links].map(([url, code]) => [
+        context.uid,
+        code,
+        url,
+        context.source,
+        context.sourceId,
+        toSuppressionMobile(context.mobile),
+        context.logId || null,
+        context.nodeId || null,
+      ]),
+    ]
+  );
+
+  return {
+    text: text.replace(URL_PATTERN, (match) => {
+      const url = trimUrl(match);
+      return links.has(url)
+        ? `${base}/${links.get(url)}${match.slice(url.length)}`
+        : match;
+    }),
+    codes: [...links.values()],
+  };
+}
+
+// body variables of a template, the header and buttons are left alone since
+// they hold media links and url suffixes
+async function trackTemplateLinks(bodyVariables, context) {
+  if (!Array.isArray(bodyVariables)) {
+    return { result: bodyVariables, codes: [] };
+  }
+
+  const result = [];
+  const codes = [];
+  for (const variable of bodyVariables) {
+    const tracked = await trackTextLinks(variable, context);
+    result.push(tracked.text);
+    codes.push(...tracked.codes);
+  }
+
+  return { result, codes };
+}
+
+// text and captions of a meta message object, media links are left alone
+async function trackMessageLinks(content, context) {
+  if (!content || typeof content !== "object") {
+    return { result: content, codes: [] };
+  }
+
+  const result = JSON.parse(JSON.stringify(content));
+  const fields = [
+    [result.text, "body"],
+    [result.image, "caption"],
+    [result.video, "caption"],
+    [result.document, "caption"],
+    [result.interactive?.body, "text"],
+  ].filter(([parent, key]) => typeof parent?.[key] === "string");
+
+  const codes = [];
+  for (const [parent, key] of fields) {
+    const tracked = await trackTextLinks(parent[key], context);
+    parent[key] = tracked.text;
+    codes.push(...tracked.codes);
+  }
+
+  return { result, codes };
+}
+
+// links are created before sending, the message id is known after it
+async function setLinksMessage(codes, metaMsgId) {
+  if (!codes?.length || !metaMsgId) return;
+
+  await query(`UPDATE tracked_links SET meta_msg_id = ? WHERE code IN (?)`, [
+    metaMsgId,
+    codes,
+  ]);
+}
+
+/**
+ * Records a click and returns the link, null for an unknown code. a campaign
+ * counts the contacts that clicked, every click is kept in link_clicks
+ */
+async function recordClick({ code, ip, userAgent }) {
+  const [link] = await query(`SELECT * FROM tracked_links WHERE code = ?`, [
+    code,
+  ]);
+  if (!link) return null;
+  if (BOT_AGENTS.test(userAgent || "")) return link;
+
+  const now = Date.now();
+  await query(
+    `INSERT INTO link_clicks (uid, code, source, source_id, contact_mobile, ip, user_agent, clicked_at) VALUES (?,?,?,?,?,?,?,?)`,
+    [
+      link.uid,
+      code,
+      link.source,
+      link.source_id,
+      link.contact_mobile,
+      ip || null,
+      userAgent || null,
+      now,
+    ]
+  );
+  await query(
+    `UPDATE tracked_links SET click_count = click_count + 1, first_clicked_at = IFNULL(first_clicked_at, ?), last_clicked_at = ? WHERE id = ?`,
+    [now, now, link.id]
+  );
+
+  if (link.source === LINK_SOURCES.CAMPAIGN && link.log_id) {
+    const result = await query(
+      `UPDATE beta_campaign_logs SET clicked_at = ? WHERE id = ? AND clicked_at IS NULL`,
+      [now, link.log_id]
+    );
+    if (result?.affectedRows > 0) {
+      await query(
+        `UPDATE beta_campaign SET click_count = click_count + 1 WHERE campaign_id = ?`,
+        [link.source_id]
+      );
+    }
+  }
+
+  return link;
+}
+
+// where a click is sent, with the link code for the conversion webhook
+function getRedirectUrl(link) {
+  try {
+    const url = new URL(link.url);
+    url.searchParams.set(REF_PARAM, link.code);
+    return url.toString();
+  } catch (err) {
+    return link.url;
+  }
+}
+
+/**
+ * Attributes an order to the link it came from, by the wa_ref code or else
+ * the last click of the number. returns the conversion, null when there is
+ * no click to attribute it to. an order id is only counted once
+ */
+async function recordConversion({
+  uid,
+  ref,
+  mobile,
+  orderId,
+  amount,
+  currency,
+  data,
+}) {
+  const [link] = ref
+    ? await query(`SELECT * FROM tracked_links WHERE uid = ? AND code = ?`, [
+        uid,
+        ref,
+      ])
+    : await query(
+        `SELECT * FROM tracked_links WHERE uid = ? AND contact_mobile = ? AND last_clicked_at > ? ORDER BY last_clicked_at DESC LIMIT 1`,
+        [uid, toSuppressionMobile(mobile), Date.now() - ATTRIBUTION_WINDOW]
+      );
+  if (!link) return null;
+
+  if (orderId) {
+    const [exist] = await query(
+      `SELECT * FROM link_conversions WHERE uid = ? AND order_id = ?`,
+      [uid, `${orderId}`]
+    );
+    if (exist) return exist;
+  }
+
+  const conversion = {
+    uid,
+    code: link.code,
+    source: link.source,
+    source_id: link.source_id,
+    contact_mobile: link.contact_mobile,
+    order_id: orderId ? `${orderId}` : null,
+    amount: Number(amount) || 0,
+    currency: currency || null,
+    data: data ? JSON.stringify(data) : null,
+  };
+
+  await query(
+    `INSERT INTO link_conversions (uid, code, source, source_id, contact_mobile, order_id, amount, currency, data) VALUES (?,?,?,?,?,?,?,?,?)`,
+    Object.values(conversion)
+  );
+
+  if (link.source === LINK_SOURCES.CAMPAIGN) {
+    await query(
+      `UPDATE beta_campaign SET conversion_count = conversion_count + 1, conversion_value = conversion_value + ? WHERE campaign_id = ?`,
+      [conversion.amount, link.source_id]
+    );
+  }
+
+  return conversion;
+}
+
+// clicks and conversions per destination of a campaign or flow
+async function getLinkStats(uid, sourceId) {
+  const links = await query(
+    `SELECT url, COUNT(*) as sent, SUM(click_count) as clicks, SUM(first_clicked_at IS NOT NULL) as unique_clicks
+     FROM tracked_links WHERE uid = ? AND source_id = ?
+     GROUP BY url ORDER BY clicks DESC`,
+    [uid, sourceId]
+  );
+  const [conversions] = await query(
+    `SELECT COUNT(*) as count, SUM(amount) as value FROM link_conversions WHERE uid = ? AND source_id = ?`,
+    [uid, sourceId]
+  );
+
+  return {
+    links: links.map((link) => ({
+      url: link.url,
+      sent: Number(link.sent) || 0,
+      clicks: Number(link.clicks) || 0,
+      unique_clicks: Number(link.unique_clicks) || 0,
+    })),
+    conversions: Number(conversions?.count) || 0,
+    conversion_value: Number(conversions?.value) || 0,
+  };
+}
+
+module.exports = {
+  LINK_SOURCES,
+  REF_PARAM,
+  trackTemplateLinks,
+  trackMessageLinks,
+  setLinksMessage,
+  recordClick,
+  getRedirectUrl,
+  recordConversion,
+  getLinkStats,
+};
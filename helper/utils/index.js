@@ -0,0 +1,16 @@
+// json of a text column, fallback when it is empty or broken
+function parseJson(value, fallback = null) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// the socket module loads the inbox, which loads the helpers and the loops,
+// so they get it here once they send something instead of at load time
+function getSocket() {
+  return require("../../socket");
+}
+
+module.exports = { parseJson, getSocket };
@@ -1,5 +1,41 @@
 const { query } = require("../database/dbpromise");
+const randomstring = require("randomstring");
 const { sendTemplateMessage } = require("../functions/function");
+const { parseCustomFields } = require("../helper/contact/fields");
+const { getSegment, getSegmentFilter } = require("../helper/contact/segments");
+const {
+  SUPPRESSED,
+  getSuppressedNumbers,
+  toSuppressionMobile,
+} = require("../helper/contact/suppression");
+const {
+  THROTTLE_STATES,
+  parseSendWindow,
+  getRecipientTimezone,
+  isInsideWindow,
+  getSendBudget,
+} = require("./campaignThrottle");
+const {
+  getVariantMessages,
+  assignVariants,
+  getVariantAllowance,
+} = require("./campaignVariants");
+const {
+  RECURRING,
+  parseRecurrence,
+  getNextRunAt,
+} = require("./campaignRecurrence");
+const {
+  ACTIVE_STATUSES,
+  getCampaignStatus,
+  cancelPendingLogs,
+  emitCampaignProgress,
+} = require("./campaignControl");
+const {
+  LINK_SOURCES,
+  trackTemplateLinks,
+  setLinksMessage,
+} = require("../helper/tracking");
 
 // Processing flags per user to prevent overlapping
 const userProcessingFlags = new Map();
@@ -9,6 +45,7 @@ const CONFIG = {
   checkInterval: 5000, // Check every 5 seconds
   maxCampaignsPerCycle: 15, // Process up to 15 campaigns per cycle
   messageDelay: 500, // Reduced delay between messages to 500ms
+  progressEvery: 10, // Messages between progress updates on the socket
   maxRetries: 3, // Maximum retry attempts for failed messages
   fairnessWindow: 10 * 60 * 1000, // 10 minutes window for fairness algorithm
 };
@@ -48,6 +85,9 @@ async function initCampaign() {
  */
 async function processPendingCampaigns() {
   try {
+    // due runs of recurring campaigns are picked up in this same cycle
+    await startDueRuns();
+
     // Get all users with pending campaigns
     const usersWithPendingCampaigns = await query(
       `SELECT DISTINCT uid FROM beta_campaign 
@@ -144,7 +184,7 @@ async function processSingleCampaign(campaign) {
   // Update status to IN_PROGRESS if it's PENDING
   if (campaign.status === "PENDING") {
     await query(
-      "UPDATE beta_campaign SET status = 'IN_PROGRESS' WHERE campaign_id = ?",
+      "UPDATE beta_campaign SET status = 'IN_PROGRESS' WHERE campaign_id = ? AND status = 'PENDING'",
       [campaign.campaign_id]
     );
     console.log(
@@ -152,24 +192,39 @@ async function processSingleCampaign(campaign) {
     );
   }
 
+  // pauses outside the sending window and while a limit is reached
+  const throttle = await getCampaignThrottle(campaign);
+  if (!throttle) return;
+
+  const audience = await getCampaignAudience(campaign);
+  if (!audience) {
+    await query(
+      "UPDATE beta_campaign SET status = 'SEGMENT NOT FOUND' WHERE campaign_id = ?",
+      [campaign.campaign_id]
+    );
+    console.log(`Segment of campaign ${campaign.campaign_id} was not found`);
+    return;
+  }
+
   // Get all contacts that haven't been processed yet
-  const contactsToProcess = await query(
+  const unprocessedContacts = await query(
     `SELECT c.* FROM contact c
      LEFT JOIN beta_campaign_logs l ON c.mobile = l.contact_mobile AND l.campaign_id = ?
-     WHERE c.uid = ? AND c.phonebook_id = ? AND l.id IS NULL
+     WHERE ${audience.sql} AND l.id IS NULL
      LIMIT ?`,
-    [
-      campaign.campaign_id,
-      campaign.uid,
-      campaign.phonebook_id,
-      CONFIG.batchSize,
-    ]
+    [campaign.campaign_id, ...audience.params, CONFIG.batchSize]
+  );
+
+  // a number saved in several phonebooks only gets one message
+  const contactsToProcess = unprocessedContacts.filter(
+    (contact, index, list) =>
+      list.findIndex((c) => c.mobile === contact.mobile) === index
   );
 
   // Get pending logs for this campaign
   const pendingLogs = await query(
     "SELECT * FROM beta_campaign_logs WHERE campaign_id = ? AND status = 'PENDING' LIMIT ?",
-    [campaign.campaign_id, CONFIG.batchSize]
+    [campaign.campaign_id, throttle.fetchLimit]
   );
 
   // Check if we need to retry failed messages
@@ -179,16 +234,19 @@ async function processSingleCampaign(campaign) {
        WHERE campaign_id = ? AND status = 'FAILED' 
        AND retry_count < ?
        LIMIT ?`,
-      [campaign.campaign_id, CONFIG.maxRetries, CONFIG.batchSize]
+      [campaign.campaign_id, CONFIG.maxRetries, throttle.fetchLimit]
     );
 
     if (failedLogs && failedLogs.length > 0) {
+      const retryLogs = await throttle.pick(failedLogs);
+      if (retryLogs.length < 1) return;
+
       console.log(
-        `Retrying ${failedLogs.length} failed messages for campaign ${campaign.campaign_id}`
+        `Retrying ${retryLogs.length} failed messages for campaign ${campaign.campaign_id}`
       );
 
       // Reset failed logs to pending for retry
-      const failedIds = failedLogs.map((log) => log.id);
+      const failedIds = retryLogs.map((log) => log.id);
       await query(
         `UPDATE beta_campaign_logs 
          SET status = 'PENDING', 
@@ -199,7 +257,7 @@ async function processSingleCampaign(campaign) {
       );
 
       // Process these newly pending logs
-      await processLogsForCampaign(campaign, failedLogs);
+      await processLogsForCampaign(campaign, retryLogs);
       return;
     }
   }
@@ -211,17 +269,16 @@ async function processSingleCampaign(campaign) {
       [campaign.campaign_id]
     );
 
-    const [totalContacts] = await query(
-      "SELECT COUNT(*) as count FROM contact WHERE uid = ? AND phonebook_id = ?",
-      [campaign.uid, campaign.phonebook_id]
-    );
+    const totalContacts = await countAudience(audience);
 
-    // Mark as complete if we've processed all contacts or have no more to process
+    // Mark as complete if we've processed all contacts or have no more to process.
+    // a segment changes while sending, so nothing left to send means done
     if (
-      totalLogs.count >= Math.min(campaign.total_contacts, totalContacts.count)
+      campaign.segment_id ||
+      totalLogs.count >= Math.min(campaign.total_contacts, totalContacts)
     ) {
       await query(
-        "UPDATE beta_campaign SET status = 'COMPLETED' WHERE campaign_id = ?",
+        "UPDATE beta_campaign SET status = 'COMPLETED' WHERE campaign_id = ? AND status IN ('PENDING', 'IN_PROGRESS')",
         [campaign.campaign_id]
       );
       console.log(
@@ -233,45 +290,57 @@ async function processSingleCampaign(campaign) {
 
   // If we have pending logs, process them first
   if (pendingLogs && pendingLogs.length > 0) {
-    await processLogsForCampaign(campaign, pendingLogs);
+    const sendable = await throttle.pick(pendingLogs);
+    if (sendable.length > 0) {
+      await processLogsForCampaign(campaign, sendable);
+    }
     return;
   }
 
+  // an a/b test slice holds back the other contacts until a winner is picked
+  const allowance =
+    contactsToProcess.length > 0 ? await getVariantAllowance(campaign) : 0;
+  const contactsToLog = contactsToProcess.slice(0, allowance);
+
   // If we have new contacts, create logs for them
-  if (contactsToProcess && contactsToProcess.length > 0) {
+  if (contactsToLog.length > 0) {
     console.log(
-      `Creating logs for ${contactsToProcess.length} new contacts in campaign ${campaign.campaign_id}`
+      `Creating logs for ${contactsToLog.length} new contacts in campaign ${campaign.campaign_id}`
     );
 
+    const variantIds = await assignVariants(campaign, contactsToLog.length);
+
     // Batch insert logs for better performance
-    const values = contactsToProcess.map((contact) => [
+    const values = contactsToLog.map((contact, index) => [
       campaign.uid,
       campaign.campaign_id,
       contact.name.replace(/'/g, "''").replace(/\\/g, "\\\\"),
       contact.mobile,
       "PENDING",
+      variantIds[index],
     ]);
 
     await query(
       `INSERT INTO beta_campaign_logs 
-       (uid, campaign_id, contact_name, contact_mobile, status) 
+       (uid, campaign_id, contact_name, contact_mobile, status, variant_id) 
        VALUES ?`,
       [values]
     );
 
     console.log(
-      `Created ${contactsToProcess.length} new logs for campaign ${campaign.campaign_id}`
+      `Created ${contactsToLog.length} new logs for campaign ${campaign.campaign_id}`
     );
 
     // Get the newly created logs
     const newLogs = await query(
       "SELECT * FROM beta_campaign_logs WHERE campaign_id = ? AND status = 'PENDING' LIMIT ?",
-      [campaign.campaign_id, CONFIG.batchSize]
+      [campaign.campaign_id, throttle.fetchLimit]
     );
+    const sendable = await throttle.pick(newLogs || []);
 
     // Process the new logs
-    if (newLogs && newLogs.length > 0) {
-      await processLogsForCampaign(campaign, newLogs);
+    if (sendable.length > 0) {
+      await processLogsForCampaign(campaign, sendable);
     }
   }
 }
@@ -309,38 +378,52 @@ async function processLogsForCampaign(campaign, logs) {
     return;
   }
 
-  // Parse variables from campaign once
-  let bodyVariables = [];
-  let headerVariable = null;
-  let buttonVariables = [];
-
-  try {
-    bodyVariables = campaign.body_variables
-      ? JSON.parse(campaign.body_variables)
-      : [];
-    headerVariable = campaign.header_variable
-      ? JSON.parse(campaign.header_variable)
-      : null;
-    buttonVariables = campaign.button_variables
-      ? JSON.parse(campaign.button_variables)
-      : [];
-  } catch (e) {
-    console.error(`Error parsing campaign variables: ${e.message}`);
-  }
+  // Parse template and variables of the campaign and its variants once
+  const messages = getVariantMessages(campaign);
 
   // Process logs in batches for better performance
   const apiVersion = "v18.0";
   const credentials = metaCredentials[0];
   const successfulLogs = [];
   const failedLogs = [];
+  const suppressedLogs = [];
+
+  const suppressed = await getSuppressedNumbers(
+    campaign.uid,
+    logs.map((log) => log.contact_mobile)
+  );
+
+  let stoppedAs = null;
 
   for (const log of logs) {
+    // a pause or cancel from the dashboard stops the batch between messages,
+    // the logs not reached stay PENDING until the campaign is resumed
+    const status = await getCampaignStatus(campaign.campaign_id);
+    if (!ACTIVE_STATUSES.includes(status)) {
+      stoppedAs = status;
+      console.log(
+        `Campaign ${campaign.campaign_id} is ${status}, stopping the batch`
+      );
+      break;
+    }
+
+    if (suppressed.has(toSuppressionMobile(log.contact_mobile))) {
+      suppressedLogs.push(log.id);
+      continue;
+    }
+
     try {
       // Get contact details for this log
-      const contactDetails = await query(
-        "SELECT * FROM contact WHERE mobile = ? AND uid = ? AND phonebook_id = ? LIMIT 1",
-        [log.contact_mobile, campaign.uid, campaign?.phonebook_id]
-      );
+      // segment contacts can come from any phonebook
+      const contactDetails = campaign.segment_id
+        ? await query(
+            "SELECT * FROM contact WHERE mobile = ? AND uid = ? ORDER BY id ASC LIMIT 1",
+            [log.contact_mobile, campaign.uid]
+          )
+        : await query(
+            "SELECT * FROM contact WHERE mobile = ? AND uid = ? AND phonebook_id = ? LIMIT 1",
+            [log.contact_mobile, campaign.uid, campaign?.phonebook_id]
+          );
 
       const contact =
         contactDetails && contactDetails.length > 0
@@ -355,14 +438,29 @@ async function processLogsForCampaign(campaign, logs) {
               var5: "",
             };
 
+      const message =
+        messages.get(log.variant_id || null) || messages.get(null);
+
       // Replace variables with contact data
-      const processedBodyVars = replaceContactVariables(bodyVariables, contact);
+      const bodyVars = replaceContactVariables(message.bodyVariables, contact);
+
+      // links in the body are swapped for tracked ones of this log
+      const tracked = campaign.track_links
+        ? await trackTemplateLinks(bodyVars, {
+            uid: campaign.uid,
+            source: LINK_SOURCES.CAMPAIGN,
+            sourceId: campaign.campaign_id,
+            mobile: log.contact_mobile,
+            logId: log.id,
+          })
+        : { result: bodyVars, codes: [] };
+      const processedBodyVars = tracked.result;
       const processedHeaderVar = replaceContactVariable(
-        headerVariable,
+        message.headerVariable,
         contact
       );
       const processedButtonVars = replaceContactVariables(
-        buttonVariables,
+        message.buttonVariables,
         contact
       );
 
@@ -371,8 +469,8 @@ async function processLogsForCampaign(campaign, logs) {
         apiVersion,
         credentials.business_phone_number_id,
         credentials.access_token,
-        campaign.template_name,
-        campaign.template_language,
+        message.template_name,
+        message.template_language,
         log.contact_mobile,
         processedBodyVars,
         processedHeaderVar,
@@ -382,6 +480,7 @@ async function processLogsForCampaign(campaign, logs) {
       if (result && result.messages && result.messages.length > 0) {
         const messageId = result.messages[0].id;
         successfulLogs.push({ id: log.id, messageId });
+        await setLinksMessage(tracked.codes, messageId);
       } else {
         const errorMsg =
           result && result.error
@@ -390,6 +489,14 @@ async function processLogsForCampaign(campaign, logs) {
         failedLogs.push({ id: log.id, error: errorMsg });
       }
 
+      const handled = successfulLogs.length + failedLogs.length;
+      if (handled % CONFIG.progressEvery === 0) {
+        await emitCampaignProgress(campaign, {
+          sent: successfulLogs.length,
+          failed: failedLogs.length,
+        });
+      }
+
       // Add a small delay to avoid rate limiting
       await new Promise((resolve) => setTimeout(resolve, CONFIG.messageDelay));
     } catch (error) {
@@ -400,6 +507,18 @@ async function processLogsForCampaign(campaign, logs) {
     }
   }
 
+  // opted out numbers are never sent to and never retried
+  if (suppressedLogs.length > 0) {
+    await query(
+      "UPDATE beta_campaign_logs SET status = ?, error_message = ? WHERE id IN (?)",
+      [SUPPRESSED, SUPPRESSED, suppressedLogs]
+    );
+
+    console.log(
+      `Skipped ${suppressedLogs.length} suppressed numbers for campaign ${campaign.campaign_id}`
+    );
+  }
+
   // Bulk update successful logs
   if (successfulLogs.length > 0) {
     for (const batch of chunkArray(successfulLogs, 100)) {
@@ -412,9 +531,10 @@ async function processLogsForCampaign(campaign, logs) {
       await query(
         `UPDATE beta_campaign_logs 
          SET status = 'SENT', 
+             sent_at = ?,
              meta_msg_id = CASE id ${updates} END
          WHERE id IN (?)`,
-        [ids]
+        [Date.now(), ids]
       );
     }
 
@@ -458,8 +578,14 @@ async function processLogsForCampaign(campaign, logs) {
     );
   }
 
+  // logs created after the cancel was saved are closed here as well
+  if (stoppedAs === "CANCELLED") {
+    await cancelPendingLogs(campaign.campaign_id);
+  }
+
   // Check if campaign is completed after processing logs
-  await checkCampaignCompletion(campaign);
+  if (!stoppedAs) await checkCampaignCompletion(campaign);
+  await emitCampaignProgress(campaign);
 }
 
 /**
@@ -476,18 +602,17 @@ async function checkCampaignCompletion(campaign) {
     [campaign.campaign_id]
   );
 
-  const [contactCount] = await query(
-    "SELECT COUNT(*) as count FROM contact WHERE uid = ? AND phonebook_id = ?",
-    [campaign.uid, campaign.phonebook_id]
-  );
+  const audience = await getCampaignAudience(campaign);
+  const contactCount = audience ? await countAudience(audience) : 0;
 
   // Mark as complete if all messages are sent or if we've sent to all available contacts
   if (
     pendingCount.count === 0 &&
-    totalCount.count >= Math.min(campaign.total_contacts, contactCount.count)
+    totalCount.count >= Math.min(campaign.total_contacts, contactCount)
   ) {
+    // a campaign paused or cancelled meanwhile keeps its status
     await query(
-      "UPDATE beta_campaign SET status = 'COMPLETED' WHERE campaign_id = ?",
+      "UPDATE beta_campaign SET status = 'COMPLETED' WHERE campaign_id = ? AND status IN ('PENDING', 'IN_PROGRESS')",
       [campaign.campaign_id]
     );
     console.log(
@@ -496,6 +621,241 @@ async function checkCampaignCompletion(campaign) {
   }
 }
 
+async function setThrottleState(campaign, state) {
+  if ((campaign.throttle_state || null) === state) return;
+
+  await query(
+    "UPDATE beta_campaign SET throttle_state = ? WHERE campaign_id = ?",
+    [state, campaign.campaign_id]
+  );
+  campaign.throttle_state = state;
+
+  if (state) {
+    console.log(`Campaign ${campaign.campaign_id} is waiting: ${state}`);
+  }
+}
+
+/**
+ * Sending window and rate limits of a campaign for this cycle. null when
+ * nothing may be sent right now, otherwise pick() trims a list of logs to
+ * the ones that can go out
+ */
+async function getCampaignThrottle(campaign) {
+  const sendWindow = parseSendWindow(campaign);
+  const byRecipient = sendWindow?.timezone === "recipient";
+  const timezone = await getCampaignTimezone(campaign);
+
+  if (sendWindow && !byRecipient && !isInsideWindow(sendWindow, timezone)) {
+    await setThrottleState(campaign, THROTTLE_STATES.OUTSIDE_WINDOW);
+    return null;
+  }
+
+  const budget = await getSendBudget(campaign, CONFIG);
+  if (budget.allowed < 1) {
+    await setThrottleState(campaign, budget.state);
+    return null;
+  }
+
+  await setThrottleState(campaign, null);
+
+  return {
+    // recipient windows skip logs, so more are read to find ones inside
+    fetchLimit: byRecipient ? CONFIG.batchSize * 10 : CONFIG.batchSize,
+    pick: async (logs) => {
+      const sendable = logs
+        .filter(
+          (log) =>
+            !byRecipient ||
+            isInsideWindow(
+              sendWindow,
+              getRecipientTimezone(log.contact_mobile, timezone)
+            )
+        )
+        .slice(0, budget.allowed);
+
+      if (logs.length > 0 && sendable.length < 1) {
+        await setThrottleState(campaign, THROTTLE_STATES.OUTSIDE_WINDOW);
+      }
+      return sendable;
+    },
+  };
+}
+
+async function getCampaignTimezone(campaign) {
+  if (campaign.timezone) return campaign.timezone;
+
+  const [user] = await query("SELECT timezone FROM user WHERE uid = ?", [
+    campaign.uid,
+  ]);
+  return user?.timezone || "Asia/Kolkata";
+}
+
+/**
+ * Where clause for the contacts c a campaign sends to, either its phonebook or
+ * its segment evaluated at send time. null when the segment was deleted
+ */
+async function getCampaignAudience(campaign) {
+  let audience;
+
+  if (!campaign.segment_id) {
+    audience = {
+      sql: "c.uid = ? AND c.phonebook_id = ?",
+      params: [campaign.uid, campaign.phonebook_id],
+    };
+  } else {
+    const segment = await getSegment(campaign.uid, campaign.segment_id);
+    if (!segment) return null;
+    audience = await getSegmentFilter(segment);
+  }
+
+  // a run of a recurring campaign may only target contacts added since the
+  // run before it
+  if (campaign.contacts_after_id) {
+    audience = {
+      sql: `${audience.sql} AND c.id > ?`,
+      params: [...audience.params, campaign.contacts_after_id],
+    };
+  }
+
+  return audience;
+}
+
+async function countAudience(audience) {
+  const [result] = await query(
+    `SELECT COUNT(DISTINCT c.mobile) as count FROM contact c WHERE ${audience.sql}`,
+    audience.params
+  );
+  return result?.count || 0;
+}
+
+/**
+ * Start the runs of recurring campaigns that are due. every run is a campaign
+ * of its own pointing at its parent, so it is sent, logged and reported like
+ * any one-shot campaign
+ */
+async function startDueRuns() {
+  const dueCampaigns = await query(
+    "SELECT * FROM beta_campaign WHERE status = ? AND next_run_at <= ?",
+    [RECURRING, Date.now()]
+  );
+
+  for (const parent of dueCampaigns) {
+    try {
+      await startRun(parent);
+    } catch (error) {
+      console.error(
+        `Error starting a run of campaign ${parent.campaign_id}:`,
+        error
+      );
+    }
+  }
+}
+
+async function startRun(parent) {
+  const now = Date.now();
+  const recurrence = parseRecurrence(parent);
+  const timezone = await getCampaignTimezone(parent);
+  const nextRunAt = recurrence ? getNextRunAt(recurrence, timezone, now) : null;
+
+  // the next run is planned first so a failing run is not retried every cycle
+  await query(
+    "UPDATE beta_campaign SET next_run_at = ?, status = ? WHERE campaign_id = ?",
+    [nextRunAt, nextRunAt ? RECURRING : "COMPLETED", parent.campaign_id]
+  );
+  if (!recurrence) return;
+
+  // a run still sending, or paused to be resumed, when the next one is due
+  // would message people twice
+  const [running] = await query(
+    "SELECT campaign_id FROM beta_campaign WHERE parent_campaign_id = ? AND status IN ('PENDING', 'IN_PROGRESS', 'PAUSED') LIMIT 1",
+    [parent.campaign_id]
+  );
+  if (running) {
+    console.log(
+      `Run of campaign ${parent.campaign_id} skipped, ${running.campaign_id} is still sending`
+    );
+    return;
+  }
+
+  const run = {
+    ...parent,
+    contacts_after_id: recurrence.new_contacts_only
+      ? parent.last_contact_id
+      : null,
+  };
+
+  const audience = await getCampaignAudience(run);
+  if (!audience) {
+    console.log(`Segment of campaign ${parent.campaign_id} was not found`);
+    return;
+  }
+
+  const [lastContact] = await query(
+    "SELECT MAX(id) as id FROM contact WHERE uid = ?",
+    [parent.uid]
+  );
+  const totalContacts = await countAudience(audience);
+
+  await query(
+    "UPDATE beta_campaign SET last_run_at = ?, last_contact_id = ? WHERE campaign_id = ?",
+    [now, lastContact?.id || 0, parent.campaign_id]
+  );
+
+  if (totalContacts < 1) {
+    console.log(`Run of campaign ${parent.campaign_id} has no contacts`);
+    return;
+  }
+
+  const [runs] = await query(
+    "SELECT COUNT(*) as count FROM beta_campaign WHERE parent_campaign_id = ?",
+    [parent.campaign_id]
+  );
+  const runNumber = (runs?.count || 0) + 1;
+  const runId = randomstring.generate(10);
+
+  await query(
+    `INSERT INTO beta_campaign (
+      campaign_id, uid, title, template_name, template_language,
+      phonebook_id, phonebook_name, segment_id, status, total_contacts,
+      body_variables, header_variable, button_variables, timezone,
+      rate_per_minute, rate_per_hour, daily_cap, send_window,
+      variants, test_percent, winner_wait_minutes, winner_metric,
+      parent_campaign_id, run_number, contacts_after_id, track_links
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      runId,
+      parent.uid,
+      `${parent.title} #${runNumber}`,
+      parent.template_name,
+      parent.template_language,
+      parent.phonebook_id,
+      parent.phonebook_name,
+      parent.segment_id,
+      totalContacts,
+      parent.body_variables,
+      parent.header_variable,
+      parent.button_variables,
+      parent.timezone,
+      parent.rate_per_minute,
+      parent.rate_per_hour,
+      parent.daily_cap,
+      parent.send_window,
+      parent.variants,
+      parent.test_percent,
+      parent.winner_wait_minutes,
+      parent.winner_metric,
+      parent.campaign_id,
+      runNumber,
+      run.contacts_after_id,
+      parent.track_links || 0,
+    ]
+  );
+
+  console.log(
+    `Started run ${runNumber} (${runId}) of campaign ${parent.campaign_id}`
+  );
+}
+
 /**
  * Replace contact variables in an array of variables
  */
@@ -515,8 +875,14 @@ function replaceContactVariable(variable, contact) {
   if (!varMatch || !varMatch[1]) return variable;
 
   const contactVarName = varMatch[1];
+  const customFields = parseCustomFields(contact);
 
-  if (contactVarName === "name" && contact.name) {
+  if (
+    customFields[contactVarName] !== undefined &&
+    customFields[contactVarName] !== null
+  ) {
+    return `${customFields[contactVarName]}`;
+  } else if (contactVarName === "name" && contact.name) {
     return contact.name;
   } else if (contactVarName === "mobile" && contact.mobile) {
     return contact.mobile;
@@ -599,7 +965,35 @@ async function updateMessageStatus(metaMsgId, status) {
   }
 }
 
+/**
+ * Handle inbound messages for reply rates. a reply counts for the latest
+ * campaign message the contact got in the last 24 hours
+ */
+async function updateMessageReply(uid, senderMobile) {
+  try {
+    const mobile = `${senderMobile || ""}`.split("@")[0].replace(/\D/g, "");
+    if (!uid || !mobile) return;
+
+    const [log] = await query(
+      `SELECT id, replied_at FROM beta_campaign_logs
+       WHERE uid = ? AND source = 'CAMPAIGN' AND contact_mobile IN (?) AND status = 'SENT' AND sent_at > ?
+       ORDER BY sent_at DESC LIMIT 1`,
+      [uid, [mobile, `+${mobile}`], Date.now() - 24 * 60 * 60 * 1000]
+    );
+    if (!log || log.replied_at) return;
+
+    await query("UPDATE beta_campaign_logs SET replied_at = ? WHERE id = ?", [
+      Date.now(),
+      log.id,
+    ]);
+  } catch (error) {
+    console.error(
+      `Error updating campaign reply for ${senderMobile}: ${error.message}`
+    );
+  }
+}
+
 // Don't forget to add mysql for escaping
 const mysql = require("mysql2");
 
-module.exports = { initCampaign, updateMessageStatus };
+module.exports = { initCampaign, updateMessageStatus, updateMessageReply };
@@ -0,0 +1,120 @@
+const { query } = require("../database/dbpromise");
+const { SUPPRESSED } = require("../helper/contact/suppression");
+const { getSocket } = require("../helper/utils");
+
+// beta_campaign.status values the loop keeps sending in
+const ACTIVE_STATUSES = ["PENDING", "IN_PROGRESS"];
+
+// what /change_campaign_status can do, and the statuses each one starts from
+const CAMPAIGN_ACTIONS = {
+  PAUSE: { from: ACTIVE_STATUSES, to: "PAUSED" },
+  RESUME: { from: ["PAUSED"], to: "PENDING" },
+  CANCEL: { from: [...ACTIVE_STATUSES, "PAUSED"], to: "CANCELLED" },
+};
+
+// the sending rate is measured over this much of the recent past
+const RATE_WINDOW = 5 * 60 * 1000;
+
+async function getCampaignStatus(campaignId) {
+  const [campaign] = await query(
+    "SELECT status FROM beta_campaign WHERE campaign_id = ?",
+    [campaignId]
+  );
+  return campaign?.status || null;
+}
+
+// logs still waiting to be sent are closed so the campaign can finish
+async function cancelPendingLogs(campaignId) {
+  await query(
+    "UPDATE beta_campaign_logs SET status = 'CANCELLED', error_message = 'Campaign was cancelled' WHERE campaign_id = ? AND status = 'PENDING'",
+    [campaignId]
+  );
+}
+
+/**
+ * Sent and total of a campaign with its rate per minute and the seconds
+ * until it is done at that rate. unsaved are sends of the running batch
+ * that are not written to the logs yet
+ */
+async function getCampaignProgress(campaignId, unsaved = {}) {
+  const [campaign] = await query(
+    "SELECT campaign_id, uid, title, status, total_contacts FROM beta_campaign WHERE campaign_id = ?",
+    [campaignId]
+  );
+  if (!campaign) return null;
+
+  const [logs] = await query(
+    `SELECT SUM(status = 'SENT') as sent,
+       SUM(status = 'FAILED') as failed,
+       SUM(status = ?) as suppressed,
+       SUM(status = 'CANCELLED') as cancelled,
+       SUM(status = 'SENT' AND sent_at > ?) as recent
+     FROM beta_campaign_logs WHERE campaign_id = ?`,
+    [SUPPRESSED, Date.now() - RATE_WINDOW, campaignId]
+  );
+
+  const sent = (Number(logs?.sent) || 0) + (unsaved.sent || 0);
+  const failed = (Number(logs?.failed) || 0) + (unsaved.failed || 0);
+  const suppressed = Number(logs?.suppressed) || 0;
+  const cancelled = Number(logs?.cancelled) || 0;
+  const total = Number(campaign.total_contacts) || 0;
+
+  const remaining =
+    campaign.status === "CANCELLED"
+      ? 0
+      : Math.max(total - sent - failed - suppressed - cancelled, 0);
+  const recent = (Number(logs?.recent) || 0) + (unsaved.sent || 0);
+  const rate = Math.round((recent / (RATE_WINDOW / 60000)) * 100) / 100;
+
+  // a paused campaign has no eta, it is not sending
+  const eta =
+    ACTIVE_STATUSES.includes(campaign.status) && remaining > 0 && rate > 0
+      ? Math.ceil((remaining / rate) * 60)
+      : null;
+
+  return {
+    campaign_id: campaign.campaign_id,
+    title: campaign.title,
+    status: campaign.status,
+    total,
+    sent,
+    failed,
+    suppressed,
+    cancelled,
+    remaining,
+    rate_per_minute: rate,
+    eta_seconds: eta,
+    eta_at: eta ? Date.now() + eta * 1000 : null,
+  };
+}
+
+/**
+ * Sends campaign_progress to the open sockets of the campaign owner. it
+ * never throws so the loop can call it between messages
+ */
+async function emitCampaignProgress(campaign, unsaved) {
+  try {
+    const { getConnectionsByUid, sendToSocket } = getSocket();
+
+    const connections = getConnectionsByUid(campaign.uid);
+    if (connections.length < 1) return;
+
+    const progress = await getCampaignProgress(campaign.campaign_id, unsaved);
+    if (!progress) return;
+
+    connections.forEach((connection) =>
+      sendToSocket(connection.socketId, progress, "campaign_progress")
+    );
+  } catch (err) {
+    console.log("Error while sending campaign progress:", err);
+  }
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  CAMPAIGN_ACTIONS,
+  getCampaignStatus,
+  cancelPendingLogs,
+  getCampaignProgress,
+  emitCampaignProgress,
+};
@@ -3,6 +3,12 @@ const moment = require("moment-timezone");
 const { query } = require("../database/dbpromise");
 const { getUserPlayDays } = require("../functions/function");
 const { sendMessage } = require("./loopFunctions");
+const {
+  SUPPRESSED,
+  getSuppressedNumbers,
+  toSuppressionMobile,
+  logSuppressed,
+} = require("../helper/contact/suppression");
 
 function delayRandom(fromSeconds, toSeconds) {
   const randomSeconds = Math.random() * (toSeconds - fromSeconds) + fromSeconds;
@@ -56,9 +62,28 @@ async function processBroadcast(campaign) {
 
   const curTime = Date.now();
 
+  const suppressed = await getSuppressedNumbers(
+    campaign?.uid,
+    logs.map((message) => message?.send_to)
+  );
+
   // Process all messages in parallel
   await Promise.all(
     logs.map(async (message) => {
+      if (suppressed.has(toSuppressionMobile(message?.send_to))) {
+        await query(
+          `UPDATE broadcast_log SET delivery_status = ? WHERE id = ?`,
+          [SUPPRESSED, message?.id]
+        );
+        await logSuppressed({
+          uid: campaign?.uid,
+          source: "BROADCAST",
+          sourceId: campaign?.broadcast_id,
+          mobile: message?.send_to,
+        });
+        return;
+      }
+
       const getObj = await sendMessage(message, metaKeys[0]);
 
       if (getObj.success) {
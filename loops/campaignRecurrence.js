@@ -0,0 +1,203 @@
+const moment = require("moment-timezone");
+
+const RECURRENCE_TYPES = ["daily", "weekly", "monthly", "cron"];
+
+// beta_campaign.status of the campaign a recurrence starts its runs from
+const RECURRING = "RECURRING";
+
+// furthest a schedule is searched for its next run, leap days included
+const MAX_SEARCH_DAYS = 5 * 366;
+
+function parseRecurrence(campaign) {
+  try {
+    return campaign?.recurrence ? JSON.parse(campaign.recurrence) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// one cron field like *, */15, 1-5, 1,15 or 10-50/10 into the values it
+// allows, null when it can not be read
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of `${field}`.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    const start = match[1] === "*" ? min : parseInt(match[2]);
+    const end =
+      match[1] === "*"
+        ? max
+        : match[3] !== undefined
+        ? parseInt(match[3])
+        : match[4]
+        ? max
+        : start;
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) return null;
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+// minute hour day-of-month month day-of-week, sunday is 0 or 7
+function parseCron(expression) {
+  const fields = `${expression || ""}`.trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const [minutes, hours, days, months, weekdays] = [
+    parseCronField(fields[0], 0, 59),
+    parseCronField(fields[1], 0, 23),
+    parseCronField(fields[2], 1, 31),
+    parseCronField(fields[3], 1, 12),
+    parseCronField(fields[4], 0, 7),
+  ];
+  if (!minutes || !hours || !days || !months || !weekdays) return null;
+
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    // like cron, when both day fields are set either of them matches
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+function matchesDay(cron, day) {
+  if (!cron.months.has(day.month() + 1)) return false;
+
+  const dayOk = cron.days.has(day.date());
+  const weekdayOk = cron.weekdays.has(day.day());
+  if (!cron.anyDay && !cron.anyWeekday) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
+
+function toCron(recurrence) {
+  if (recurrence.type === "cron") return recurrence.cron;
+
+  const [hour, minute] = `${recurrence.time}`.split(":").map(Number);
+  const days =
+    recurrence.type === "weekly" ? recurrence.days.map(Number).join(",") : "*";
+  return `${minute} ${hour} * * ${days}`;
+}
+
+// returns an error message, null when the recurrence can be used
+function validateRecurrence(recurrence) {
+  if (!recurrence) return null;
+
+  if (!RECURRENCE_TYPES.includes(recurrence.type)) {
+    return `Recurrence should be one of ${RECURRENCE_TYPES.join(", ")}`;
+  }
+
+  if (recurrence.type === "cron") {
+    return parseCron(recurrence.cron) ? null : "Invalid cron expression";
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(recurrence.time || "")) {
+    return "Recurrence time should be in HH:mm format";
+  }
+
+  if (
+    recurrence.type === "weekly" &&
+    (!Array.isArray(recurrence.days) ||
+      recurrence.days.length < 1 ||
+      recurrence.days.some((d) => ![0, 1, 2, 3, 4, 5, 6].includes(Number(d))))
+  ) {
+    return "Weekly recurrence needs days from 0 (Sunday) to 6";
+  }
+
+  if (
+    recurrence.type === "monthly" &&
+    !(
+      parseInt(recurrence.day_of_month) >= 1 &&
+      parseInt(recurrence.day_of_month) <= 31
+    )
+  ) {
+    return "Monthly recurrence needs a day of the month from 1 to 31";
+  }
+
+  return null;
+}
+
+// a monthly run on the 31st goes out on the last day of shorter months
+function getNextMonthlyRun(recurrence, timezone, after) {
+  const [hour, minute] = `${recurrence.time}`.split(":").map(Number);
+  const start = moment.tz(after, timezone).startOf("month");
+
+  for (let i = 0; i < 24; i++) {
+    const month = start.clone().add(i, "months");
+    const date = Math.min(
+      parseInt(recurrence.day_of_month),
+      month.daysInMonth()
+    );
+    const run = moment.tz(
+      {
+        year: month.year(),
+        month: month.month(),
+        date,
+        hour,
+        minute,
+      },
+      timezone
+    );
+    if (run.valueOf() > after) return run.valueOf();
+  }
+
+  return null;
+}
+
+/**
+ * Next time a recurrence is due after the given time, evaluated in the
+ * timezone of the user. null when the schedule never matches
+ */
+function getNextRunAt(recurrence, timezone, after = Date.now()) {
+  const zone = timezone || "Asia/Kolkata";
+
+  if (recurrence.type === "monthly") {
+    return getNextMonthlyRun(recurrence, zone, after);
+  }
+
+  const cron = parseCron(toCron(recurrence));
+  if (!cron) return null;
+
+  const first = moment.tz(after, zone).startOf("day");
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const day = first.clone().add(i, "days");
+    if (!matchesDay(cron, day)) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const run = moment.tz(
+          {
+            year: day.year(),
+            month: day.month(),
+            date: day.date(),
+            hour,
+            minute,
+          },
+          zone
+        );
+        if (run.valueOf() > after) return run.valueOf();
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  RECURRENCE_TYPES,
+  RECURRING,
+  parseRecurrence,
+  parseCron,
+  validateRecurrence,
+  getNextRunAt,
+};
@@ -0,0 +1,258 @@
+const moment = require("moment-timezone");
+const { query } = require("../database/dbpromise");
+const { getBusinessPhoneNumber } = require("../functions/function");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// meta moves numbers between tiers on its own, the stored one is asked for
+// again once it is this old
+const TIER_REFRESH_MS = 6 * 60 * 60 * 1000;
+
+// unique business initiated recipients per rolling 24 hours for each
+// messaging_limit_tier meta reports on the phone number, null is unlimited
+const TIER_LIMITS = {
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_2K: 2000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: null,
+};
+
+// beta_campaign.throttle_state while a campaign waits
+const THROTTLE_STATES = {
+  OUTSIDE_WINDOW: "OUTSIDE_WINDOW",
+  RATE_LIMIT: "RATE_LIMIT",
+  DAILY_CAP: "DAILY_CAP",
+  TIER_LIMIT: "TIER_LIMIT",
+};
+
+// calling code to timezone for recipient windows. countries spanning several
+// zones use the zone most of their people live in
+const CALLING_CODE_TIMEZONES = {
+  1: "America/New_York",
+  7: "Europe/Moscow",
+  20: "Africa/Cairo",
+  27: "Africa/Johannesburg",
+  33: "Europe/Paris",
+  34: "Europe/Madrid",
+  39: "Europe/Rome",
+  44: "Europe/London",
+  49: "Europe/Berlin",
+  51: "America/Lima",
+  52: "America/Mexico_City",
+  54: "America/Argentina/Buenos_Aires",
+  55: "America/Sao_Paulo",
+  56: "America/Santiago",
+  57: "America/Bogota",
+  60: "Asia/Kuala_Lumpur",
+  61: "Australia/Sydney",
+  62: "Asia/Jakarta",
+  63: "Asia/Manila",
+  65: "Asia/Singapore",
+  66: "Asia/Bangkok",
+  81: "Asia/Tokyo",
+  82: "Asia/Seoul",
+  84: "Asia/Ho_Chi_Minh",
+  86: "Asia/Shanghai",
+  90: "Europe/Istanbul",
+  91: "Asia/Kolkata",
+  92: "Asia/Karachi",
+  94: "Asia/Colombo",
+  212: "Africa/Casablanca",
+  233: "Africa/Accra",
+  234: "Africa/Lagos",
+  254: "Africa/Nairobi",
+  880: "Asia/Dhaka",
+  965: "Asia/Kuwait",
+  966: "Asia/Riyadh",
+  968: "Asia/Muscat",
+  971: "Asia/Dubai",
+  973: "Asia/Bahrain",
+  974: "Asia/Qatar",
+  977: "Asia/Kathmandu",
+};
+
+function parseSendWindow(campaign) {
+  try {
+    return campaign?.send_window ? JSON.parse(campaign.send_window) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// returns an error message, null when the window can be used
+function validateSendWindow(window) {
+  if (!window) return null;
+
+  if (!/^\d{2}:\d{2}$/.test(window.from) || !/^\d{2}:\d{2}$/.test(window.to)) {
+    return "Sending window should be in HH:mm format";
+  }
+
+  if (
+    window.days &&
+    (!Array.isArray(window.days) ||
+      window.days.some((d) => ![0, 1, 2, 3, 4, 5, 6].includes(Number(d))))
+  ) {
+    return "Sending days should be numbers from 0 (Sunday) to 6";
+  }
+
+  if (window.timezone && !["user", "recipient"].includes(window.timezone)) {
+    return "Sending window timezone should be user or recipient";
+  }
+
+  return null;
+}
+
+function getRecipientTimezone(mobile, fallback) {
+  const digits = `${mobile || ""}`.replace(/\D/g, "");
+  for (const length of [3, 2, 1]) {
+    const zone = CALLING_CODE_TIMEZONES[digits.slice(0, length)];
+    if (zone) return zone;
+  }
+  return fallback;
+}
+
+// a window ending before it starts, like 22:00 to 06:00, runs overnight
+function isInsideWindow(window, timezone) {
+  if (!window) return true;
+
+  const now = moment.tz(timezone || "Asia/Kolkata");
+  const days =
+    window.days?.length > 0 ? window.days.map(Number) : [0, 1, 2, 3, 4, 5, 6];
+  if (!days.includes(now.day())) return false;
+
+  const current = now.format("HH:mm");
+  return window.from <= window.to
+    ? current >= window.from && current < window.to
+    : current >= window.from || current < window.to;
+}
+
+async function countSent({ column, value, since }) {
+  const [result] = await query(
+    `SELECT COUNT(*) AS count FROM beta_campaign_logs WHERE ${column} = ? AND status = 'SENT' AND sent_at > ?`,
+    [value, since]
+  );
+  return result?.count || 0;
+}
+
+/**
+ * Asks meta for the current tier of the number of a meta_api row and stores
+ * it. the stored tier is kept when meta does not answer with one
+ */
+async function refreshMessagingTier(metaApi) {
+  let tier = metaApi.messaging_limit_tier || null;
+
+  if (metaApi.business_phone_number_id && metaApi.access_token) {
+    try {
+      const data = await getBusinessPhoneNumber(
+        "v18.0",
+        metaApi.business_phone_number_id,
+        metaApi.access_token,
+        "messaging_limit_tier"
+      );
+      tier = data?.messaging_limit_tier || tier;
+    } catch (err) {
+      console.log("Error while refreshing the messaging tier:", err);
+    }
+  }
+
+  // stamped even on failure so a broken token is not asked every cycle
+  await query(
+    `UPDATE meta_api SET messaging_limit_tier = ?, messaging_limit_tier_at = ? WHERE uid = ?`,
+    [tier, Date.now(), metaApi.uid]
+  );
+  return tier;
+}
+
+async function getMessagingTier(uid) {
+  const [metaApi] = await query(`SELECT * FROM meta_api WHERE uid = ?`, [uid]);
+  if (!metaApi) return null;
+
+  if (Date.now() - (metaApi.messaging_limit_tier_at || 0) < TIER_REFRESH_MS) {
+    return metaApi.messaging_limit_tier;
+  }
+  return refreshMessagingTier(metaApi);
+}
+
+// how many messages a campaign may send in this cycle. limits are spread
+// over the loop cycles so a per minute rate does not go out in one burst
+async function getSendBudget(campaign, { batchSize, checkInterval }) {
+  const now = Date.now();
+  const limits = [batchSize];
+
+  const perMinute = parseInt(campaign.rate_per_minute) || 0;
+  if (perMinute > 0) {
+    const sent = await countSent({
+      column: "campaign_id",
+      value: campaign.campaign_id,
+      since: now - 60 * 1000,
+    });
+    limits.push(
+      Math.min(
+        perMinute - sent,
+        Math.ceil((perMinute * checkInterval) / (60 * 1000))
+      )
+    );
+  }
+
+  const perHour = parseInt(campaign.rate_per_hour) || 0;
+  if (perHour > 0) {
+    const sent = await countSent({
+      column: "campaign_id",
+      value: campaign.campaign_id,
+      since: now - 60 * 60 * 1000,
+    });
+    limits.push(
+      Math.min(
+        perHour - sent,
+        Math.ceil((perHour * checkInterval) / (60 * 60 * 1000))
+      )
+    );
+  }
+
+  if (Math.min(...limits) < 1) {
+    return { allowed: 0, state: THROTTLE_STATES.RATE_LIMIT };
+  }
+
+  // the daily cap and the tier both count a rolling 24 hours like meta does
+  const dailyCap = parseInt(campaign.daily_cap) || 0;
+  if (dailyCap > 0) {
+    const sent = await countSent({
+      column: "campaign_id",
+      value: campaign.campaign_id,
+      since: now - DAY_MS,
+    });
+    if (dailyCap - sent < 1) {
+      return { allowed: 0, state: THROTTLE_STATES.DAILY_CAP };
+    }
+    limits.push(dailyCap - sent);
+  }
+
+  const tierLimit = TIER_LIMITS[await getMessagingTier(campaign.uid)];
+  if (tierLimit) {
+    const sent = await countSent({
+      column: "uid",
+      value: campaign.uid,
+      since: now - DAY_MS,
+    });
+    if (tierLimit - sent < 1) {
+      return { allowed: 0, state: THROTTLE_STATES.TIER_LIMIT };
+    }
+    limits.push(tierLimit - sent);
+  }
+
+  return { allowed: Math.min(...limits), state: null };
+}
+
+module.exports = {
+  TIER_LIMITS,
+  THROTTLE_STATES,
+  parseSendWindow,
+  validateSendWindow,
+  getRecipientTimezone,
+  isInsideWindow,
+  refreshMessagingTier,
+  getSendBudget,
+};
@@ -0,0 +1,298 @@
+const { query } = require("../database/dbpromise");
+const { parseJson } = require("../helper/utils");
+
+// rates a test slice winner can be picked by, all of them per sent message
+const WINNER_METRICS = ["delivered", "read", "reply", "click"];
+
+function parseVariants(campaign) {
+  const variants = parseJson(campaign?.variants, []);
+  return Array.isArray(variants) ? variants : [];
+}
+
+// variants without an id are named A, B, C.. in the order they were sent
+function normalizeVariants(variants) {
+  if (!Array.isArray(variants)) return [];
+
+  return variants.map((variant, index) => ({
+    id: `${variant?.id || String.fromCharCode(65 + index)}`,
+    template_name: variant?.template_name || null,
+    template_language: variant?.template_language || null,
+    body_variables: variant?.body_variables ?? null,
+    header_variable: variant?.header_variable ?? null,
+    button_variables: variant?.button_variables ?? null,
+    split: Number(variant?.split),
+  }));
+}
+
+// returns an error message, null when the variants can be used
+function validateVariants(variants, { testPercent, winnerMetric } = {}) {
+  if (variants.length < 2) {
+    return "An A/B test needs at least two variants";
+  }
+
+  const ids = variants.map((v) => v.id);
+  if (ids.some((id, i) => ids.indexOf(id) !== i)) {
+    return "Every variant needs its own id";
+  }
+
+  if (variants.some((v) => !(v.split > 0))) {
+    return "Every variant needs a split percentage above 0";
+  }
+
+  const total = variants.reduce((sum, v) => sum + v.split, 0);
+  if (Math.round(total) !== 100) {
+    return "Variant split percentages should add up to 100";
+  }
+
+  if (
+    testPercent !== undefined &&
+    testPercent !== null &&
+    testPercent !== "" &&
+    !(Number(testPercent) > 0 && Number(testPercent) < 100)
+  ) {
+    return "Test slice should be between 1 and 99 percent";
+  }
+
+  if (winnerMetric && !WINNER_METRICS.includes(winnerMetric)) {
+    return `Winner metric should be one of ${WINNER_METRICS.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Template and variables every log is sent with, keyed by variant id. logs
+ * without a variant, and fields a variant leaves out, use the campaign
+ */
+function getVariantMessages(campaign) {
+  const base = {
+    template_name: campaign.template_name,
+    template_language: campaign.template_language,
+    bodyVariables: parseJson(campaign.body_variables, []),
+    headerVariable: parseJson(campaign.header_variable, null),
+    buttonVariables: parseJson(campaign.button_variables, []),
+  };
+
+  const messages = new Map([[null, base]]);
+  parseVariants(campaign).forEach((variant) => {
+    messages.set(variant.id, {
+      template_name: variant.template_name || base.template_name,
+      template_language: variant.template_language || base.template_language,
+      bodyVariables: variant.body_variables ?? base.bodyVariables,
+      headerVariable: variant.header_variable ?? base.headerVariable,
+      buttonVariables: variant.button_variables ?? base.buttonVariables,
+    });
+  });
+
+  return messages;
+}
+
+/**
+ * Variant ids for the next count logs of a campaign. every log goes to the
+ * variant furthest behind its split, so any slice of logs follows the split
+ */
+async function assignVariants(campaign, count) {
+  const variants = parseVariants(campaign);
+  if (variants.length < 1) return Array(count).fill(null);
+  if (campaign.winner_variant)
+    return Array(count).fill(campaign.winner_variant);
+
+  const rows = await query(
+    "SELECT variant_id, COUNT(*) as count FROM beta_campaign_logs WHERE campaign_id = ? AND variant_id IS NOT NULL GROUP BY variant_id",
+    [campaign.campaign_id]
+  );
+  const counts = new Map(variants.map((v) => [v.id, 0]));
+  rows.forEach((row) => {
+    if (counts.has(row.variant_id)) counts.set(row.variant_id, row.count);
+  });
+
+  let total = [...counts.values()].reduce((sum, c) => sum + c, 0);
+  const assigned = [];
+
+  for (let i = 0; i < count; i++) {
+    total++;
+    const next = variants.reduce((best, variant) => {
+      const behind = (variant.split / 100) * total - counts.get(variant.id);
+      const bestBehind = (best.split / 100) * total - counts.get(best.id);
+      return behind > bestBehind ? variant : best;
+    });
+    counts.set(next.id, counts.get(next.id) + 1);
+    assigned.push(next.id);
+  }
+
+  return assigned;
+}
+
+function getTestSize(campaign, variants) {
+  const percent = parseInt(campaign.test_percent) || 0;
+  if (percent < 1 || variants.length < 2) return null;
+
+  return Math.max(
+    variants.length,
+    Math.ceil(((campaign.total_contacts || 0) * percent) / 100)
+  );
+}
+
+const EMPTY_STATS = {
+  total: 0,
+  sent: 0,
+  failed: 0,
+  delivered: 0,
+  read: 0,
+  replied: 0,
+  clicked: 0,
+  delivered_rate: 0,
+  read_rate: 0,
+  reply_rate: 0,
+  click_rate: 0,
+};
+
+async function getVariantStats(campaignId) {
+  const rows = await query(
+    `SELECT variant_id,
+       COUNT(*) as total,
+       SUM(status = 'SENT') as sent,
+       SUM(status = 'FAILED') as failed,
+       SUM(delivery_status IN ('delivered', 'read')) as delivered,
+       SUM(delivery_status = 'read') as \`read\`,
+       SUM(replied_at IS NOT NULL) as replied,
+       SUM(clicked_at IS NOT NULL) as clicked
+     FROM beta_campaign_logs
+     WHERE campaign_id = ?
+     GROUP BY variant_id`,
+    [campaignId]
+  );
+
+  const rate = (count, sent) =>
+    sent > 0 ? Math.round((count / sent) * 10000) / 100 : 0;
+
+  return rows.map((row) => {
+    const sent = Number(row.sent) || 0;
+    const delivered = Number(row.delivered) || 0;
+    const read = Number(row.read) || 0;
+    const replied = Number(row.replied) || 0;
+    const clicked = Number(row.clicked) || 0;
+
+    return {
+      variant_id: row.variant_id,
+      total: Number(row.total) || 0,
+      sent,
+      failed: Number(row.failed) || 0,
+      delivered,
+      read,
+      replied,
+      clicked,
+      delivered_rate: rate(delivered, sent),
+      read_rate: rate(read, sent),
+      reply_rate: rate(replied, sent),
+      click_rate: rate(clicked, sent),
+    };
+  });
+}
+
+// highest rate of the campaign metric, a tie goes to the earlier variant
+async function pickWinner(campaign, variants) {
+  const metric = WINNER_METRICS.includes(campaign.winner_metric)
+    ? campaign.winner_metric
+    : "read";
+  const stats = await getVariantStats(campaign.campaign_id);
+
+  return variants.reduce((best, variant) => {
+    const rateOf = (id) =>
+      stats.find((s) => s.variant_id === id)?.[`${metric}_rate`] || 0;
+    return rateOf(variant.id) > rateOf(best.id) ? variant : best;
+  }).id;
+}
+
+/**
+ * How many new logs a campaign may create this cycle. while a test slice runs
+ * only the slice gets logs, the rest waits until the winner is picked
+ */
+async function getVariantAllowance(campaign) {
+  const variants = parseVariants(campaign);
+  const testSize = getTestSize(campaign, variants);
+  if (!testSize || campaign.winner_variant) return Infinity;
+
+  const [logs] = await query(
+    "SELECT COUNT(*) as total, SUM(status = 'PENDING') as pending FROM beta_campaign_logs WHERE campaign_id = ?",
+    [campaign.campaign_id]
+  );
+  const total = Number(logs?.total) || 0;
+  if (total < testSize) return testSize - total;
+  if (Number(logs?.pending) > 0) return 0;
+
+  // the wait starts once the whole slice went out
+  if (!campaign.test_finished_at) {
+    campaign.test_finished_at = Date.now();
+    await query(
+      "UPDATE beta_campaign SET test_finished_at = ? WHERE campaign_id = ?",
+      [campaign.test_finished_at, campaign.campaign_id]
+    );
+    console.log(`Test slice of campaign ${campaign.campaign_id} was sent`);
+  }
+
+  const wait = (parseInt(campaign.winner_wait_minutes) || 0) * 60 * 1000;
+  if (Date.now() < Number(campaign.test_finished_at) + wait) return 0;
+
+  campaign.winner_variant = await pickWinner(campaign, variants);
+  await query(
+    "UPDATE beta_campaign SET winner_variant = ? WHERE campaign_id = ?",
+    [campaign.winner_variant, campaign.campaign_id]
+  );
+  console.log(
+    `Variant ${campaign.winner_variant} won the test of campaign ${campaign.campaign_id}`
+  );
+
+  return Infinity;
+}
+
+/**
+ * Per variant results for the campaign dashboard, null for a campaign
+ * without variants
+ */
+async function getVariantReport(campaign) {
+  const variants = parseVariants(campaign);
+  if (variants.length < 1) return null;
+
+  const stats = await getVariantStats(campaign.campaign_id);
+  const testSize = getTestSize(campaign, variants);
+
+  let testStatus = null;
+  if (testSize) {
+    testStatus = campaign.winner_variant
+      ? "WINNER_SELECTED"
+      : campaign.test_finished_at
+      ? "WAITING"
+      : "TESTING";
+  }
+
+  return {
+    test_percent: campaign.test_percent,
+    test_size: testSize,
+    test_status: testStatus,
+    winner_metric: campaign.winner_metric || "read",
+    winner_wait_minutes: campaign.winner_wait_minutes,
+    winner_variant: campaign.winner_variant,
+    variants: variants.map((variant) => {
+      const { variant_id, ...result } =
+        stats.find((s) => s.variant_id === variant.id) || EMPTY_STATS;
+      return {
+        ...variant,
+        ...result,
+        winner: campaign.winner_variant === variant.id,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  WINNER_METRICS,
+  parseVariants,
+  normalizeVariants,
+  validateVariants,
+  getVariantMessages,
+  assignVariants,
+  getVariantAllowance,
+  getVariantStats,
+  getVariantReport,
+};
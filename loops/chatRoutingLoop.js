@@ -0,0 +1,46 @@
+const { query } = require("../database/dbpromise");
+const { getRoutingSettings, sweepChats } = require("../helper/routing");
+
+const CONFIG = {
+  checkInterval: 60 * 1000, // Look for unanswered and waiting chats every minute
+};
+
+let isRunning = false;
+
+/**
+ * Initialize the chat routing sweeper
+ */
+function initChatRouting() {
+  return setInterval(async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await processRouting();
+    } catch (error) {
+      console.error("Error in chat routing loop:", error);
+    } finally {
+      isRunning = false;
+    }
+  }, CONFIG.checkInterval);
+}
+
+async function processRouting() {
+  const users = await query(
+    `SELECT uid, chat_routing FROM user WHERE chat_routing IS NOT NULL`,
+    []
+  );
+
+  for (const user of users) {
+    const settings = getRoutingSettings(user);
+    if (!settings.enabled) continue;
+
+    try {
+      await sweepChats({ uid: user.uid, settings });
+    } catch (error) {
+      console.error(`Error routing chats of ${user.uid}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { initChatRouting };
@@ -0,0 +1,303 @@
+const { query } = require("../database/dbpromise");
+const {
+  getContactFields,
+  mapCustomFields,
+  parseCustomFields,
+} = require("../helper/contact/fields");
+const {
+  IMPORT_STATUS,
+  CONTACT_COLUMNS,
+  normalizeMobile,
+} = require("../helper/contact/import");
+const { enrollByTrigger } = require("../helper/sequence");
+const { getSocket } = require("../helper/utils");
+
+const CONFIG = {
+  checkInterval: 5 * 1000, // Look for queued imports every 5 seconds
+  batchSize: 200, // Rows written per batch, progress is saved after each one
+};
+
+let isRunning = false;
+
+/**
+ * Initialize the background contact import worker
+ */
+function initContactImport() {
+  return setInterval(async () => {
+    // a large file takes longer than one interval
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await processNextImport();
+    } catch (error) {
+      console.error("Error in contact import loop:", error);
+    } finally {
+      isRunning = false;
+    }
+  }, CONFIG.checkInterval);
+}
+
+async function processNextImport() {
+  // PROCESSING first so an import cut by a restart is resumed
+  const [job] = await query(
+    `SELECT * FROM contact_imports WHERE status IN (?) ORDER BY status = ? DESC, id ASC LIMIT 1`,
+    [[IMPORT_STATUS.PROCESSING, IMPORT_STATUS.QUEUED], IMPORT_STATUS.PROCESSING]
+  );
+  if (!job) return;
+
+  try {
+    await runImport(job);
+  } catch (error) {
+    console.error(`Error while importing ${job.import_id}:`, error);
+    await query(
+      `UPDATE contact_imports SET status = ?, error = ? WHERE id = ?`,
+      [IMPORT_STATUS.FAILED, `${error?.message || error}`.slice(0, 999), job.id]
+    );
+    emitProgress({ ...job, status: IMPORT_STATUS.FAILED });
+  }
+}
+
+function emitProgress(job) {
+  const { sendToUid } = getSocket();
+  sendToUid(
+    job.uid,
+    {
+      import_id: job.import_id,
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      inserted: job.inserted,
+      updated: job.updated,
+      skipped: job.skipped,
+      rejected: job.rejected,
+    },
+    "contact_import_progress"
+  );
+}
+
+// the values a file row holds for the mapped contact columns
+function readRow(row, mapping, fields, defaultCountryCode) {
+  const columns = {};
+  const custom = {};
+
+  Object.entries(mapping).forEach(([header, target]) => {
+    if (!target || row[header] === undefined) return;
+    if (target === "mobile" || CONTACT_COLUMNS.includes(target)) {
+      columns[target] = `${row[header]}`.trim();
+    } else {
+      custom[target] = row[header];
+    }
+  });
+
+  const { values, invalid } = mapCustomFields(fields, custom);
+
+  return {
+    rawMobile: columns.mobile,
+    mobile: normalizeMobile(columns.mobile, defaultCountryCode),
+    columns,
+    customFields: values,
+    invalid,
+  };
+}
+
+// update lets the file win, merge only fills what the contact is missing
+function mergeContact(contact, parsed, policy) {
+  const next = {};
+
+  CONTACT_COLUMNS.forEach((column) => {
+    const value = parsed.columns[column];
+    if (!value) return;
+    if (policy === "update" || !contact[column]) next[column] = value;
+  });
+
+  const existing = parseCustomFields(contact);
+  next.custom_fields = JSON.stringify(
+    policy === "update"
+      ? { ...existing, ...parsed.customFields }
+      : { ...parsed.customFields, ...existing }
+  );
+
+  return next;
+}
+
+async function getContactLimit(uid) {
+  const [user] = await query(`SELECT plan FROM user WHERE uid = ?`, [uid]);
+  try {
+    return JSON.parse(user?.plan || "{}")?.contact_limit ?? 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+async function runImport(job) {
+  const rows = JSON.parse(job.data || "[]");
+  const mapping = JSON.parse(job.mapping || "{}");
+  const { defaultCountryCode, duplicatePolicy = "skip" } = JSON.parse(
+    job.options || "{}"
+  );
+  const report = JSON.parse(job.report || "[]");
+  const fields = await getContactFields(job.uid);
+  const counts = {
+    processed: job.processed || 0,
+    inserted: job.inserted || 0,
+    updated: job.updated || 0,
+    skipped: job.skipped || 0,
+    rejected: job.rejected || 0,
+  };
+
+  await query(`UPDATE contact_imports SET status = ? WHERE id = ?`, [
+    IMPORT_STATUS.PROCESSING,
+    job.id,
+  ]);
+
+  // numbers seen in the rows already handled, rebuilt when resuming
+  const seen = new Map();
+  rows.slice(0, counts.processed).forEach((row, i) => {
+    const { mobile } = readRow(row, mapping, fields, defaultCountryCode);
+    if (mobile && !seen.has(mobile)) seen.set(mobile, i + 2);
+  });
+
+  const contactLimit = await getContactLimit(job.uid);
+  const [{ total: contactCount }] = await query(
+    `SELECT COUNT(*) AS total FROM contact WHERE uid = ?`,
+    [job.uid]
+  );
+  let available = contactLimit - contactCount;
+
+  for (let start = counts.processed; start < rows.length; ) {
+    const batch = rows.slice(start, start + CONFIG.batchSize);
+    const parsed = batch.map((row, i) => ({
+      // line number in the file, the header is line 1
+      line: start + i + 2,
+      row,
+      ...readRow(row, mapping, fields, defaultCountryCode),
+    }));
+
+    const mobiles = parsed.map((p) => p.mobile).filter(Boolean);
+    const existing =
+      mobiles.length > 0
+        ? await query(
+            `SELECT * FROM contact WHERE uid = ? AND phonebook_id = ? AND mobile IN (?)`,
+            [
+              job.uid,
+              job.phonebook_id,
+              [...mobiles, ...mobiles.map((m) => `+${m}`)],
+            ]
+          )
+        : [];
+    const existingMap = new Map(
+      existing.map((c) => [`${c.mobile}`.replace(/^\+/, ""), c])
+    );
+
+    const inserts = [];
+    const reject = (p, reason) => {
+      report.push({ row: p.line, data: p.row, reason });
+      counts.rejected++;
+    };
+
+    for (const p of parsed) {
+      if (!p.rawMobile) {
+        reject(p, "Mobile number is missing");
+        continue;
+      }
+      if (!p.mobile) {
+        reject(p, `Invalid mobile number ${p.rawMobile}`);
+        continue;
+      }
+      if (p.invalid.length > 0) {
+        reject(
+          p,
+          `Invalid value for ${p.invalid.map((x) => x.field).join(", ")}`
+        );
+        continue;
+      }
+      if (seen.has(p.mobile)) {
+        reject(p, `Duplicate of row ${seen.get(p.mobile)}`);
+        continue;
+      }
+      seen.set(p.mobile, p.line);
+
+      const contact = existingMap.get(p.mobile);
+      if (contact) {
+        if (duplicatePolicy === "skip") {
+          report.push({
+            row: p.line,
+            data: p.row,
+            reason: "Already in phonebook",
+          });
+          counts.skipped++;
+          continue;
+        }
+
+        const next = mergeContact(contact, p, duplicatePolicy);
+        const keys = Object.keys(next);
+        await query(
+          `UPDATE contact SET ${keys
+            .map((k) => `${k} = ?`)
+            .join(", ")} WHERE id = ?`,
+          [...keys.map((k) => next[k]), contact.id]
+        );
+        counts.updated++;
+        continue;
+      }
+
+      if (available < 1) {
+        reject(p, `Your plan allows only ${contactLimit} contacts`);
+        continue;
+      }
+      available--;
+
+      inserts.push([
+        job.uid,
+        job.phonebook_id,
+        job.phonebook_name,
+        p.columns.name || null,
+        p.mobile,
+        ...CONTACT_COLUMNS.slice(1).map((c) => p.columns[c] || null),
+        JSON.stringify(p.customFields),
+      ]);
+    }
+
+    if (inserts.length > 0) {
+      await query(
+        `INSERT INTO contact (uid, phonebook_id, phonebook_name, name, mobile, var1, var2, var3, var4, var5, custom_fields) VALUES ?`,
+        [inserts]
+      );
+      counts.inserted += inserts.length;
+
+      await enrollByTrigger({
+        uid: job.uid,
+        type: "PHONEBOOK",
+        value: { id: job.phonebook_id, name: job.phonebook_name },
+        contacts: inserts.map((row) => ({ mobile: row[4], name: row[3] })),
+      });
+    }
+
+    start += batch.length;
+    counts.processed = start;
+
+    await query(
+      `UPDATE contact_imports SET processed = ?, inserted = ?, updated = ?, skipped = ?, rejected = ?, report = ? WHERE id = ?`,
+      [
+        counts.processed,
+        counts.inserted,
+        counts.updated,
+        counts.skipped,
+        counts.rejected,
+        JSON.stringify(report),
+        job.id,
+      ]
+    );
+    emitProgress({ ...job, ...counts, status: IMPORT_STATUS.PROCESSING });
+  }
+
+  // the rows are not needed once the report is written
+  await query(
+    `UPDATE contact_imports SET status = ?, data = NULL WHERE id = ?`,
+    [IMPORT_STATUS.COMPLETED, job.id]
+  );
+  emitProgress({ ...job, ...counts, status: IMPORT_STATUS.COMPLETED });
+}
+
+module.exports = { initContactImport };
@@ -0,0 +1,237 @@
+const { query } = require("../database/dbpromise");
+const { getCurrentTimestampInTimeZone } = require("../functions/function");
+const {
+  getFlowGraph,
+  sendWaMessage,
+  saveOutgoingMessage,
+} = require("../automation/functions");
+
+const CONFIG = {
+  checkInterval: 60 * 1000, // Check every minute
+  batchSize: 200, // Sessions handled per flow per cycle
+  traceInterval: 60 * 60 * 1000, // Prune flow traces once an hour
+  traceMaxAgeDays: 30, // Trace rows older than this are deleted
+  traceMaxRows: 500, // Newest trace rows kept per session
+};
+
+let lastTracePrune = 0;
+
+// flow_session.timeout_state
+const SESSION_STATE = {
+  ACTIVE: 0,
+  REMINDED: 1,
+  EXPIRED: 2,
+};
+
+const TIMEOUT_ACTIONS = ["RESTART", "NODE", "DELETE"];
+
+/**
+ * Initialize the flow session timeout sweeper
+ */
+async function initFlowSessionSweeper() {
+  const interval = setInterval(async () => {
+    try {
+      await sweepFlowSessions();
+    } catch (error) {
+      console.error("Error in flow session sweeper:", error);
+    }
+  }, CONFIG.checkInterval);
+
+  try {
+    await sweepFlowSessions();
+  } catch (error) {
+    console.error("Error in flow session sweeper on initial run:", error);
+  }
+
+  return interval;
+}
+
+async function sweepFlowSessions() {
+  // sessions created before timeouts existed start their clock now
+  await query(
+    `UPDATE flow_session SET last_activity = ? WHERE last_activity IS NULL`,
+    [Date.now()]
+  );
+
+  const flows = await query(
+    `SELECT * FROM beta_flows WHERE timeout_minutes > 0`,
+    []
+  );
+
+  for (const flow of flows) {
+    try {
+      await sendReminders(flow);
+      await expireSessions(flow);
+    } catch (error) {
+      console.error(`Error sweeping sessions of flow ${flow.flow_id}:`, error);
+    }
+  }
+
+  if (Date.now() - lastTracePrune >= CONFIG.traceInterval) {
+    lastTracePrune = Date.now();
+    await pruneFlowTraces();
+  }
+}
+
+// flow_session_trace gets a row for every node that runs, only recent ones
+// and the last traceMaxRows of a session are kept
+async function pruneFlowTraces() {
+  await query(`DELETE FROM flow_session_trace WHERE createdAt < ?`, [
+    new Date(Date.now() - CONFIG.traceMaxAgeDays * 24 * 60 * 60 * 1000),
+  ]);
+
+  const sessions = await query(
+    `SELECT session_id FROM flow_session_trace GROUP BY session_id HAVING COUNT(*) > ? LIMIT ?`,
+    [CONFIG.traceMaxRows, CONFIG.batchSize]
+  );
+
+  for (const { session_id } of sessions) {
+    const [oldest] = await query(
+      `SELECT id FROM flow_session_trace WHERE session_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?`,
+      [session_id, CONFIG.traceMaxRows - 1]
+    );
+    if (!oldest) continue;
+
+    await query(
+      `DELETE FROM flow_session_trace WHERE session_id = ? AND id < ?`,
+      [session_id, oldest.id]
+    );
+  }
+}
+
+async function sendReminders(flow) {
+  const reminderMinutes = parseInt(flow.reminder_minutes) || 0;
+  if (
+    !flow.reminder_message ||
+    reminderMinutes < 1 ||
+    reminderMinutes >= flow.timeout_minutes
+  ) {
+    return;
+  }
+
+  const now = Date.now();
+  const sessions = await query(
+    `SELECT * FROM flow_session WHERE uid = ? AND flow_id = ? AND timeout_state = ? AND last_activity < ? AND last_activity >= ? LIMIT ?`,
+    [
+      flow.uid,
+      flow.flow_id,
+      SESSION_STATE.ACTIVE,
+      now - reminderMinutes * 60 * 1000,
+      now - flow.timeout_minutes * 60 * 1000,
+      CONFIG.batchSize,
+    ]
+  );
+
+  if (sessions.length < 1) return;
+
+  const [user] = await query(`SELECT * FROM user WHERE uid = ?`, [flow.uid]);
+
+  for (const session of sessions) {
+    // marking first so a slow send is never repeated by the next cycle
+    await query(`UPDATE flow_session SET timeout_state = ? WHERE id = ?`, [
+      SESSION_STATE.REMINDED,
+      session.id,
+    ]);
+
+    const content = {
+      type: "text",
+      text: { preview_url: false, body: flow.reminder_message },
+    };
+
+    const sendMsg = await sendWaMessage({
+      message: { senderMobile: session.sender_mobile },
+      node: {},
+      origin: session.origin,
+      sessionId: session.origin_id,
+      isGroup: false,
+      uid: flow.uid,
+      content,
+    });
+
+    if (sendMsg && session.chat_id) {
+      const userTimezone = getCurrentTimestampInTimeZone(
+        user?.timezone || "Asia/Kolkata"
+      );
+
+      await saveOutgoingMessage({
+        uid: flow.uid,
+        chatId: session.chat_id,
+        messageData: {
+          type: "text",
+          metaChatId: sendMsg,
+          msgContext: content,
+          reaction: "",
+          timestamp: parseInt(userTimezone),
+          senderName: JSON.parse(session.data || "{}")?.variables?.senderName,
+          senderMobile: session.sender_mobile,
+          star: 0,
+          route: "OUTGOING",
+          context: null,
+          origin: session.origin,
+        },
+      });
+    }
+  }
+}
+
+async function expireSessions(flow) {
+  const action = TIMEOUT_ACTIONS.includes(flow.timeout_action)
+    ? flow.timeout_action
+    : "RESTART";
+
+  const sessions = await query(
+    `SELECT * FROM flow_session WHERE uid = ? AND flow_id = ? AND timeout_state < ? AND last_activity < ? LIMIT ?`,
+    [
+      flow.uid,
+      flow.flow_id,
+      SESSION_STATE.EXPIRED,
+      Date.now() - flow.timeout_minutes * 60 * 1000,
+      CONFIG.batchSize,
+    ]
+  );
+
+  // a deleted session only comes back once the flow is triggered again
+  if (action === "DELETE") {
+    if (sessions.length > 0) {
+      await query(`DELETE FROM flow_session WHERE id IN (?)`, [
+        sessions.map((x) => x.id),
+      ]);
+    }
+    return;
+  }
+
+  for (const session of sessions) {
+    const { nodes, edges } = await getFlowGraph({
+      uid: flow.uid,
+      element: flow,
+      senderMobile: session.sender_mobile,
+      followSubFlow: false,
+    });
+
+    const oldData = JSON.parse(session.data || "{}");
+    const timeoutNode =
+      action === "NODE" && nodes.find((n) => n.id === flow.timeout_node);
+
+    let newData;
+    if (timeoutNode) {
+      // keeps collected variables so the timeout node can still use them
+      newData = { variables: oldData?.variables || {}, node: timeoutNode };
+    } else {
+      const getEdge = edges.find((e) => e.source === "initialNode");
+      const getNode = nodes.find((n) => n.id === getEdge?.target);
+      newData = { variables: {}, node: getNode };
+    }
+
+    if (!newData.node) {
+      await query(`DELETE FROM flow_session WHERE id = ?`, [session.id]);
+      continue;
+    }
+
+    await query(
+      `UPDATE flow_session SET data = ?, timeout_state = ? WHERE id = ?`,
+      [JSON.stringify(newData), SESSION_STATE.EXPIRED, session.id]
+    );
+  }
+}
+
+module.exports = { initFlowSessionSweeper, TIMEOUT_ACTIONS };
@@ -0,0 +1,269 @@
+const { query } = require("../database/dbpromise");
+const { sendTemplateMessage } = require("../functions/function");
+const { sendMetaMsg } = require("../helper/socket/function");
+const { replaceVariables } = require("../automation/functions");
+const { getContactVariables } = require("../helper/contact/fields");
+const { getSuppressedNumbers } = require("../helper/contact/suppression");
+const {
+  ENROLLMENT_STATUS,
+  EXIT_REASONS,
+  parseSequence,
+  getStepOffset,
+} = require("../helper/sequence");
+
+const CONFIG = {
+  checkInterval: 30 * 1000, // Look for due steps every 30 seconds
+  batchSize: 100, // Enrollments handled per cycle
+  messageDelay: 500, // Delay between messages
+  maxAttempts: 3, // Sends tried before a step is given up
+  retryDelay: 10 * 60 * 1000, // Wait before trying a failed send again
+};
+
+// session messages need an inbound message in the last 24 hours
+const SESSION_WINDOW = 24 * 60 * 60 * 1000;
+
+let isRunning = false;
+
+/**
+ * Initialize the drip sequence worker
+ */
+function initSequences() {
+  return setInterval(async () => {
+    // a busy cycle with many sends takes longer than one interval
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await processDueEnrollments();
+    } catch (error) {
+      console.error("Error in sequence loop:", error);
+    } finally {
+      isRunning = false;
+    }
+  }, CONFIG.checkInterval);
+}
+
+async function processDueEnrollments() {
+  const due = await query(
+    `SELECT e.* FROM sequence_enrollments e
+     JOIN sequences s ON s.sequence_id = e.sequence_id AND s.status = 'ACTIVE'
+     WHERE e.status = ? AND e.next_run_at <= ?
+     ORDER BY e.next_run_at ASC LIMIT ?`,
+    [ENROLLMENT_STATUS.ACTIVE, Date.now(), CONFIG.batchSize]
+  );
+  if (due.length < 1) return;
+
+  const sequences = new Map();
+  const credentials = new Map();
+
+  for (const enrollment of due) {
+    try {
+      if (!sequences.has(enrollment.sequence_id)) {
+        const [row] = await query(
+          `SELECT * FROM sequences WHERE sequence_id = ?`,
+          [enrollment.sequence_id]
+        );
+        sequences.set(enrollment.sequence_id, parseSequence(row));
+      }
+      if (!credentials.has(enrollment.uid)) {
+        const [api] = await query(`SELECT * FROM meta_api WHERE uid = ?`, [
+          enrollment.uid,
+        ]);
+        credentials.set(enrollment.uid, api || null);
+      }
+
+      await runStep({
+        enrollment,
+        sequence: sequences.get(enrollment.sequence_id),
+        api: credentials.get(enrollment.uid),
+      });
+    } catch (error) {
+      console.error(
+        `Error in sequence enrollment ${enrollment.id}: ${error.message}`
+      );
+    }
+  }
+}
+
+function parseHistory(enrollment) {
+  try {
+    return JSON.parse(enrollment.history || "[]");
+  } catch (err) {
+    return [];
+  }
+}
+
+// records what happened to the current step and schedules the next one
+async function advance(enrollment, sequence, entry) {
+  const now = Date.now();
+  const nextStep = enrollment.current_step + 1;
+  const next = sequence.steps[nextStep];
+  const history = [...parseHistory(enrollment), { ...entry, at: now }];
+
+  await query(
+    `UPDATE sequence_enrollments SET current_step = ?, attempts = 0, status = ?, next_run_at = ?, last_sent_at = ?, history = ? WHERE id = ?`,
+    [
+      nextStep,
+      next ? ENROLLMENT_STATUS.ACTIVE : ENROLLMENT_STATUS.COMPLETED,
+      // a step that was held up goes out right after the late one
+      next
+        ? Math.max(now, Number(enrollment.enrolled_at) + getStepOffset(next))
+        : null,
+      entry.status === "SENT" ? now : enrollment.last_sent_at,
+      JSON.stringify(history),
+      enrollment.id,
+    ]
+  );
+}
+
+// replied means a message came in after the last step, or the enrollment
+function shouldSkip(step, enrollment) {
+  const since = Number(enrollment.last_sent_at || enrollment.enrolled_at);
+  const replied = Number(enrollment.last_reply_at || 0) > since;
+
+  return (step.skip_if || []).some(
+    (condition) =>
+      (condition === "REPLIED" && replied) ||
+      (condition === "NOT_REPLIED" && !replied)
+  );
+}
+
+async function getContact(uid, mobile) {
+  const [contact] = await query(
+    `SELECT * FROM contact WHERE uid = ? AND mobile IN (?) ORDER BY id ASC LIMIT 1`,
+    [uid, [mobile, `+${mobile}`]]
+  );
+  return contact || null;
+}
+
+async function isInsideSessionWindow(uid, mobile) {
+  const [chat] = await query(
+    `SELECT last_inbound_at FROM beta_chats WHERE uid = ? AND sender_mobile = ? ORDER BY last_inbound_at DESC LIMIT 1`,
+    [uid, mobile]
+  );
+  return Number(chat?.last_inbound_at || 0) > Date.now() - SESSION_WINDOW;
+}
+
+// sends one step, returns { messageId } or { error }
+async function sendStep({ step, enrollment, api }) {
+  if (!api?.access_token || !api?.business_phone_number_id) {
+    return { error: "Meta API credentials not found" };
+  }
+
+  const mobile = enrollment.contact_mobile;
+  const contact = (await getContact(enrollment.uid, mobile)) || {
+    name: enrollment.contact_name,
+    mobile,
+  };
+  const variables = getContactVariables(contact);
+
+  if (step.type === "TEXT") {
+    const result = await sendMetaMsg({
+      uid: enrollment.uid,
+      to: mobile,
+      msgObj: {
+        type: "text",
+        text: {
+          preview_url: true,
+          body: replaceVariables(step.text, variables),
+        },
+      },
+    });
+    return result?.success ? { messageId: result.id } : { error: result?.msg };
+  }
+
+  const result = await sendTemplateMessage(
+    "v18.0",
+    api.business_phone_number_id,
+    api.access_token,
+    step.template_name,
+    step.template_language,
+    mobile,
+    replaceVariables(step.body_variables || [], variables),
+    replaceVariables(step.header_variable || null, variables),
+    replaceVariables(step.button_variables || [], variables)
+  );
+
+  return result?.messages?.length > 0
+    ? { messageId: result.messages[0].id }
+    : { error: result?.error?.message || "No message ID returned" };
+}
+
+async function runStep({ enrollment, sequence, api }) {
+  const step = sequence?.steps[enrollment.current_step];
+  if (!step) {
+    await advance(enrollment, sequence || { steps: [] }, {
+      status: "COMPLETED",
+    });
+    return;
+  }
+
+  // an opt-out added any other way than a keyword ends the sequence here
+  const suppressed = await getSuppressedNumbers(enrollment.uid, [
+    enrollment.contact_mobile,
+  ]);
+  if (suppressed.size > 0) {
+    await query(
+      `UPDATE sequence_enrollments SET status = ?, exit_reason = ?, next_run_at = NULL WHERE id = ?`,
+      [ENROLLMENT_STATUS.EXITED, EXIT_REASONS.OPT_OUT, enrollment.id]
+    );
+    return;
+  }
+
+  if (shouldSkip(step, enrollment)) {
+    await advance(enrollment, sequence, { step: step.id, status: "SKIPPED" });
+    return;
+  }
+
+  if (
+    step.type === "TEXT" &&
+    !(await isInsideSessionWindow(enrollment.uid, enrollment.contact_mobile))
+  ) {
+    await advance(enrollment, sequence, {
+      step: step.id,
+      status: "SKIPPED",
+      error: "Outside the 24 hour session window",
+    });
+    return;
+  }
+
+  const result = await sendStep({ step, enrollment, api });
+
+  if (result.messageId) {
+    // logged with the campaigns so delivery webhooks and the messaging tier
+    // see sequence messages as well, source keeps them out of campaign stats
+    await query(
+      `INSERT INTO beta_campaign_logs (uid, campaign_id, contact_name, contact_mobile, status, meta_msg_id, sent_at, source) VALUES (?,?,?,?,?,?,?,?)`,
+      [
+        enrollment.uid,
+        enrollment.sequence_id,
+        enrollment.contact_name,
+        enrollment.contact_mobile,
+        "SENT",
+        result.messageId,
+        Date.now(),
+        "SEQUENCE",
+      ]
+    );
+    await advance(enrollment, sequence, {
+      step: step.id,
+      status: "SENT",
+      meta_msg_id: result.messageId,
+    });
+  } else if (enrollment.attempts + 1 < CONFIG.maxAttempts) {
+    await query(
+      `UPDATE sequence_enrollments SET attempts = attempts + 1, next_run_at = ? WHERE id = ?`,
+      [Date.now() + CONFIG.retryDelay, enrollment.id]
+    );
+  } else {
+    await advance(enrollment, sequence, {
+      step: step.id,
+      status: "FAILED",
+      error: result.error,
+    });
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, CONFIG.messageDelay));
+}
+
+module.exports = { initSequences };
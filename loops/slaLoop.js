@@ -0,0 +1,43 @@
+const { query } = require("../database/dbpromise");
+const { sweepSla } = require("../helper/sla");
+
+const CONFIG = {
+  checkInterval: 60 * 1000, // Recompute sla timers every minute
+};
+
+let isRunning = false;
+
+/**
+ * Initialize the sla timer loop
+ */
+function initSlaTimers() {
+  return setInterval(async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await processSla();
+    } catch (error) {
+      console.error("Error in sla loop:", error);
+    } finally {
+      isRunning = false;
+    }
+  }, CONFIG.checkInterval);
+}
+
+async function processSla() {
+  const users = await query(
+    `SELECT uid, timezone FROM user WHERE uid IN (SELECT uid FROM sla_policies WHERE is_active = 1)`,
+    []
+  );
+
+  for (const user of users) {
+    try {
+      await sweepSla({ user });
+    } catch (error) {
+      console.error(`Error timing chats of ${user.uid}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { initSlaTimers };
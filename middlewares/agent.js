@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken')
 const { query } = require('../database/dbpromise')
+const { getAgentTeams } = require('../helper/teams')
 
 const validateAgent = async (req, res, next) => {
     try {
@@ -51,6 +52,9 @@ const validateAgent = async (req, res, next) => {
 
                     req.owner = getOwner[0]
                     req.decode = decode
+                    req.agent = getAgent[0]
+                    // chats of these teams are visible to the agent
+                    req.teams = await getAgentTeams(getAgent[0].uid)
                     next()
                 } else {
                     return res.json({
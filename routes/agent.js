@@ -32,6 +32,37 @@ const {
 } = require("../middlewares/plan.js");
 const { recoverEmail } = require("../emails/returnEmails.js");
 const moment = require("moment");
+const {
+  ASSIGN_REASONS,
+  getRoutingSettings,
+  validateRoutingSettings,
+  assignChat,
+} = require("../helper/routing/index.js");
+const {
+  TEAM_ROLES,
+  getTeamMemberUids,
+  getAssignedAgent,
+  canAgentSeeChat,
+} = require("../helper/teams/index.js");
+const { resolveChatSla } = require("../helper/sla/index.js");
+const {
+  TICKET_STATUSES,
+  getRequestActor,
+  validateTicket,
+  getTicket,
+  getActiveTicket,
+  changeTicketStatus,
+} = require("../helper/tickets/index.js");
+const { getTicketHandlers } = require("../helper/tickets/handlers.js");
+const {
+  getAgentActor,
+  canUseReply,
+  canEditReply,
+  saveQuickReply,
+  getQuickReply,
+  searchQuickReplies,
+  renderQuickReply,
+} = require("../helper/quickReply/index.js");
 
 // adding agent
 router.post("/add_agent", validateUser, checkPlan, async (req, res) => {
@@ -122,6 +153,306 @@ router.post("/change_agent_activeness", validateUser, async (req, res) => {
   }
 });
 
+// automatic chat routing settings
+router.get("/get_routing_settings", validateUser, async (req, res) => {
+  try {
+    const [user] = await query(`SELECT chat_routing FROM user WHERE uid = ?`, [
+      req.decode.uid,
+    ]);
+    res.json({ data: getRoutingSettings(user), success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/update_routing_settings", validateUser, async (req, res) => {
+  try {
+    const {
+      enabled,
+      strategy,
+      match_skills,
+      skill_fallback,
+      online_only,
+      max_chats,
+      reassign_minutes,
+    } = req.body;
+
+    const settings = {
+      enabled: !!enabled,
+      strategy: strategy || "ROUND_ROBIN",
+      match_skills: !!match_skills,
+      skill_fallback: skill_fallback !== false,
+      online_only: online_only !== false,
+      max_chats: parseInt(max_chats) || 0,
+      reassign_minutes: parseInt(reassign_minutes) || 0,
+    };
+
+    const error = validateRoutingSettings(settings);
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    await query(`UPDATE user SET chat_routing = ? WHERE uid = ?`, [
+      JSON.stringify(settings),
+      req.decode.uid,
+    ]);
+
+    res.json({ success: true, msg: "Routing settings were updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// skills are chat label titles or ids and instance numbers the agent takes
+router.post("/update_agent_routing", validateUser, async (req, res) => {
+  try {
+    const { agentUid, skills, max_chats } = req.body;
+
+    if (skills !== undefined && !Array.isArray(skills)) {
+      return res.json({ success: false, msg: "Skills should be a list" });
+    }
+
+    if (
+      max_chats !== undefined &&
+      max_chats !== null &&
+      max_chats !== "" &&
+      !(Number(max_chats) >= 0)
+    ) {
+      return res.json({
+        success: false,
+        msg: "Max chats should be 0 or more, 0 uses the routing settings",
+      });
+    }
+
+    await query(
+      `UPDATE agents SET skills = ?, max_chats = ? WHERE uid = ? AND owner_uid = ?`,
+      [
+        JSON.stringify(
+          (skills || []).map((s) => `${s}`.trim()).filter(Boolean)
+        ),
+        parseInt(max_chats) || null,
+        agentUid,
+        req.decode.uid,
+      ]
+    );
+
+    res.json({ success: true, msg: "Agent was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// returns an error message, null when every member is an agent of the owner
+async function validateTeamMembers(ownerUid, members) {
+  if (!Array.isArray(members)) {
+    return "Members should be a list";
+  }
+
+  const badRole = members.find(
+    (m) => m?.role && !Object.values(TEAM_ROLES).includes(m.role)
+  );
+  if (badRole) {
+    return `Role should be one of ${Object.values(TEAM_ROLES).join(", ")}`;
+  }
+
+  const agentUids = [...new Set(members.map((m) => m?.agent_uid))];
+  if (agentUids.length < 1) return null;
+
+  const agents = await query(
+    `SELECT uid FROM agents WHERE owner_uid = ? AND uid IN (?)`,
+    [ownerUid, agentUids]
+  );
+  if (agents.length !== agentUids.length) {
+    return "One or more agents were not found";
+  }
+
+  return null;
+}
+
+async function saveTeamMembers(ownerUid, teamId, members) {
+  await query(`DELETE FROM agent_team_members WHERE uid = ? AND team_id = ?`, [
+    ownerUid,
+    teamId,
+  ]);
+
+  // an agent listed twice keeps the last role given
+  const roles = new Map(
+    members.map((m) => [m.agent_uid, m.role || TEAM_ROLES.MEMBER])
+  );
+  if (roles.size < 1) return;
+
+  await query(
+    `INSERT INTO agent_team_members (uid, team_id, agent_uid, role) VALUES ?`,
+    [[...roles].map(([agentUid, role]) => [ownerUid, teamId, agentUid, role])]
+  );
+}
+
+// agent teams, chats of a team queue are shared by its members
+router.post("/add_team", validateUser, async (req, res) => {
+  try {
+    const { name, description, members = [] } = req.body;
+
+    if (!name) {
+      return res.json({ success: false, msg: "Please give the team a name" });
+    }
+
+    const error = await validateTeamMembers(req.decode.uid, members);
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    const teamId = randomstring.generate();
+
+    await query(
+      `INSERT INTO agent_teams (uid, team_id, name, description) VALUES (?,?,?,?)`,
+      [req.decode.uid, teamId, name, description || null]
+    );
+    await saveTeamMembers(req.decode.uid, teamId, members);
+
+    res.json({ success: true, msg: "Team was created", teamId });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.get("/get_teams", validateUser, async (req, res) => {
+  try {
+    const teams = await query(`SELECT * FROM agent_teams WHERE uid = ?`, [
+      req.decode.uid,
+    ]);
+    const members = await query(
+      `SELECT agent_team_members.team_id, agent_team_members.role, agents.uid, agents.name, agents.email
+       FROM agent_team_members
+       JOIN agents ON agents.uid = agent_team_members.agent_uid
+       WHERE agent_team_members.uid = ?`,
+      [req.decode.uid]
+    );
+
+    const data = teams.map((team) => ({
+      ...team,
+      members: members.filter((m) => m.team_id === team.team_id),
+    }));
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/update_team", validateUser, async (req, res) => {
+  try {
+    const { teamId, name, description, members } = req.body;
+
+    if (!name) {
+      return res.json({ success: false, msg: "Please give the team a name" });
+    }
+
+    const [team] = await query(
+      `SELECT * FROM agent_teams WHERE uid = ? AND team_id = ?`,
+      [req.decode.uid, teamId]
+    );
+    if (!team) {
+      return res.json({ success: false, msg: "Team not found" });
+    }
+
+    // members are only replaced when a list is sent
+    if (members !== undefined) {
+      const error = await validateTeamMembers(req.decode.uid, members);
+      if (error) {
+        return res.json({ success: false, msg: error });
+      }
+    }
+
+    await query(
+      `UPDATE agent_teams SET name = ?, description = ? WHERE uid = ? AND team_id = ?`,
+      [name, description || null, req.decode.uid, teamId]
+    );
+    if (members !== undefined) {
+      await saveTeamMembers(req.decode.uid, teamId, members);
+    }
+
+    res.json({ success: true, msg: "Team was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/del_team", validateUser, async (req, res) => {
+  try {
+    const { teamId } = req.body;
+
+    await query(`DELETE FROM agent_teams WHERE uid = ? AND team_id = ?`, [
+      req.decode.uid,
+      teamId,
+    ]);
+    await query(
+      `DELETE FROM agent_team_members WHERE uid = ? AND team_id = ?`,
+      [req.decode.uid, teamId]
+    );
+    // chats of the team keep their agent, the queue goes back to the owner
+    await query(
+      `UPDATE beta_chats SET assigned_team = NULL WHERE uid = ? AND assigned_team = ?`,
+      [req.decode.uid, teamId]
+    );
+
+    res.json({ success: true, msg: "Team was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// puts a chat in a team queue, an empty teamId takes it out of any team
+router.post("/assign_team_to_chat", validateUser, async (req, res) => {
+  try {
+    const { chatId, teamId } = req.body;
+
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [req.decode.uid, chatId]
+    );
+    if (!chat) {
+      return res.json({ success: false, msg: "Chat not found" });
+    }
+
+    if (!teamId) {
+      await query(`UPDATE beta_chats SET assigned_team = NULL WHERE id = ?`, [
+        chat.id,
+      ]);
+      return res.json({ success: true, msg: "Chat was removed from the team" });
+    }
+
+    const [team] = await query(
+      `SELECT * FROM agent_teams WHERE uid = ? AND team_id = ?`,
+      [req.decode.uid, teamId]
+    );
+    if (!team) {
+      return res.json({ success: false, msg: "Team not found" });
+    }
+
+    // an agent outside the team gives the chat back to the queue
+    const members = await getTeamMemberUids(req.decode.uid, teamId);
+    const assigned = getAssignedAgent(chat);
+    const keepAgent = assigned && members.has(assigned.uid);
+
+    await query(
+      `UPDATE beta_chats SET assigned_team = ?, assigned_agent = ? WHERE id = ?`,
+      [teamId, keepAgent ? chat.assigned_agent : null, chat.id]
+    );
+
+    res.json({ success: true, msg: "Chat was moved to the team" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
 // del user
 router.post("/del_agent", validateUser, async (req, res) => {
   try {
@@ -453,6 +784,151 @@ router.get("/get_me", validateAgent, async (req, res) => {
   }
 });
 
+// teams of the logged in agent with its role in each
+router.get("/get_my_teams", validateAgent, async (req, res) => {
+  try {
+    const data = await query(
+      `SELECT agent_teams.team_id, agent_teams.name, agent_teams.description, agent_team_members.role
+       FROM agent_team_members
+       JOIN agent_teams ON agent_teams.team_id = agent_team_members.team_id
+       WHERE agent_team_members.agent_uid = ?`,
+      [req.agent.uid]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// chats waiting in the queues of the agent teams
+router.get("/get_team_queue", validateAgent, async (req, res) => {
+  try {
+    if (req.teams.member.length < 1) {
+      return res.json({ data: [], success: true });
+    }
+
+    const data = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND assigned_agent IS NULL AND assigned_team IN (?) ORDER BY waiting_since ASC`,
+      [req.owner.uid, req.teams.member]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// takes a chat from a team queue, the first agent to claim it gets it
+router.post("/claim_chat", validateAgent, async (req, res) => {
+  try {
+    const { chatId } = req.body;
+
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [req.owner.uid, chatId]
+    );
+    if (!chat || !req.teams.member.includes(chat.assigned_team)) {
+      return res.json({ success: false, msg: "Chat not found in your queue" });
+    }
+
+    const assigned = await assignChat({
+      uid: req.owner.uid,
+      chat,
+      agent: req.agent,
+      reason: ASSIGN_REASONS.CLAIMED,
+      onlyUnassigned: true,
+    });
+    if (!assigned) {
+      return res.json({
+        success: false,
+        msg: "This chat was already claimed by another agent",
+      });
+    }
+
+    res.json({ success: true, msg: "Chat was assigned to you" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// stops the sla timers of a chat until the customer writes again
+router.post("/resolve_chat", validateAgent, async (req, res) => {
+  try {
+    const { chatId } = req.body;
+
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [req.owner.uid, chatId]
+    );
+    if (!canAgentSeeChat(req.agent, req.teams, chat)) {
+      return res.json({
+        success: false,
+        msg: "This chat is not assigned to you or your team",
+      });
+    }
+
+    await resolveChatSla(req.owner.uid, chatId);
+
+    res.json({ success: true, msg: "Chat was resolved" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// a supervisor moves a chat of its team to a member, or back to the queue
+router.post("/reassign_team_chat", validateAgent, async (req, res) => {
+  try {
+    const { chatId, agentUid } = req.body;
+
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [req.owner.uid, chatId]
+    );
+    if (!chat || !req.teams.supervised.includes(chat.assigned_team)) {
+      return res.json({
+        success: false,
+        msg: "Only a supervisor of the chat team can reassign it",
+      });
+    }
+
+    if (!agentUid) {
+      await query(`UPDATE beta_chats SET assigned_agent = NULL WHERE id = ?`, [
+        chat.id,
+      ]);
+      return res.json({ success: true, msg: "Chat was returned to the queue" });
+    }
+
+    const members = await getTeamMemberUids(req.owner.uid, chat.assigned_team);
+    const [agent] = members.has(agentUid)
+      ? await query(
+          `SELECT * FROM agents WHERE uid = ? AND owner_uid = ? AND is_active = 1`,
+          [agentUid, req.owner.uid]
+        )
+      : [];
+    if (!agent) {
+      return res.json({
+        success: false,
+        msg: "The agent is not an active member of this team",
+      });
+    }
+
+    await assignChat({
+      uid: req.owner.uid,
+      chat,
+      agent,
+      reason: ASSIGN_REASONS.MANUAL,
+    });
+
+    res.json({ success: true, msg: `Chat was assigned to ${agent.name}` });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
 // get agent assign chats
 router.get("/get_my_assigned_chats", validateAgent, async (req, res) => {
   try {
@@ -834,19 +1310,59 @@ router.post("/mark_task_complete", validateAgent, async (req, res) => {
   }
 });
 
-// change chat status
+// tickets of a chat the agent can see
+async function getAgentVisibleChat(req, chatId) {
+  const [chat] = await query(
+    `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+    [req.owner.uid, chatId]
+  );
+  return canAgentSeeChat(req.agent, req.teams, chat) ? chat : null;
+}
+
+async function getAgentVisibleTicket(req, ticketId) {
+  const ticket = await getTicket(req.owner.uid, ticketId);
+  if (!ticket) return null;
+  return (await getAgentVisibleChat(req, ticket.chat_id)) ? ticket : null;
+}
+
+// statuses the old chat status route used
+const LEGACY_CHAT_STATUSES = {
+  open: TICKET_STATUSES.OPEN,
+  pending: TICKET_STATUSES.PENDING_CUSTOMER,
+  solved: TICKET_STATUSES.RESOLVED,
+};
+
+// deprecated, use /change_ticket_status. moves the active ticket of the chat
+// so the change lands in its history
 router.post("/change_chat_ticket_status", validateAgent, async (req, res) => {
   try {
     const { status, chatId } = req.body;
 
-    if (!status || !chatId) {
-      return res.json({ msg: "invalid request" });
+    const ticketStatus = LEGACY_CHAT_STATUSES[status] || status;
+    const error = !ticketStatus
+      ? "Please select a status"
+      : validateTicket({ status: ticketStatus });
+    if (error || !chatId) {
+      return res.json({ success: false, msg: error || "invalid request" });
     }
 
-    await query(`UPDATE chats SET chat_status = ? WHERE chat_id = ?`, [
-      status,
-      chatId,
-    ]);
+    if (!(await getAgentVisibleChat(req, chatId))) {
+      return res.json({ success: false, msg: "Chat not found" });
+    }
+
+    const ticket = await getActiveTicket(req.owner.uid, chatId);
+    if (!ticket) {
+      return res.json({ success: false, msg: "This chat has no open ticket" });
+    }
+
+    const result = await changeTicketStatus({
+      ticket,
+      status: ticketStatus,
+      actor: getRequestActor(req),
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
 
     res.json({
       success: true,
@@ -858,4 +1374,112 @@ router.post("/change_chat_ticket_status", validateAgent, async (req, res) => {
   }
 });
 
+const tickets = getTicketHandlers({
+  getUid: (req) => req.owner.uid,
+  getChat: getAgentVisibleChat,
+  getTicket: getAgentVisibleTicket,
+});
+
+router.post("/get_chat_tickets", validateAgent, tickets.getChatTickets);
+router.post("/create_ticket", validateAgent, tickets.createTicket);
+router.post("/change_ticket_status", validateAgent, tickets.changeTicketStatus);
+router.post("/update_ticket", validateAgent, tickets.updateTicket);
+router.post("/get_ticket_history", validateAgent, tickets.getTicketHistory);
+
+// quick replies the agent can use, its own, its teams and the shared ones
+router.get("/get_quick_replies", validateAgent, async (req, res) => {
+  try {
+    const data = await searchQuickReplies(getAgentActor(req.agent, req.teams), {
+      search: req.query.search,
+      limit: 500,
+    });
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// personal replies, or team ones for a team the agent supervises
+router.post("/add_quick_reply", validateAgent, async (req, res) => {
+  try {
+    const result = await saveQuickReply({
+      actor: getAgentActor(req.agent, req.teams),
+      body: req.body,
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({
+      success: true,
+      msg: "Quick reply was added",
+      replyId: result.replyId,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/update_quick_reply", validateAgent, async (req, res) => {
+  try {
+    const actor = getAgentActor(req.agent, req.teams);
+
+    const reply = await getQuickReply(req.owner.uid, req.body.replyId);
+    if (!reply || !canEditReply(actor, reply)) {
+      return res.json({ success: false, msg: "Quick reply not found" });
+    }
+
+    const result = await saveQuickReply({ actor, body: req.body, reply });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({ success: true, msg: "Quick reply was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/del_quick_reply", validateAgent, async (req, res) => {
+  try {
+    const reply = await getQuickReply(req.owner.uid, req.body.replyId);
+    if (!reply || !canEditReply(getAgentActor(req.agent, req.teams), reply)) {
+      return res.json({ success: false, msg: "Quick reply not found" });
+    }
+
+    await query(`DELETE FROM quick_replies WHERE id = ?`, [reply.id]);
+
+    res.json({ success: true, msg: "Quick reply was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/render_quick_reply", validateAgent, async (req, res) => {
+  try {
+    const { replyId, chatId } = req.body;
+    const actor = getAgentActor(req.agent, req.teams);
+
+    const reply = await getQuickReply(req.owner.uid, replyId);
+    if (!canUseReply(actor, reply)) {
+      return res.json({ success: false, msg: "Quick reply not found" });
+    }
+
+    const chat = await getAgentVisibleChat(req, chatId);
+    if (!chat) {
+      return res.json({ success: false, msg: "Chat not found" });
+    }
+
+    const data = await renderQuickReply({ actor, reply, chat });
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
 module.exports = router;
@@ -21,6 +21,17 @@ const { recoverEmail } = require("../emails/returnEmails.js");
 const moment = require("moment");
 const jwt = require("jsonwebtoken");
 const { getMetaTempletByName } = require("../loops/loopFunctions.js");
+const {
+  isSuppressed,
+  logSuppressed,
+} = require("../helper/contact/suppression.js");
+const { recordConversion } = require("../helper/tracking/index.js");
+const {
+  ACTOR_TYPES,
+  TICKET_STATUSES,
+  getTicket,
+  rateTicket,
+} = require("../helper/tickets/index.js");
 
 function decodeToken(token) {
   return new Promise((resolve) => {
@@ -126,6 +137,18 @@ router.post("/send-message", async (req, res) => {
       });
     }
 
+    if (messageObject?.to && (await isSuppressed(user.uid, messageObject.to))) {
+      await logSuppressed({
+        uid: user.uid,
+        source: "API",
+        mobile: messageObject.to,
+      });
+      return res.json({
+        success: false,
+        message: "This number has opted out of your messages.",
+      });
+    }
+
     const sendMsg = await sendAPIMessage(messageObject, waNumId, waToken);
 
     res.json(sendMsg);
@@ -232,6 +255,14 @@ router.post("/send_templet", async (req, res) => {
       });
     }
 
+    if (await isSuppressed(user.uid, sendTo)) {
+      await logSuppressed({ uid: user.uid, source: "API", mobile: sendTo });
+      return res.json({
+        success: false,
+        message: "This number has opted out of your messages.",
+      });
+    }
+
     const templet = await getMetaTempletByName(templetName, getMetaApi[0]);
 
     console.log("5");
@@ -288,4 +319,114 @@ router.post("/send_templet", async (req, res) => {
   }
 });
 
+// conversion webhook for the site a tracked link leads to. ref is the
+// wa_ref query parameter the link adds, without it the order goes to the
+// last click of the mobile number
+router.post("/conversion", async (req, res) => {
+  try {
+    const token = req.query.token || req.body.token;
+    const { ref, mobile, order_id, amount, currency, data } = req.body;
+
+    if (!token) {
+      return res.json({ success: false, message: "API keys not found" });
+    }
+
+    const checkToken = await decodeToken(token);
+
+    if (!checkToken.success) {
+      return res.json({ success: false, message: "Invalid API keys found" });
+    }
+
+    if (!ref && !mobile) {
+      return res.json({
+        success: false,
+        message: "Please send the ref or the mobile number of the customer",
+      });
+    }
+
+    if (amount !== undefined && amount !== null && isNaN(Number(amount))) {
+      return res.json({ success: false, message: "Amount should be a number" });
+    }
+
+    const conversion = await recordConversion({
+      uid: checkToken.data.uid,
+      ref,
+      mobile,
+      orderId: order_id,
+      amount,
+      currency,
+      data,
+    });
+
+    if (!conversion) {
+      return res.json({
+        success: false,
+        message: "No click was found for this conversion",
+      });
+    }
+
+    res.json({ success: true, message: "Conversion was recorded", conversion });
+  } catch (err) {
+    console.log(err);
+    res.json({ err, success: false, msg: "Something went wrong" });
+  }
+});
+
+// csat of a ticket from a survey, by ticket_id or the last resolved unrated
+// ticket of the mobile number
+router.post("/ticket_csat", async (req, res) => {
+  try {
+    const token = req.query.token || req.body.token;
+    const { ticket_id, mobile, score, comment } = req.body;
+
+    if (!token) {
+      return res.json({ success: false, message: "API keys not found" });
+    }
+
+    const checkToken = await decodeToken(token);
+
+    if (!checkToken.success) {
+      return res.json({ success: false, message: "Invalid API keys found" });
+    }
+
+    const uid = checkToken.data.uid;
+    let ticket = null;
+
+    if (ticket_id) {
+      ticket = await getTicket(uid, ticket_id);
+    } else if (mobile) {
+      [ticket] = await query(
+        `SELECT chat_tickets.* FROM chat_tickets
+         JOIN beta_chats ON beta_chats.chat_id = chat_tickets.chat_id AND beta_chats.uid = chat_tickets.uid
+         WHERE chat_tickets.uid = ? AND beta_chats.sender_mobile = ? AND chat_tickets.status IN (?) AND chat_tickets.csat_score IS NULL
+         ORDER BY chat_tickets.id DESC LIMIT 1`,
+        [
+          uid,
+          `${mobile}`.replace(/\D/g, ""),
+          [TICKET_STATUSES.RESOLVED, TICKET_STATUSES.CLOSED],
+        ]
+      );
+    }
+
+    if (!ticket) {
+      return res.json({ success: false, message: "Ticket not found" });
+    }
+
+    const result = await rateTicket({
+      ticket,
+      score,
+      comment,
+      actor: { type: ACTOR_TYPES.API, name: "API" },
+    });
+    if (result.error) {
+      return res.json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, message: "Rating was saved" });
+  } catch (err) {
+    console.log(err);
+    res.json({ err, success: false, msg: "Something went wrong" });
+  }
+});
+
 module.exports = router;
@@ -9,6 +9,61 @@ const {
 const { sign } = require("jsonwebtoken");
 const validateUser = require("../middlewares/user.js");
 const { checkPlan } = require("../middlewares/plan.js");
+const {
+  getSegment,
+  countSegmentContacts,
+} = require("../helper/contact/segments.js");
+const { validateSendWindow } = require("../loops/campaignThrottle.js");
+const {
+  normalizeVariants,
+  validateVariants,
+  getVariantReport,
+} = require("../loops/campaignVariants.js");
+const {
+  ENROLLMENT_STATUS,
+  EXIT_REASONS,
+  normalizeSteps,
+  validateSequence,
+  getSequence,
+  enrollContacts,
+  exitEnrollments,
+} = require("../helper/sequence/index.js");
+const {
+  RECURRING,
+  validateRecurrence,
+  getNextRunAt,
+} = require("../loops/campaignRecurrence.js");
+const {
+  CAMPAIGN_ACTIONS,
+  cancelPendingLogs,
+  getCampaignProgress,
+  emitCampaignProgress,
+} = require("../loops/campaignControl.js");
+const { getLinkStats } = require("../helper/tracking/index.js");
+
+// first run of a recurring campaign, at or after its schedule. null when the
+// recurrence never matches
+async function getFirstRunAt({ uid, recurrence, timezone, schedule }) {
+  const [user] = await query("SELECT timezone FROM user WHERE uid = ?", [uid]);
+  const startAt = Math.max(
+    Date.now(),
+    (schedule && new Date(schedule).getTime()) || 0
+  );
+
+  return getNextRunAt(recurrence, timezone || user?.timezone, startAt - 1);
+}
+
+// per campaign rate limits, empty values mean no limit
+function parseCampaignLimits(body) {
+  const toLimit = (value) => (parseInt(value) > 0 ? parseInt(value) : null);
+
+  return {
+    rate_per_minute: toLimit(body?.rate_per_minute),
+    rate_per_hour: toLimit(body?.rate_per_hour),
+    daily_cap: toLimit(body?.daily_cap),
+    send_window: body?.send_window ? JSON.stringify(body.send_window) : null,
+  };
+}
 
 // adding campaign
 router.post("/add_new", validateUser, checkPlan, async (req, res) => {
@@ -226,19 +281,34 @@ router.post(
         template_name,
         template_language,
         phonebook_id,
+        segment_id,
         campaign_title,
         body_variables,
         header_variable,
         button_variables,
         schedule,
         timezone,
+        send_window,
+        variants,
+        test_percent,
+        winner_wait_minutes,
+        winner_metric,
+        recurrence,
+        track_links,
       } = req.body;
 
+      // an a/b campaign sends the templates of its variants, the first one
+      // stands in for the campaign template
+      const campaignVariants = normalizeVariants(variants);
+      const templateName = template_name || campaignVariants[0]?.template_name;
+      const templateLanguage =
+        template_language || campaignVariants[0]?.template_language;
+
       // Validate required fields
       if (
-        !template_name ||
-        !template_language ||
-        !phonebook_id ||
+        !templateName ||
+        !templateLanguage ||
+        (!phonebook_id && !segment_id) ||
         !campaign_title
       ) {
         return res.json({
@@ -247,56 +317,136 @@ router.post(
         });
       }
 
-      // Get phonebook details
-      const phonebooks = await query(
-        "SELECT * FROM phonebook WHERE id = ? AND uid = ?",
-        [phonebook_id, req.decode.uid]
-      );
+      const windowError = validateSendWindow(send_window);
+      if (windowError) {
+        return res.json({ success: false, msg: windowError });
+      }
 
-      if (!phonebooks || phonebooks.length === 0) {
-        return res.json({
-          success: false,
-          msg: "Phonebook not found",
+      if (campaignVariants.length > 0) {
+        const variantError = validateVariants(campaignVariants, {
+          testPercent: test_percent,
+          winnerMetric: winner_metric,
         });
+        if (variantError) {
+          return res.json({ success: false, msg: variantError });
+        }
       }
 
-      // Count contacts in phonebook
-      const contactsCount = await query(
-        "SELECT COUNT(*) as count FROM contact WHERE phonebook_id = ? AND uid = ?",
-        [phonebook_id, req.decode.uid]
-      );
+      const recurrenceError = validateRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.json({ success: false, msg: recurrenceError });
+      }
 
-      if (!contactsCount || contactsCount[0].count === 0) {
+      // a recurring campaign only holds the settings, the campaign loop
+      // starts a run of it every time next_run_at is due
+      const nextRunAt = recurrence
+        ? await getFirstRunAt({
+            uid: req.decode.uid,
+            recurrence,
+            timezone,
+            schedule,
+          })
+        : null;
+      if (recurrence && !nextRunAt) {
+        return res.json({ success: false, msg: "This schedule never runs" });
+      }
+
+      // a segment is evaluated again when the campaign sends, the count
+      // here is only what it matches right now
+      let audienceName;
+      let contactsCount;
+
+      if (segment_id) {
+        const segment = await getSegment(req.decode.uid, segment_id);
+
+        if (!segment) {
+          return res.json({
+            success: false,
+            msg: "Segment not found",
+          });
+        }
+
+        audienceName = segment.title;
+        contactsCount = await countSegmentContacts(segment);
+      } else {
+        // Get phonebook details
+        const phonebooks = await query(
+          "SELECT * FROM phonebook WHERE id = ? AND uid = ?",
+          [phonebook_id, req.decode.uid]
+        );
+
+        if (!phonebooks || phonebooks.length === 0) {
+          return res.json({
+            success: false,
+            msg: "Phonebook not found",
+          });
+        }
+
+        // Count contacts in phonebook
+        const [result] = await query(
+          "SELECT COUNT(*) as count FROM contact WHERE phonebook_id = ? AND uid = ?",
+          [phonebook_id, req.decode.uid]
+        );
+
+        audienceName = phonebooks[0].name;
+        contactsCount = result?.count || 0;
+      }
+
+      if (contactsCount === 0) {
         return res.json({
           success: false,
-          msg: "No contacts found in the selected phonebook",
+          msg: segment_id
+            ? "No contacts match the selected segment"
+            : "No contacts found in the selected phonebook",
         });
       }
 
       // Generate campaign ID
       const campaignId = randomstring.generate(10);
 
+      const limits = parseCampaignLimits(req.body);
+
       // Create campaign record
       await query(
         `INSERT INTO beta_campaign (
         campaign_id, uid, title, template_name, template_language,
-        phonebook_id, phonebook_name, status, total_contacts,
-        body_variables, header_variable, button_variables, schedule, timezone
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?)`,
+        phonebook_id, phonebook_name, segment_id, status, total_contacts,
+        body_variables, header_variable, button_variables, schedule, timezone,
+        rate_per_minute, rate_per_hour, daily_cap, send_window,
+        variants, test_percent, winner_wait_minutes, winner_metric,
+        recurrence, next_run_at, track_links
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           campaignId,
           req.decode.uid,
           campaign_title,
-          template_name,
-          template_language,
-          phonebook_id,
-          phonebooks[0].name,
-          contactsCount[0].count,
+          templateName,
+          templateLanguage,
+          segment_id ? null : phonebook_id,
+          audienceName,
+          segment_id || null,
+          recurrence ? RECURRING : "PENDING",
+          contactsCount,
           JSON.stringify(body_variables || []),
           JSON.stringify(header_variable || null),
           JSON.stringify(button_variables || []),
           schedule || null,
           timezone || null,
+          limits.rate_per_minute,
+          limits.rate_per_hour,
+          limits.daily_cap,
+          limits.send_window,
+          campaignVariants.length > 0 ? JSON.stringify(campaignVariants) : null,
+          campaignVariants.length > 0 && parseInt(test_percent) > 0
+            ? parseInt(test_percent)
+            : null,
+          parseInt(winner_wait_minutes) > 0
+            ? parseInt(winner_wait_minutes)
+            : null,
+          campaignVariants.length > 0 ? winner_metric || "read" : null,
+          recurrence ? JSON.stringify(recurrence) : null,
+          nextRunAt,
+          track_links ? 1 : 0,
         ]
       );
 
@@ -392,6 +542,8 @@ router.get("/campaigns", validateUser, async (req, res) => {
         COALESCE(c.delivered_count, 0) as delivered_count,
         COALESCE(c.read_count, 0) as read_count,
         COALESCE(c.failed_count, 0) as failed_count,
+        COALESCE(c.click_count, 0) as click_count,
+        COALESCE(c.conversion_count, 0) as conversion_count,
         p.name as phonebook_name
       FROM beta_campaign c
       LEFT JOIN phonebook p ON c.phonebook_id = p.id
@@ -458,10 +610,35 @@ router.get("/campaign/:campaignId", validateUser, async (req, res) => {
       [campaignId]
     );
 
+    // results per a/b variant, null for a single template campaign
+    const variants = await getVariantReport(campaign[0]);
+
+    // every run of a recurring campaign has its own logs and counts
+    const runs = campaign[0].recurrence
+      ? await query(
+          `SELECT campaign_id, run_number, status, total_contacts, sent_count, delivered_count, read_count, failed_count, click_count, conversion_count, contacts_after_id, createdAt
+          FROM beta_campaign WHERE parent_campaign_id = ? AND uid = ?
+          ORDER BY run_number DESC`,
+          [campaignId, uid]
+        )
+      : null;
+
+    // sending rate and eta, the same as the campaign_progress socket event
+    const progress = await getCampaignProgress(campaignId);
+
+    // clicks per destination of the tracked links and the orders they brought
+    const links = campaign[0].track_links
+      ? await getLinkStats(uid, campaignId)
+      : null;
+
     res.json({
       success: true,
       campaign: campaign[0],
       stats,
+      progress,
+      links,
+      variants,
+      runs,
       logs,
     });
   } catch (error) {
@@ -489,7 +666,10 @@ router.get("/dashboard", validateUser, async (req, res) => {
         SUM(sent_count) as sent,
         SUM(delivered_count) as delivered,
         SUM(read_count) as \`read\`,
-        SUM(failed_count) as failed
+        SUM(failed_count) as failed,
+        SUM(click_count) as clicked,
+        SUM(conversion_count) as conversions,
+        SUM(conversion_value) as conversion_value
       FROM beta_campaign
       WHERE uid = ?`,
       [uid]
@@ -511,9 +691,10 @@ router.get("/dashboard", validateUser, async (req, res) => {
         COUNT(*) as total_messages,
         SUM(CASE WHEN status = 'SENT' THEN 1 ELSE 0 END) as sent,
         SUM(CASE WHEN delivery_status = 'delivered' THEN 1 ELSE 0 END) as delivered,
-        SUM(CASE WHEN delivery_status = 'read' THEN 1 ELSE 0 END) as \`read\`
+        SUM(CASE WHEN delivery_status = 'read' THEN 1 ELSE 0 END) as \`read\`,
+        SUM(CASE WHEN clicked_at IS NOT NULL THEN 1 ELSE 0 END) as clicked
       FROM beta_campaign_logs
-      WHERE uid = ? AND createdAt > DATE_SUB(NOW(), INTERVAL 30 DAY)
+      WHERE uid = ? AND source = 'CAMPAIGN' AND createdAt > DATE_SUB(NOW(), INTERVAL 30 DAY)
       GROUP BY DATE(createdAt)
       ORDER BY date`,
       [uid]
@@ -621,6 +802,138 @@ router.get("/export/:campaignId", validateUser, async (req, res) => {
   }
 });
 
+// change the rate limits and sending window, a running campaign uses them
+// from its next batch
+router.post("/update_campaign_limits", validateUser, async (req, res) => {
+  try {
+    const { campaign_id, send_window } = req.body;
+
+    const windowError = validateSendWindow(send_window);
+    if (windowError) {
+      return res.json({ success: false, msg: windowError });
+    }
+
+    const limits = parseCampaignLimits(req.body);
+
+    await query(
+      `UPDATE beta_campaign SET rate_per_minute = ?, rate_per_hour = ?, daily_cap = ?, send_window = ? WHERE campaign_id = ? AND uid = ?`,
+      [
+        limits.rate_per_minute,
+        limits.rate_per_hour,
+        limits.daily_cap,
+        limits.send_window,
+        campaign_id,
+        req.decode.uid,
+      ]
+    );
+
+    res.json({ success: true, msg: "Campaign limits were updated" });
+  } catch (err) {
+    console.log(err);
+    res.json({ success: false, msg: "Something went wrong", err });
+  }
+});
+
+// changes the schedule of a recurring campaign, no recurrence stops it
+router.post("/update_campaign_recurrence", validateUser, async (req, res) => {
+  try {
+    const { campaign_id, recurrence } = req.body;
+
+    const [campaign] = await query(
+      `SELECT * FROM beta_campaign WHERE campaign_id = ? AND uid = ? AND recurrence IS NOT NULL`,
+      [campaign_id, req.decode.uid]
+    );
+    if (!campaign) {
+      return res.json({
+        success: false,
+        msg: "Recurring campaign not found",
+      });
+    }
+
+    if (!recurrence) {
+      await query(
+        `UPDATE beta_campaign SET status = 'STOPPED', next_run_at = NULL WHERE campaign_id = ?`,
+        [campaign_id]
+      );
+      return res.json({ success: true, msg: "Recurring campaign was stopped" });
+    }
+
+    const recurrenceError = validateRecurrence(recurrence);
+    if (recurrenceError) {
+      return res.json({ success: false, msg: recurrenceError });
+    }
+
+    const nextRunAt = await getFirstRunAt({
+      uid: req.decode.uid,
+      recurrence,
+      timezone: campaign.timezone,
+    });
+    if (!nextRunAt) {
+      return res.json({ success: false, msg: "This schedule never runs" });
+    }
+
+    await query(
+      `UPDATE beta_campaign SET recurrence = ?, next_run_at = ?, status = ? WHERE campaign_id = ?`,
+      [JSON.stringify(recurrence), nextRunAt, RECURRING, campaign_id]
+    );
+
+    res.json({ success: true, msg: "Recurrence was updated", nextRunAt });
+  } catch (err) {
+    console.log(err);
+    res.json({ success: false, msg: "Something went wrong", err });
+  }
+});
+
+// pause, resume or cancel a campaign while it is sending
+router.post("/change_campaign_status", validateUser, async (req, res) => {
+  try {
+    const { campaign_id, action } = req.body;
+
+    const change = CAMPAIGN_ACTIONS[action];
+    if (!change) {
+      return res.json({
+        success: false,
+        msg: `Action should be one of ${Object.keys(CAMPAIGN_ACTIONS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const [campaign] = await query(
+      `SELECT * FROM beta_campaign WHERE campaign_id = ? AND uid = ?`,
+      [campaign_id, req.decode.uid]
+    );
+    if (!campaign) {
+      return res.json({ success: false, msg: "Campaign not found" });
+    }
+
+    if (!change.from.includes(campaign.status)) {
+      return res.json({
+        success: false,
+        msg: `A ${campaign.status} campaign can not be changed with ${action}`,
+      });
+    }
+
+    // the loop reads the status between messages, a batch that is sending
+    // stops after the message it is on
+    await query(
+      `UPDATE beta_campaign SET status = ? WHERE campaign_id = ? AND status IN (?)`,
+      [change.to, campaign_id, change.from]
+    );
+
+    if (change.to === "CANCELLED") {
+      await cancelPendingLogs(campaign_id);
+    }
+
+    await emitCampaignProgress(campaign);
+
+    res.json({ success: true, msg: `Campaign is ${change.to}` });
+  } catch (err) {
+    console.log(err);
+    res.json({ success: false, msg: "Something went wrong", err });
+  }
+});
+
 router.post("/del_campaign", validateUser, async (req, res) => {
   try {
     const { id } = req.body;
@@ -640,4 +953,219 @@ router.post("/del_campaign", validateUser, async (req, res) => {
   }
 });
 
+// drip sequences
+router.post("/add_sequence", validateUser, checkPlan, async (req, res) => {
+  try {
+    const {
+      title,
+      triggers = [],
+      exit_on_reply = true,
+      allow_reenroll,
+    } = req.body;
+    const steps = normalizeSteps(req.body.steps);
+
+    const error = validateSequence({ title, triggers, steps });
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    const sequenceId = randomstring.generate();
+
+    await query(
+      `INSERT INTO sequences (uid, sequence_id, title, triggers, steps, exit_on_reply, allow_reenroll) VALUES (?,?,?,?,?,?,?)`,
+      [
+        req.decode.uid,
+        sequenceId,
+        title,
+        JSON.stringify(triggers),
+        JSON.stringify(steps),
+        exit_on_reply ? 1 : 0,
+        allow_reenroll ? 1 : 0,
+      ]
+    );
+
+    res.json({ success: true, msg: "Sequence was added", sequenceId });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+router.get("/get_sequences", validateUser, async (req, res) => {
+  try {
+    const data = await query(
+      `SELECT s.*,
+        SUM(e.status = 'ACTIVE') AS active_count,
+        SUM(e.status = 'COMPLETED') AS completed_count,
+        SUM(e.status = 'EXITED') AS exited_count
+      FROM sequences s
+      LEFT JOIN sequence_enrollments e ON e.sequence_id = s.sequence_id
+      WHERE s.uid = ?
+      GROUP BY s.id
+      ORDER BY s.id DESC`,
+      [req.decode.uid]
+    );
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// steps are matched by position, an enrollment carries on with the step at
+// its index in the edited list
+router.post("/update_sequence", validateUser, async (req, res) => {
+  try {
+    const {
+      sequence_id,
+      title,
+      triggers = [],
+      status = "ACTIVE",
+      exit_on_reply = true,
+      allow_reenroll,
+    } = req.body;
+    const steps = normalizeSteps(req.body.steps);
+
+    const error = validateSequence({ title, triggers, steps });
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    if (!["ACTIVE", "PAUSED"].includes(status)) {
+      return res.json({
+        success: false,
+        msg: "Status should be ACTIVE or PAUSED",
+      });
+    }
+
+    await query(
+      `UPDATE sequences SET title = ?, triggers = ?, steps = ?, status = ?, exit_on_reply = ?, allow_reenroll = ? WHERE uid = ? AND sequence_id = ?`,
+      [
+        title,
+        JSON.stringify(triggers),
+        JSON.stringify(steps),
+        status,
+        exit_on_reply ? 1 : 0,
+        allow_reenroll ? 1 : 0,
+        req.decode.uid,
+        sequence_id,
+      ]
+    );
+
+    res.json({ success: true, msg: "Sequence was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+router.post("/del_sequence", validateUser, async (req, res) => {
+  try {
+    const { sequence_id } = req.body;
+
+    await query(`DELETE FROM sequences WHERE uid = ? AND sequence_id = ?`, [
+      req.decode.uid,
+      sequence_id,
+    ]);
+    await query(
+      `DELETE FROM sequence_enrollments WHERE uid = ? AND sequence_id = ?`,
+      [req.decode.uid, sequence_id]
+    );
+
+    res.json({ success: true, msg: "Sequence was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// enrolls a list of numbers or a whole phonebook by hand
+router.post("/enroll_sequence", validateUser, checkPlan, async (req, res) => {
+  try {
+    const { sequence_id, mobiles, phonebook_id } = req.body;
+
+    const sequence = await getSequence(req.decode.uid, sequence_id);
+    if (!sequence) {
+      return res.json({ success: false, msg: "Sequence not found" });
+    }
+
+    if (sequence.status !== "ACTIVE") {
+      return res.json({ success: false, msg: "This sequence is paused" });
+    }
+
+    const contacts = phonebook_id
+      ? await query(
+          `SELECT name, mobile FROM contact WHERE uid = ? AND phonebook_id = ?`,
+          [req.decode.uid, phonebook_id]
+        )
+      : (Array.isArray(mobiles) ? mobiles : [])
+          .filter(Boolean)
+          .map((mobile) => ({ mobile }));
+
+    if (contacts.length < 1) {
+      return res.json({ success: false, msg: "No contacts to enroll" });
+    }
+
+    const count = await enrollContacts({
+      sequence,
+      contacts,
+      source: "MANUAL",
+    });
+
+    res.json({
+      success: true,
+      msg: `${count} contact(s) were enrolled`,
+      count,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+router.get("/get_sequence_enrollments", validateUser, async (req, res) => {
+  try {
+    const { sequence_id, status } = req.query;
+
+    if (status && !Object.values(ENROLLMENT_STATUS).includes(status)) {
+      return res.json({ success: false, msg: "Invalid status" });
+    }
+
+    const data = await query(
+      `SELECT * FROM sequence_enrollments WHERE uid = ? AND sequence_id = ?${
+        status ? " AND status = ?" : ""
+      } ORDER BY id DESC LIMIT 500`,
+      [req.decode.uid, sequence_id, ...(status ? [status] : [])]
+    );
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+router.post("/exit_sequence", validateUser, async (req, res) => {
+  try {
+    const { sequence_id, mobile } = req.body;
+
+    if (!sequence_id || !mobile) {
+      return res.json({ success: false, msg: "Please enter all details" });
+    }
+
+    await exitEnrollments({
+      uid: req.decode.uid,
+      mobile,
+      reason: EXIT_REASONS.MANUAL,
+      sequenceId: sequence_id,
+    });
+
+    res.json({ success: true, msg: "Contact was removed from the sequence" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
 module.exports = router;
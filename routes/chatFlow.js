@@ -14,6 +14,43 @@ const {
 const { sign } = require("jsonwebtoken");
 const validateUser = require("../middlewares/user.js");
 const { checkPlan } = require("../middlewares/plan.js");
+const { simulateFlow } = require("../automation/simulator.js");
+const {
+  validateFlow,
+  getSubFlowTargets,
+} = require("../automation/validator.js");
+const { TIMEOUT_ACTIONS } = require("../loops/flowSessionLoop.js");
+const { validateTriggers } = require("../automation/triggers.js");
+const { getContactFields } = require("../helper/contact/fields.js");
+
+// variables a flow can use without setting them, filled from the contact
+async function getContactVariableNames(uid) {
+  const fields = await getContactFields(uid);
+  return [
+    "name",
+    "mobile",
+    "var1",
+    "var2",
+    "var3",
+    "var4",
+    "var5",
+    ...fields.map((f) => f.name),
+  ];
+}
+
+// the flows every flow of the user jumps into, for the sub-flow cycle check
+async function getSubFlowLinks(uid) {
+  const flows = await query(
+    `SELECT flow_id, data FROM beta_flows WHERE uid = ?`,
+    [uid]
+  );
+  return Object.fromEntries(
+    flows.map((f) => [
+      f.flow_id,
+      getSubFlowTargets(JSON.parse(f.data || "{}")?.nodes),
+    ])
+  );
+}
 
 router.post("/add_new", validateUser, checkPlan, async (req, res) => {
   try {
@@ -117,10 +154,92 @@ const validateLastNode = (nodes, edges) => {
   return { isValid: true };
 };
 
+// keys react flow keeps on a node/edge that do not change how the flow runs
+const layoutKeys = [
+  "position",
+  "positionAbsolute",
+  "selected",
+  "dragging",
+  "width",
+  "height",
+];
+
+const diffFlowVersions = (oldData, newData) => {
+  const stripLayout = (item) => {
+    const copy = { ...item };
+    layoutKeys.forEach((key) => delete copy[key]);
+    return JSON.stringify(copy);
+  };
+
+  const diffById = (oldArr = [], newArr = []) => {
+    const oldMap = new Map(oldArr.map((x) => [x.id, x]));
+    const newIds = new Set(newArr.map((x) => x.id));
+
+    return {
+      added: newArr.filter((x) => !oldMap.has(x.id)),
+      removed: oldArr.filter((x) => !newIds.has(x.id)),
+      changed: newArr
+        .filter(
+          (x) =>
+            oldMap.has(x.id) && stripLayout(oldMap.get(x.id)) !== stripLayout(x)
+        )
+        .map((x) => ({ id: x.id, before: oldMap.get(x.id), after: x })),
+    };
+  };
+
+  return {
+    nodes: diffById(oldData?.nodes, newData?.nodes),
+    edges: diffById(oldData?.edges, newData?.edges),
+  };
+};
+
+async function getFlowVersion({ uid, flowId, version }) {
+  const [flowVersion] = await query(
+    `SELECT * FROM beta_flow_versions WHERE uid = ? AND flow_id = ? AND version = ?`,
+    [uid, flowId, version]
+  );
+  return flowVersion || null;
+}
+
+async function addFlowVersion({ uid, flowId, name, source, data, note }) {
+  const [last] = await query(
+    `SELECT MAX(version) AS version FROM beta_flow_versions WHERE uid = ? AND flow_id = ?`,
+    [uid, flowId]
+  );
+  const version = (last?.version || 0) + 1;
+
+  await query(
+    `INSERT INTO beta_flow_versions (uid, flow_id, version, name, source, data, note) VALUES (?,?,?,?,?,?,?)`,
+    [uid, flowId, version, name, source, JSON.stringify(data), note || null]
+  );
+
+  return version;
+}
+
+// publishing copies the version into beta_flows so new sessions pick it up,
+// sessions already running stay on the version they were started with
+async function publishFlowVersion({ uid, flowId, version }) {
+  const flowVersion = await getFlowVersion({ uid, flowId, version });
+  if (!flowVersion) return false;
+
+  await query(
+    `UPDATE beta_flows SET name = ?, data = ?, source = ?, published_version = ? WHERE uid = ? AND flow_id = ?`,
+    [
+      flowVersion.name,
+      flowVersion.data,
+      flowVersion.source,
+      flowVersion.version,
+      uid,
+      flowId,
+    ]
+  );
+  return true;
+}
+
 // add new beta
 router.post("/insert_flow_beta", validateUser, checkPlan, async (req, res) => {
   try {
-    const { name, flow_id, data, source } = req.body;
+    const { name, flow_id, data, source, draft, note } = req.body;
     if (!name && !flow_id) {
       return res.json({ msg: "Please type a flow name" });
     }
@@ -142,26 +261,434 @@ router.post("/insert_flow_beta", validateUser, checkPlan, async (req, res) => {
       return res.json({ msg: "Blank flow can ot be saved" });
     }
 
+    const { errors, warnings } = validateFlow({
+      nodes: nodesVar,
+      edges: data?.edges || [],
+      knownVariables: await getContactVariableNames(req.decode.uid),
+      flowId: flow_id,
+      subFlowLinks: await getSubFlowLinks(req.decode.uid),
+    });
+    if (errors.length > 0) {
+      return res.json({ msg: errors[0].message, errors, warnings });
+    }
+
     // checking with the same id
     const [cehckId] = await query(
       `SELECT * FROM beta_flows WHERE flow_id = ?`,
       [flow_id]
     );
+
+    if (cehckId && cehckId.uid !== req.decode.uid) {
+      return res.json({ msg: "This flow id is already taken" });
+    }
+
+    // every save is kept as an immutable version
+    const version = await addFlowVersion({
+      uid: req.decode.uid,
+      flowId: flow_id,
+      name,
+      source,
+      data,
+      note,
+    });
+
     if (cehckId) {
-      await query(
-        `UPDATE beta_flows SET name = ?, data = ?, source = ? WHERE flow_id = ?`,
-        [name, JSON.stringify(data), source, flow_id]
-      );
+      if (draft) {
+        return res.json({
+          msg: `Draft version ${version} was saved`,
+          success: true,
+          version,
+          warnings,
+        });
+      }
 
-      res.json({ msg: "Flows was updated", success: true });
+      await publishFlowVersion({
+        uid: req.decode.uid,
+        flowId: flow_id,
+        version,
+      });
+
+      res.json({ msg: "Flows was updated", success: true, version, warnings });
     } else {
+      // a brand new flow has no running sessions so the first version goes live
       await query(
-        `INSERT INTO beta_flows (uid, flow_id, source, name, data) VALUES (?,?,?,?,?)`,
-        [req.decode.uid, flow_id, source, name, JSON.stringify(data)]
+        `INSERT INTO beta_flows (uid, flow_id, source, name, data, published_version) VALUES (?,?,?,?,?,?)`,
+        [req.decode.uid, flow_id, source, name, JSON.stringify(data), version]
       );
 
-      res.json({ msg: "Flows was saved", success: true });
+      res.json({ msg: "Flows was saved", success: true, version, warnings });
+    }
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// trigger rules and priority of a flow
+router.post("/update_flow_triggers", validateUser, async (req, res) => {
+  try {
+    const { flow_id, triggers, priority } = req.body;
+
+    const [flow] = await query(
+      `SELECT * FROM beta_flows WHERE uid = ? AND flow_id = ?`,
+      [req.decode.uid, flow_id]
+    );
+
+    if (!flow) {
+      return res.json({ msg: "Flow not found" });
+    }
+
+    const invalid = validateTriggers(triggers || []);
+    if (invalid) {
+      return res.json({ msg: invalid });
+    }
+
+    await query(
+      `UPDATE beta_flows SET triggers = ?, priority = ? WHERE uid = ? AND flow_id = ?`,
+      [
+        JSON.stringify(triggers || []),
+        parseInt(priority) || 0,
+        req.decode.uid,
+        flow_id,
+      ]
+    );
+
+    res.json({ msg: "Flow triggers were updated", success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// inactivity timeout of a flow's sessions
+router.post("/update_flow_timeout", validateUser, async (req, res) => {
+  try {
+    const {
+      flow_id,
+      timeout_minutes,
+      timeout_action,
+      timeout_node,
+      reminder_minutes,
+      reminder_message,
+    } = req.body;
+
+    const [flow] = await query(
+      `SELECT * FROM beta_flows WHERE uid = ? AND flow_id = ?`,
+      [req.decode.uid, flow_id]
+    );
+
+    if (!flow) {
+      return res.json({ msg: "Flow not found" });
+    }
+
+    const timeout = parseInt(timeout_minutes) || 0;
+    const reminder = parseInt(reminder_minutes) || 0;
+    const action = timeout_action || "RESTART";
+
+    if (!TIMEOUT_ACTIONS.includes(action)) {
+      return res.json({ msg: "Unknown timeout action found" });
+    }
+
+    if (action === "NODE") {
+      const nodes = JSON.parse(flow.data || "{}")?.nodes || [];
+      if (!nodes.find((n) => n.id === timeout_node)) {
+        return res.json({ msg: "Please select a valid timeout node" });
+      }
     }
+
+    if (reminder > 0 && (reminder >= timeout || !reminder_message)) {
+      return res.json({
+        msg: "Reminder needs a message and must be sent before the timeout",
+      });
+    }
+
+    await query(
+      `UPDATE beta_flows SET timeout_minutes = ?, timeout_action = ?, timeout_node = ?, reminder_minutes = ?, reminder_message = ? WHERE uid = ? AND flow_id = ?`,
+      [
+        timeout > 0 ? timeout : null,
+        action,
+        action === "NODE" ? timeout_node : null,
+        reminder > 0 ? reminder : null,
+        reminder > 0 ? reminder_message : null,
+        req.decode.uid,
+        flow_id,
+      ]
+    );
+
+    res.json({ msg: "Flow timeout was updated", success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// execution trace of a flow session
+router.post("/get_session_trace", validateUser, async (req, res) => {
+  try {
+    const { flow_id, sender_mobile, session_id, limit } = req.body;
+
+    if (!session_id && (!flow_id || !sender_mobile)) {
+      return res.json({
+        msg: "Please provide the session id or the flow id with a mobile",
+      });
+    }
+
+    const rows = session_id
+      ? await query(
+          `SELECT * FROM flow_session_trace WHERE uid = ? AND session_id = ? ORDER BY id DESC LIMIT ?`,
+          [req.decode.uid, session_id, parseInt(limit) || 100]
+        )
+      : await query(
+          `SELECT * FROM flow_session_trace WHERE uid = ? AND flow_id = ? AND sender_mobile = ? ORDER BY id DESC LIMIT ?`,
+          [req.decode.uid, flow_id, sender_mobile, parseInt(limit) || 100]
+        );
+
+    const data = rows.reverse().map((x) => ({
+      ...x,
+      variables: JSON.parse(x.variables || "{}"),
+      outbound: JSON.parse(x.outbound || "[]"),
+    }));
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// lint a flow without saving it
+router.post("/validate_flow", validateUser, async (req, res) => {
+  try {
+    const { nodes, edges, flow_id } = req.body;
+
+    const data = validateFlow({
+      nodes: nodes || [],
+      edges: edges || [],
+      knownVariables: await getContactVariableNames(req.decode.uid),
+      flowId: flow_id,
+      subFlowLinks: await getSubFlowLinks(req.decode.uid),
+    });
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// get flow versions
+router.post("/get_flow_versions", validateUser, async (req, res) => {
+  try {
+    const { flow_id } = req.body;
+
+    const [flow] = await query(
+      `SELECT * FROM beta_flows WHERE uid = ? AND flow_id = ?`,
+      [req.decode.uid, flow_id]
+    );
+
+    if (!flow) {
+      return res.json({ msg: "Flow not found" });
+    }
+
+    const data = await query(
+      `SELECT id, flow_id, version, name, source, note, createdAt FROM beta_flow_versions WHERE uid = ? AND flow_id = ? ORDER BY version DESC`,
+      [req.decode.uid, flow_id]
+    );
+
+    res.json({
+      data,
+      published_version: flow.published_version,
+      success: true,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// get one flow version
+router.post("/get_flow_version", validateUser, async (req, res) => {
+  try {
+    const { flow_id, version } = req.body;
+
+    const flowVersion = await getFlowVersion({
+      uid: req.decode.uid,
+      flowId: flow_id,
+      version,
+    });
+
+    if (!flowVersion) {
+      return res.json({ msg: "Flow version not found" });
+    }
+
+    res.json({
+      data: { ...flowVersion, data: JSON.parse(flowVersion.data) },
+      success: true,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// publish a flow version
+router.post(
+  "/publish_flow_version",
+  validateUser,
+  checkPlan,
+  async (req, res) => {
+    try {
+      const { flow_id, version } = req.body;
+
+      const publish = await publishFlowVersion({
+        uid: req.decode.uid,
+        flowId: flow_id,
+        version,
+      });
+
+      if (!publish) {
+        return res.json({ msg: "Flow version not found" });
+      }
+
+      res.json({ msg: `Version ${version} was published`, success: true });
+    } catch (err) {
+      res.json({ success: false, msg: "something went wrong" });
+      console.log(err);
+    }
+  }
+);
+
+// rollback flow to an older version
+router.post(
+  "/rollback_flow_version",
+  validateUser,
+  checkPlan,
+  async (req, res) => {
+    try {
+      const { flow_id, version } = req.body;
+
+      const flowVersion = await getFlowVersion({
+        uid: req.decode.uid,
+        flowId: flow_id,
+        version,
+      });
+
+      if (!flowVersion) {
+        return res.json({ msg: "Flow version not found" });
+      }
+
+      // rollback is saved as a new version so the history stays untouched
+      const newVersion = await addFlowVersion({
+        uid: req.decode.uid,
+        flowId: flow_id,
+        name: flowVersion.name,
+        source: flowVersion.source,
+        data: JSON.parse(flowVersion.data),
+        note: `Rollback to version ${version}`,
+      });
+
+      await publishFlowVersion({
+        uid: req.decode.uid,
+        flowId: flow_id,
+        version: newVersion,
+      });
+
+      res.json({
+        msg: `Flow was rolled back to version ${version}`,
+        success: true,
+        version: newVersion,
+      });
+    } catch (err) {
+      res.json({ success: false, msg: "something went wrong" });
+      console.log(err);
+    }
+  }
+);
+
+// diff nodes and edges between two flow versions
+router.post("/get_flow_version_diff", validateUser, async (req, res) => {
+  try {
+    const { flow_id, from, to } = req.body;
+
+    const fromVersion = await getFlowVersion({
+      uid: req.decode.uid,
+      flowId: flow_id,
+      version: from,
+    });
+    const toVersion = await getFlowVersion({
+      uid: req.decode.uid,
+      flowId: flow_id,
+      version: to,
+    });
+
+    if (!fromVersion || !toVersion) {
+      return res.json({ msg: "Flow version not found" });
+    }
+
+    const data = diffFlowVersions(
+      JSON.parse(fromVersion.data),
+      JSON.parse(toVersion.data)
+    );
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// dry run a flow without sending anything
+router.post("/simulate", validateUser, checkPlan, async (req, res) => {
+  try {
+    const { flow_id, version, nodes, edges, messages, mocks, senderName } =
+      req.body;
+
+    if (!Array.isArray(messages) || messages.length < 1) {
+      return res.json({ msg: "Please add at least one message to simulate" });
+    }
+
+    let flowData = { nodes, edges };
+
+    if (flow_id && version) {
+      const flowVersion = await getFlowVersion({
+        uid: req.decode.uid,
+        flowId: flow_id,
+        version,
+      });
+      if (!flowVersion) {
+        return res.json({ msg: "Flow version not found" });
+      }
+      flowData = JSON.parse(flowVersion.data);
+    } else if (flow_id) {
+      const [flow] = await query(
+        `SELECT * FROM beta_flows WHERE uid = ? AND flow_id = ?`,
+        [req.decode.uid, flow_id]
+      );
+      if (!flow) {
+        return res.json({ msg: "Flow not found" });
+      }
+      flowData = JSON.parse(flow.data);
+    }
+
+    if (!flowData?.nodes?.length || !flowData?.edges?.length) {
+      return res.json({ msg: "Nodes and Edges are required" });
+    }
+
+    const [user] = await query(`SELECT * FROM user WHERE uid = ?`, [
+      req.decode.uid,
+    ]);
+
+    const data = await simulateFlow({
+      nodes: flowData.nodes,
+      edges: flowData.edges,
+      flowId: flow_id || "simulation",
+      user,
+      messages,
+      mocks,
+      senderName,
+    });
+
+    res.json({ data, success: true });
   } catch (err) {
     res.json({ success: false, msg: "something went wrong" });
     console.log(err);
@@ -195,10 +722,24 @@ router.get("/get_flows_beta", validateUser, checkPlan, async (req, res) => {
 router.post("/del_flow_beta", validateUser, async (req, res) => {
   try {
     const { id } = req.body;
+    const [flow] = await query(
+      `SELECT * FROM beta_flows WHERE id = ? AND uid = ?`,
+      [id, req.decode.uid]
+    );
     await query(`DELETE FROM beta_flows WHERE id = ? AND uid = ?`, [
       id,
       req.decode.uid,
     ]);
+    if (flow) {
+      await query(
+        `DELETE FROM beta_flow_versions WHERE flow_id = ? AND uid = ?`,
+        [flow.flow_id, req.decode.uid]
+      );
+      await query(
+        `DELETE FROM flow_session_trace WHERE flow_id = ? AND uid = ?`,
+        [flow.flow_id, req.decode.uid]
+      );
+    }
     res.json({ msg: "Flow was deleted", success: true });
   } catch (err) {
     res.json({ success: false, msg: "something went wrong" });
@@ -256,18 +256,6 @@ router.post("/add_beta_chatbot", validateUser, checkPlan, async (req, res) => {
       });
     }
 
-    const { nodes, edges } = flowNodesEdges;
-
-    if (origin?.code !== "META") {
-      const checkBtn = hasPropertyWithValue(nodes, "type", "BUTTON");
-      const checkList = hasPropertyWithValue(nodes, "type", "LIST");
-      if (checkBtn || checkList) {
-        return res.json({
-          msg: "Please select another flow which does not contain interactive buttons",
-        });
-      }
-    }
-
     const origins = ["QR", "META"];
     if (!origins.includes(origin.code)) {
       return res.json({ msg: "Please select the origin" });
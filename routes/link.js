@@ -0,0 +1,40 @@
+const router = require("express").Router();
+const validateUser = require("../middlewares/user.js");
+const {
+  recordClick,
+  getRedirectUrl,
+  getLinkStats,
+} = require("../helper/tracking/index.js");
+
+// clicks and conversions of the tracked links of a campaign or flow
+router.get("/stats/:sourceId", validateUser, async (req, res) => {
+  try {
+    const stats = await getLinkStats(req.decode.uid, req.params.sourceId);
+    res.json({ success: true, data: stats });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// tracked short link, sent in place of a url in campaigns and flows
+router.get("/:code", async (req, res) => {
+  try {
+    const link = await recordClick({
+      code: req.params.code,
+      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    if (!link) {
+      return res.status(404).send("Link not found");
+    }
+
+    res.redirect(302, getRedirectUrl(link));
+  } catch (err) {
+    console.log(err);
+    res.status(500).send("Something went wrong");
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,33 @@ const validateUser = require("../middlewares/user.js");
 const csv = require("csv-parser");
 const fs = require("fs");
 const { checkPlan, checkContactLimit } = require("../middlewares/plan.js");
+const {
+  FIELD_TYPES,
+  RESERVED_FIELDS,
+  getContactFields,
+  mapCustomFields,
+  parseCustomFields,
+  buildFieldFilter,
+} = require("../helper/contact/fields.js");
+const {
+  IMPORT_STATUS,
+  DUPLICATE_POLICIES,
+  parseContactFile,
+  suggestMapping,
+  validateMapping,
+  buildImportReport,
+} = require("../helper/contact/import.js");
+const {
+  validateSegmentRules,
+  buildSegmentQuery,
+  countSegmentContacts,
+} = require("../helper/contact/segments.js");
+const {
+  getOptKeywords,
+  suppressNumber,
+  unsuppressNumber,
+} = require("../helper/contact/suppression.js");
+const { enrollByTrigger } = require("../helper/sequence/index.js");
 
 // add phonebook name
 router.post(
@@ -157,27 +184,50 @@ router.post(
         });
       }
 
+      // custom fields are matched on the csv header
+      const fields = await getContactFields(req.decode.uid);
+      let skipped = 0;
+
       // Flatten the array of objects into an array of values
-      const values = csvData.map((item) => [
-        req.decode.uid, // assuming uid is available in each item
-        id,
-        phonebook_name,
-        item.name,
-        item.mobile,
-        item.var1,
-        item.var2,
-        item.var3,
-        item.var4,
-        item.var5,
-      ]);
+      const values = csvData.map((item) => {
+        const { values: customFields, invalid } = mapCustomFields(fields, item);
+        skipped += invalid.length;
+
+        return [
+          req.decode.uid, // assuming uid is available in each item
+          id,
+          phonebook_name,
+          item.name,
+          item.mobile,
+          item.var1,
+          item.var2,
+          item.var3,
+          item.var4,
+          item.var5,
+          JSON.stringify(customFields),
+        ];
+      });
 
       // Execute the query
       await query(
-        `INSERT INTO contact (uid, phonebook_id, phonebook_name, name, mobile, var1, var2, var3, var4, var5) VALUES ?`,
+        `INSERT INTO contact (uid, phonebook_id, phonebook_name, name, mobile, var1, var2, var3, var4, var5, custom_fields) VALUES ?`,
         [values]
       );
 
-      res.json({ success: true, msg: "Contacts were inserted" });
+      await enrollByTrigger({
+        uid: req.decode.uid,
+        type: "PHONEBOOK",
+        value: { id, name: phonebook_name },
+        contacts: csvData,
+      });
+
+      res.json({
+        success: true,
+        msg:
+          skipped > 0
+            ? `Contacts were inserted, ${skipped} invalid field value(s) were skipped`
+            : "Contacts were inserted",
+      });
     } catch (err) {
       res.json({ success: false, msg: "something went wrong" });
       console.log(err);
@@ -185,6 +235,187 @@ router.post(
   }
 );
 
+// parse an uploaded csv / xlsx and suggest how its columns map to contacts
+router.post("/import_preview", validateUser, checkPlan, async (req, res) => {
+  try {
+    if (!req.files || Object.keys(req.files).length === 0) {
+      return res.json({ success: false, msg: "No files were uploaded" });
+    }
+
+    const { id } = req.body;
+
+    const [phonebook] = await query(
+      `SELECT * FROM phonebook WHERE id = ? AND uid = ?`,
+      [id, req.decode.uid]
+    );
+
+    if (!phonebook) {
+      return res.json({ success: false, msg: "Phonebook not found" });
+    }
+
+    const parsed = await parseContactFile(req.files.file);
+    if (!parsed || parsed.rows.length < 1) {
+      return res.json({
+        success: false,
+        msg: "Invalid file provided, please upload a CSV or XLSX with a header row",
+      });
+    }
+
+    const fields = await getContactFields(req.decode.uid);
+    const importId = randomstring.generate();
+
+    await query(
+      `INSERT INTO contact_imports (uid, import_id, phonebook_id, phonebook_name, file_name, status, headers, data, total) VALUES (?,?,?,?,?,?,?,?,?)`,
+      [
+        req.decode.uid,
+        importId,
+        phonebook.id,
+        phonebook.name,
+        req.files.file.name,
+        IMPORT_STATUS.PREVIEW,
+        JSON.stringify(parsed.headers),
+        JSON.stringify(parsed.rows),
+        parsed.rows.length,
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        import_id: importId,
+        headers: parsed.headers,
+        sample: parsed.rows.slice(0, 10),
+        total: parsed.rows.length,
+        mapping: suggestMapping(parsed.headers, fields),
+        fields,
+      },
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// queue a previewed import, the contacts are written in the background
+router.post(
+  "/start_import",
+  validateUser,
+  checkPlan,
+  checkContactLimit,
+  async (req, res) => {
+    try {
+      const {
+        import_id,
+        mapping,
+        default_country_code,
+        duplicate_policy = "skip",
+      } = req.body;
+
+      const [job] = await query(
+        `SELECT id, headers, status FROM contact_imports WHERE import_id = ? AND uid = ?`,
+        [import_id, req.decode.uid]
+      );
+
+      if (!job) {
+        return res.json({ success: false, msg: "Import not found" });
+      }
+
+      if (job.status !== IMPORT_STATUS.PREVIEW) {
+        return res.json({
+          success: false,
+          msg: "This import was already started",
+        });
+      }
+
+      if (!DUPLICATE_POLICIES.includes(duplicate_policy)) {
+        return res.json({
+          success: false,
+          msg: `Duplicate policy should be one of ${DUPLICATE_POLICIES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const fields = await getContactFields(req.decode.uid);
+      const mappingError = validateMapping(
+        mapping,
+        JSON.parse(job.headers || "[]"),
+        fields
+      );
+
+      if (mappingError) {
+        return res.json({ success: false, msg: mappingError });
+      }
+
+      await query(
+        `UPDATE contact_imports SET status = ?, mapping = ?, options = ? WHERE id = ?`,
+        [
+          IMPORT_STATUS.QUEUED,
+          JSON.stringify(mapping),
+          JSON.stringify({
+            defaultCountryCode: default_country_code || null,
+            duplicatePolicy: duplicate_policy,
+          }),
+          job.id,
+        ]
+      );
+
+      res.json({
+        success: true,
+        msg: "Import was started, you can follow its progress here",
+      });
+    } catch (err) {
+      res.json({ success: false, msg: "something went wrong" });
+      console.log(err);
+    }
+  }
+);
+
+// imports with their progress
+router.get("/get_imports", validateUser, async (req, res) => {
+  try {
+    const data = await query(
+      `SELECT id, import_id, phonebook_id, phonebook_name, file_name, status, total, processed, inserted, updated, skipped, rejected, error, createdAt FROM contact_imports WHERE uid = ? ORDER BY id DESC`,
+      [req.decode.uid]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// download the rows that were not imported
+router.get("/get_import_report", validateUser, async (req, res) => {
+  try {
+    const { import_id } = req.query;
+
+    const [job] = await query(
+      `SELECT headers, report FROM contact_imports WHERE import_id = ? AND uid = ?`,
+      [import_id, req.decode.uid]
+    );
+
+    if (!job) {
+      return res.json({ success: false, msg: "Import not found" });
+    }
+
+    const csvData = buildImportReport(
+      JSON.parse(job.report || "[]"),
+      JSON.parse(job.headers || "[]")
+    );
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="import-report-${import_id}.csv"`
+    );
+    res.send(csvData);
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
 // add single contact
 router.post(
   "/add_single_contact",
@@ -193,15 +424,38 @@ router.post(
   checkContactLimit,
   async (req, res) => {
     try {
-      const { id, phonebook_name, mobile, name, var1, var2, var3, var4, var5 } =
-        req.body;
+      const {
+        id,
+        phonebook_name,
+        mobile,
+        name,
+        var1,
+        var2,
+        var3,
+        var4,
+        var5,
+        custom_fields,
+      } = req.body;
 
       if (!mobile) {
         return res.json({ success: false, msg: "Mobile number is required" });
       }
 
+      const fields = await getContactFields(req.decode.uid);
+      const { values: customFields, invalid } = mapCustomFields(
+        fields,
+        custom_fields
+      );
+
+      if (invalid.length > 0) {
+        return res.json({
+          success: false,
+          msg: `Invalid value for ${invalid.map((x) => x.field).join(", ")}`,
+        });
+      }
+
       await query(
-        `INSERT INTO contact (uid, phonebook_id, phonebook_name, name, mobile, var1, var2, var3, var4, var5) VALUES (?,?,?,?,?,?,?,?,?,?)`,
+        `INSERT INTO contact (uid, phonebook_id, phonebook_name, name, mobile, var1, var2, var3, var4, var5, custom_fields) VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
         [
           req.decode.uid,
           id,
@@ -213,9 +467,17 @@ router.post(
           var3,
           var4,
           var5,
+          JSON.stringify(customFields),
         ]
       );
 
+      await enrollByTrigger({
+        uid: req.decode.uid,
+        type: "PHONEBOOK",
+        value: { id, name: phonebook_name },
+        contacts: [{ mobile, name }],
+      });
+
       res.json({ success: true, msg: "Contact was inserted" });
     } catch (err) {
       res.json({ success: false, msg: "something went wrong" });
@@ -248,4 +510,435 @@ router.post("/del_contacts", validateUser, async (req, res) => {
   }
 });
 
+// add a custom contact field
+router.post("/add_contact_field", validateUser, async (req, res) => {
+  try {
+    const { name, label, type, options } = req.body;
+
+    if (!name || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) {
+      return res.json({
+        success: false,
+        msg: "Field name should start with a letter and contain only letters, numbers and _",
+      });
+    }
+
+    if (RESERVED_FIELDS.includes(name)) {
+      return res.json({
+        success: false,
+        msg: `${name} is a reserved field name`,
+      });
+    }
+
+    if (!FIELD_TYPES.includes(type)) {
+      return res.json({ success: false, msg: "Please select a field type" });
+    }
+
+    if (type === "select" && (!Array.isArray(options) || options.length < 1)) {
+      return res.json({
+        success: false,
+        msg: "Please add at least one option",
+      });
+    }
+
+    const [exist] = await query(
+      `SELECT id FROM contact_fields WHERE uid = ? AND name = ?`,
+      [req.decode.uid, name]
+    );
+
+    if (exist) {
+      return res.json({ success: false, msg: "Duplicate field name found" });
+    }
+
+    await query(
+      `INSERT INTO contact_fields (uid, name, label, type, options) VALUES (?,?,?,?,?)`,
+      [
+        req.decode.uid,
+        name,
+        label || name,
+        type,
+        type === "select" ? JSON.stringify(options) : null,
+      ]
+    );
+
+    res.json({ success: true, msg: "Field was added" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// get custom contact fields
+router.get("/get_contact_fields", validateUser, async (req, res) => {
+  try {
+    const data = await getContactFields(req.decode.uid);
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// del a custom contact field
+router.post("/del_contact_field", validateUser, async (req, res) => {
+  try {
+    const { id } = req.body;
+
+    const [field] = await query(
+      `SELECT * FROM contact_fields WHERE id = ? AND uid = ?`,
+      [id, req.decode.uid]
+    );
+
+    if (!field) {
+      return res.json({ success: false, msg: "Field not found" });
+    }
+
+    await query(`DELETE FROM contact_fields WHERE id = ? AND uid = ?`, [
+      id,
+      req.decode.uid,
+    ]);
+    await query(
+      `UPDATE contact SET custom_fields = JSON_REMOVE(custom_fields, ?) WHERE uid = ? AND JSON_VALID(custom_fields)`,
+      [`$.${field.name}`, req.decode.uid]
+    );
+
+    res.json({ success: true, msg: "Field was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// update custom field values of a contact
+router.post("/update_contact_fields", validateUser, async (req, res) => {
+  try {
+    const { id, custom_fields } = req.body;
+
+    const [contact] = await query(
+      `SELECT * FROM contact WHERE id = ? AND uid = ?`,
+      [id, req.decode.uid]
+    );
+
+    if (!contact) {
+      return res.json({ success: false, msg: "Contact not found" });
+    }
+
+    const fields = await getContactFields(req.decode.uid);
+    const { values, invalid, cleared } = mapCustomFields(fields, custom_fields);
+
+    if (invalid.length > 0) {
+      return res.json({
+        success: false,
+        msg: `Invalid value for ${invalid.map((x) => x.field).join(", ")}`,
+      });
+    }
+
+    // fields that were not sent keep their value, empty ones are removed
+    const merged = { ...parseCustomFields(contact), ...values };
+    cleared.forEach((name) => delete merged[name]);
+
+    await query(`UPDATE contact SET custom_fields = ? WHERE id = ?`, [
+      JSON.stringify(merged),
+      id,
+    ]);
+
+    res.json({ success: true, msg: "Contact was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// filter contacts by custom fields
+router.post("/filter_contacts", validateUser, async (req, res) => {
+  try {
+    const { phonebook_id, filters } = req.body;
+
+    const fields = await getContactFields(req.decode.uid);
+    const { sql, params } = buildFieldFilter(filters, fields);
+
+    const data = await query(
+      `SELECT * FROM contact WHERE uid = ?${
+        phonebook_id ? " AND phonebook_id = ?" : ""
+      }${sql ? ` AND ${sql}` : ""}`,
+      [req.decode.uid, ...(phonebook_id ? [phonebook_id] : []), ...params]
+    );
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// save a segment, a set of rules picking contacts across phonebooks
+router.post("/add_segment", validateUser, async (req, res) => {
+  try {
+    const { title, match_type = "all", rules } = req.body;
+
+    if (!title) {
+      return res.json({ success: false, msg: "Please enter a segment title" });
+    }
+
+    if (!["all", "any"].includes(match_type)) {
+      return res.json({
+        success: false,
+        msg: "Match type should be all or any",
+      });
+    }
+
+    const fields = await getContactFields(req.decode.uid);
+    const rulesError = validateSegmentRules(rules, fields);
+    if (rulesError) {
+      return res.json({ success: false, msg: rulesError });
+    }
+
+    const segmentId = randomstring.generate();
+
+    await query(
+      `INSERT INTO contact_segments (uid, segment_id, title, match_type, rules) VALUES (?,?,?,?,?)`,
+      [req.decode.uid, segmentId, title, match_type, JSON.stringify(rules)]
+    );
+
+    res.json({ success: true, msg: "Segment was added", segmentId });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// segments with the number of contacts they match right now
+router.get("/get_segments", validateUser, async (req, res) => {
+  try {
+    const segments = await query(
+      `SELECT * FROM contact_segments WHERE uid = ? ORDER BY id DESC`,
+      [req.decode.uid]
+    );
+
+    const data = await Promise.all(
+      segments.map(async (x) => ({
+        ...x,
+        rules: JSON.parse(x.rules || "[]"),
+        contactCount: await countSegmentContacts(x),
+      }))
+    );
+
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// edit a segment, campaigns using it pick up the new rules on their next batch
+router.post("/update_segment", validateUser, async (req, res) => {
+  try {
+    const { segment_id, title, match_type = "all", rules } = req.body;
+
+    if (!title || !["all", "any"].includes(match_type)) {
+      return res.json({
+        success: false,
+        msg: "Please fill the segment details",
+      });
+    }
+
+    const fields = await getContactFields(req.decode.uid);
+    const rulesError = validateSegmentRules(rules, fields);
+    if (rulesError) {
+      return res.json({ success: false, msg: rulesError });
+    }
+
+    await query(
+      `UPDATE contact_segments SET title = ?, match_type = ?, rules = ? WHERE segment_id = ? AND uid = ?`,
+      [title, match_type, JSON.stringify(rules), segment_id, req.decode.uid]
+    );
+
+    res.json({ success: true, msg: "Segment was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// del a segment
+router.post("/del_segment", validateUser, async (req, res) => {
+  try {
+    const { segment_id } = req.body;
+
+    await query(
+      `DELETE FROM contact_segments WHERE segment_id = ? AND uid = ?`,
+      [segment_id, req.decode.uid]
+    );
+
+    res.json({ success: true, msg: "Segment was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// contacts matching unsaved rules, used while building a segment
+router.post("/preview_segment", validateUser, async (req, res) => {
+  try {
+    const { match_type = "all", rules } = req.body;
+
+    const fields = await getContactFields(req.decode.uid);
+    const rulesError = validateSegmentRules(rules, fields);
+    if (rulesError) {
+      return res.json({ success: false, msg: rulesError });
+    }
+
+    const segment = {
+      uid: req.decode.uid,
+      match_type,
+      rules: JSON.stringify(rules),
+    };
+    const { sql, params } = buildSegmentQuery(segment, fields);
+
+    const data = await query(
+      `SELECT c.* FROM contact c WHERE ${sql} ORDER BY c.id DESC LIMIT ?`,
+      [...params, 20]
+    );
+
+    res.json({
+      data,
+      total: await countSegmentContacts(segment),
+      success: true,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// manually add numbers to the suppression list
+router.post("/add_suppression", validateUser, async (req, res) => {
+  try {
+    const { mobiles, note } = req.body;
+
+    const list = [].concat(mobiles || []).filter(Boolean);
+    if (list.length < 1) {
+      return res.json({ success: false, msg: "Please enter a mobile number" });
+    }
+
+    let added = 0;
+    for (const mobile of list) {
+      const done = await suppressNumber({
+        uid: req.decode.uid,
+        mobile,
+        source: "MANUAL",
+        note,
+      });
+      if (done) added++;
+    }
+
+    res.json({
+      success: true,
+      msg: `${added} number(s) were added to the suppression list`,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// get the suppression list
+router.get("/get_suppressions", validateUser, async (req, res) => {
+  try {
+    const data = await query(
+      `SELECT * FROM suppression_list WHERE uid = ? ORDER BY id DESC`,
+      [req.decode.uid]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// sends that were skipped because the number opted out, newest first
+router.get("/get_suppression_events", validateUser, async (req, res) => {
+  try {
+    const data = await query(
+      `SELECT * FROM suppression_events WHERE uid = ? ORDER BY id DESC LIMIT 500`,
+      [req.decode.uid]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// re-subscribe numbers
+router.post("/del_suppression", validateUser, async (req, res) => {
+  try {
+    const { mobiles } = req.body;
+
+    for (const mobile of [].concat(mobiles || [])) {
+      await unsuppressNumber({ uid: req.decode.uid, mobile });
+    }
+
+    res.json({ success: true, msg: "Number(s) were removed" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// get opt-out / opt-in keywords
+router.get("/get_opt_keywords", validateUser, async (req, res) => {
+  try {
+    const [user] = await query(
+      `SELECT opt_out_keywords, opt_in_keywords FROM user WHERE uid = ?`,
+      [req.decode.uid]
+    );
+    res.json({ data: getOptKeywords(user), success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
+// update opt-out / opt-in keywords
+router.post("/update_opt_keywords", validateUser, async (req, res) => {
+  try {
+    const { opt_out_keywords, opt_in_keywords } = req.body;
+
+    const clean = (list) =>
+      []
+        .concat(list || [])
+        .map((k) => `${k}`.trim())
+        .filter(Boolean);
+    const optOut = clean(opt_out_keywords);
+    const optIn = clean(opt_in_keywords);
+
+    if (optOut.length < 1) {
+      return res.json({
+        success: false,
+        msg: "Please add at least one opt-out keyword",
+      });
+    }
+
+    const overlap = optOut.find((k) =>
+      optIn.some((x) => x.toLowerCase() === k.toLowerCase())
+    );
+    if (overlap) {
+      return res.json({
+        success: false,
+        msg: `${overlap} can not be an opt-out and an opt-in keyword`,
+      });
+    }
+
+    await query(
+      `UPDATE user SET opt_out_keywords = ?, opt_in_keywords = ? WHERE uid = ?`,
+      [JSON.stringify(optOut), JSON.stringify(optIn), req.decode.uid]
+    );
+
+    res.json({ success: true, msg: "Keywords were updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong" });
+    console.log(err);
+  }
+});
+
 module.exports = router;
@@ -15,6 +15,10 @@ const {
 const { checkPlan, checkQrScan } = require("../middlewares/plan.js");
 const validateUser = require("../middlewares/user.js");
 const jwt = require("jsonwebtoken");
+const {
+  isSuppressed,
+  logSuppressed,
+} = require("../helper/contact/suppression.js");
 
 function decodeToken(token) {
   return new Promise((resolve) => {
@@ -537,6 +541,16 @@ async function processMessageRequest(params, res) {
     });
   }
 
+  if (await isSuppressed(user.uid, params.to)) {
+    await logSuppressed({ uid: user.uid, source: "QR_API", mobile: params.to });
+    return res.status(403).json({
+      success: false,
+      message: "This number has opted out of your messages.",
+      solution:
+        "The number can opt in again by sending one of your opt-in keywords",
+    });
+  }
+
   // Validate instance
   const formattedFrom = params.from.replace("+", "");
   const [instance] = await query(
@@ -0,0 +1,112 @@
+const router = require("express").Router();
+const { query } = require("../database/dbpromise.js");
+const validateUser = require("../middlewares/user.js");
+const {
+  getOwnerActor,
+  canUseReply,
+  canEditReply,
+  saveQuickReply,
+  getQuickReply,
+  searchQuickReplies,
+  renderQuickReply,
+} = require("../helper/quickReply/index.js");
+
+// quick replies of the owner, shared ones are used by every agent too
+router.post("/add_reply", validateUser, async (req, res) => {
+  try {
+    const result = await saveQuickReply({
+      actor: getOwnerActor(req.decode.uid),
+      body: req.body,
+    });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({
+      success: true,
+      msg: "Quick reply was added",
+      replyId: result.replyId,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.get("/get_replies", validateUser, async (req, res) => {
+  try {
+    const data = await searchQuickReplies(getOwnerActor(req.decode.uid), {
+      search: req.query.search,
+      limit: 500,
+    });
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/update_reply", validateUser, async (req, res) => {
+  try {
+    const actor = getOwnerActor(req.decode.uid);
+
+    const reply = await getQuickReply(req.decode.uid, req.body.replyId);
+    if (!reply || !canEditReply(actor, reply)) {
+      return res.json({ success: false, msg: "Quick reply not found" });
+    }
+
+    const result = await saveQuickReply({ actor, body: req.body, reply });
+    if (result.error) {
+      return res.json({ success: false, msg: result.error });
+    }
+
+    res.json({ success: true, msg: "Quick reply was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/del_reply", validateUser, async (req, res) => {
+  try {
+    await query(`DELETE FROM quick_replies WHERE uid = ? AND reply_id = ?`, [
+      req.decode.uid,
+      req.body.replyId,
+    ]);
+
+    res.json({ success: true, msg: "Quick reply was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// the message of a reply with the variables of a chat filled in
+router.post("/render_reply", validateUser, async (req, res) => {
+  try {
+    const { replyId, chatId } = req.body;
+
+    const [user] = await query(`SELECT name FROM user WHERE uid = ?`, [
+      req.decode.uid,
+    ]);
+    const actor = getOwnerActor(req.decode.uid, user?.name);
+
+    const reply = await getQuickReply(req.decode.uid, replyId);
+    if (!canUseReply(actor, reply)) {
+      return res.json({ success: false, msg: "Quick reply not found" });
+    }
+
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [req.decode.uid, chatId]
+    );
+
+    const data = await renderQuickReply({ actor, reply, chat });
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+module.exports = router;
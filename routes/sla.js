@@ -0,0 +1,155 @@
+const router = require("express").Router();
+const randomstring = require("randomstring");
+const { query } = require("../database/dbpromise.js");
+const validateUser = require("../middlewares/user.js");
+const { validateSlaPolicy, resolveChatSla } = require("../helper/sla/index.js");
+
+// policy fields from a request, minutes of 0 turn that timer off
+async function readPolicy(uid, body) {
+  const policy = {
+    name: body.name,
+    team_id: body.team_id || null,
+    label: body.label ? `${body.label}`.trim() : null,
+    first_response_minutes: parseInt(body.first_response_minutes) || 0,
+    resolution_minutes: parseInt(body.resolution_minutes) || 0,
+    warn_percent: parseInt(body.warn_percent) || 80,
+    business_hours: body.business_hours || null,
+    is_active: body.is_active === false ? 0 : 1,
+  };
+
+  if (!policy.name) {
+    return { error: "Please give the policy a name" };
+  }
+
+  const error = validateSlaPolicy(policy);
+  if (error) return { error };
+
+  if (policy.team_id) {
+    const [team] = await query(
+      `SELECT id FROM agent_teams WHERE uid = ? AND team_id = ?`,
+      [uid, policy.team_id]
+    );
+    if (!team) return { error: "Team not found" };
+  }
+
+  return {
+    policy: {
+      ...policy,
+      business_hours: policy.business_hours
+        ? JSON.stringify(policy.business_hours)
+        : null,
+    },
+  };
+}
+
+// sla policies, the timers they set show in the chat list
+router.post("/add_policy", validateUser, async (req, res) => {
+  try {
+    const { policy, error } = await readPolicy(req.decode.uid, req.body);
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    const policyId = randomstring.generate();
+
+    await query(
+      `INSERT INTO sla_policies (uid, policy_id, name, team_id, label, first_response_minutes, resolution_minutes, warn_percent, business_hours, is_active) VALUES (?,?,?,?,?,?,?,?,?,?)`,
+      [req.decode.uid, policyId, ...Object.values(policy)]
+    );
+
+    res.json({ success: true, msg: "Policy was added", policyId });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.get("/get_policies", validateUser, async (req, res) => {
+  try {
+    const data = await query(
+      `SELECT * FROM sla_policies WHERE uid = ? ORDER BY id ASC`,
+      [req.decode.uid]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/update_policy", validateUser, async (req, res) => {
+  try {
+    const { policy, error } = await readPolicy(req.decode.uid, req.body);
+    if (error) {
+      return res.json({ success: false, msg: error });
+    }
+
+    const result = await query(
+      `UPDATE sla_policies SET name = ?, team_id = ?, label = ?, first_response_minutes = ?, resolution_minutes = ?, warn_percent = ?, business_hours = ?, is_active = ? WHERE uid = ? AND policy_id = ?`,
+      [...Object.values(policy), req.decode.uid, req.body.policyId]
+    );
+    if (!(result?.affectedRows > 0)) {
+      return res.json({ success: false, msg: "Policy not found" });
+    }
+
+    res.json({ success: true, msg: "Policy was updated" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+router.post("/del_policy", validateUser, async (req, res) => {
+  try {
+    const { policyId } = req.body;
+
+    await query(`DELETE FROM sla_policies WHERE uid = ? AND policy_id = ?`, [
+      req.decode.uid,
+      policyId,
+    ]);
+
+    res.json({ success: true, msg: "Policy was deleted" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// stops the timers of a chat until the customer writes again
+router.post("/resolve_chat", validateUser, async (req, res) => {
+  try {
+    const { chatId } = req.body;
+
+    const resolved = await resolveChatSla(req.decode.uid, chatId);
+    if (!resolved) {
+      return res.json({ success: false, msg: "Chat not found" });
+    }
+
+    res.json({ success: true, msg: "Chat was resolved" });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+// warnings and breaches of the last days, newest first
+router.get("/get_events", validateUser, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 7;
+
+    const data = await query(
+      `SELECT sla_events.*, beta_chats.sender_name, beta_chats.sender_mobile
+       FROM sla_events
+       LEFT JOIN beta_chats ON beta_chats.chat_id = sla_events.chat_id AND beta_chats.uid = sla_events.uid
+       WHERE sla_events.uid = ? AND sla_events.createdAt > ?
+       ORDER BY sla_events.id DESC LIMIT 500`,
+      [req.decode.uid, new Date(Date.now() - days * 24 * 60 * 60 * 1000)]
+    );
+    res.json({ data, success: true });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+module.exports = router;
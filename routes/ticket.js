@@ -0,0 +1,65 @@
+const router = require("express").Router();
+const { query } = require("../database/dbpromise.js");
+const validateUser = require("../middlewares/user.js");
+const { getTicket } = require("../helper/tickets/index.js");
+const { getTicketHandlers } = require("../helper/tickets/handlers.js");
+
+// tickets of the owner, newest first, status filters them
+router.get("/get_tickets", validateUser, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let sql = `SELECT chat_tickets.*, beta_chats.sender_name, beta_chats.sender_mobile, beta_chats.assigned_agent
+       FROM chat_tickets
+       LEFT JOIN beta_chats ON beta_chats.chat_id = chat_tickets.chat_id AND beta_chats.uid = chat_tickets.uid
+       WHERE chat_tickets.uid = ?`;
+    const params = [req.decode.uid];
+    if (status) {
+      sql += ` AND chat_tickets.status = ?`;
+      params.push(status);
+    }
+
+    const data = await query(
+      `${sql} ORDER BY chat_tickets.id DESC LIMIT 500`,
+      params
+    );
+
+    const [csat] = await query(
+      `SELECT AVG(csat_score) as average, COUNT(csat_score) as count FROM chat_tickets WHERE uid = ?`,
+      [req.decode.uid]
+    );
+
+    res.json({
+      data,
+      csat: {
+        average: Math.round((Number(csat?.average) || 0) * 100) / 100,
+        count: Number(csat?.count) || 0,
+      },
+      success: true,
+    });
+  } catch (err) {
+    res.json({ success: false, msg: "something went wrong", err });
+    console.log(err);
+  }
+});
+
+const tickets = getTicketHandlers({
+  getUid: (req) => req.decode.uid,
+  getChat: async (req, chatId) => {
+    const [chat] = await query(
+      `SELECT * FROM beta_chats WHERE uid = ? AND chat_id = ?`,
+      [req.decode.uid, chatId]
+    );
+    return chat || null;
+  },
+  getTicket: (req, ticketId) => getTicket(req.decode.uid, ticketId),
+});
+
+router.post("/get_chat_tickets", validateUser, tickets.getChatTickets);
+router.post("/create_ticket", validateUser, tickets.createTicket);
+router.post("/change_ticket_status", validateUser, tickets.changeTicketStatus);
+router.post("/update_ticket", validateUser, tickets.updateTicket);
+router.post("/get_ticket_history", validateUser, tickets.getTicketHistory);
+router.post("/rate_ticket", validateUser, tickets.rateTicket);
+
+module.exports = router;
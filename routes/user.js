@@ -41,6 +41,9 @@ const fetch = require("node-fetch");
 const jwt = require("jsonwebtoken");
 const { checkQr } = require("../helper/addon/qr/index.js");
 const { addON } = require("../env.js");
+const { enrollByTrigger } = require("../helper/sequence/index.js");
+const { getAgentSlaStats } = require("../helper/sla/index.js");
+const { refreshMessagingTier } = require("../loops/campaignThrottle.js");
 
 // facebook login
 router.post("/login_with_facebook", async (req, res) => {
@@ -508,6 +511,13 @@ router.post(
         ]
       );
 
+      await enrollByTrigger({
+        uid: req.decode.uid,
+        type: "PHONEBOOK",
+        value: { id: phoneBookId, name: phoneBookName },
+        contacts: [{ mobile: phoneNumber, name: contactName }],
+      });
+
       res.json({ success: true, msg: "Contact was added" });
     } catch (err) {
       res.json({ success: false, msg: "something went wrong", err });
@@ -590,6 +600,15 @@ router.post("/update_meta", validateUser, async (req, res) => {
       );
     }
 
+    // campaigns keep their daily sends under the tier of this number
+    // a new number starts without the tier of the old one
+    await refreshMessagingTier({
+      uid: req.decode.uid,
+      business_phone_number_id,
+      access_token,
+      messaging_limit_tier: null,
+    });
+
     res.json({
       success: true,
       msg: "Your meta settings were updated successfully!",
@@ -2507,6 +2526,15 @@ router.post("/get_agent_report", validateUser, async (req, res) => {
 
     metrics.statusCounts = statusCounts;
 
+    // sla timers of the agent chats and the warnings and breaches it got
+    metrics.sla = await getAgentSlaStats({
+      uid: req.decode.uid,
+      agentUid: uid,
+      chats: agentChats,
+      from: dateFilter.chatDate?.start,
+      to: dateFilter.chatDate?.end,
+    });
+
     res.json({
       success: true,
       data: {
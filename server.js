@@ -5,8 +5,14 @@ const cors = require("cors");
 const fileUpload = require("express-fileupload");
 const { initCampaign } = require("./loops/campaignBeta.js");
 const { runCampaign } = require("./loops/campaignLoop.js");
+const { initFlowSessionSweeper } = require("./loops/flowSessionLoop.js");
+const { initContactImport } = require("./loops/contactImportLoop.js");
+const { initSequences } = require("./loops/sequenceLoop.js");
+const { initChatRouting } = require("./loops/chatRoutingLoop.js");
+const { initSlaTimers } = require("./loops/slaLoop.js");
 const nodeCleanup = require("node-cleanup");
 const { init, cleanup } = require("./helper/addon/qr");
+const { syncSchema } = require("./database/schema.js");
 
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ limit: "10mb", extended: true }));
@@ -56,6 +62,18 @@ app.use("/api/qr", qrRoute);
 const aiRoute = require("./routes/ai");
 app.use("/api/ai", aiRoute);
 
+const linkRoute = require("./routes/link");
+app.use("/api/link", linkRoute);
+
+const slaRoute = require("./routes/sla");
+app.use("/api/sla", slaRoute);
+
+const ticketRoute = require("./routes/ticket");
+app.use("/api/ticket", ticketRoute);
+
+const quickReplyRoute = require("./routes/quickReply");
+app.use("/api/quick_reply", quickReplyRoute);
+
 const path = require("path");
 const { warmerLoopInit } = require("./helper/addon/qr/warmer/index.js");
 
@@ -67,13 +85,19 @@ app.get("*", function (request, response) {
   response.sendFile(path.resolve(currentDir, "./client/public", "index.html"));
 });
 
-const server = app.listen(process.env.PORT || 3010, () => {
+const server = app.listen(process.env.PORT || 3010, async () => {
   console.log(`WaCrm server is running on port ${process.env.PORT}`);
+  await syncSchema();
   init();
   setTimeout(() => {
     runCampaign();
     warmerLoopInit();
     initCampaign();
+    initFlowSessionSweeper();
+    initContactImport();
+    initSequences();
+    initChatRouting();
+    initSlaTimers();
   }, 1000);
 });
 